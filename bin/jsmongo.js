@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// A shell in the style of mongosh, and command line tools in the style of
+// mongoexport, mongoimport, mongodump and mongorestore. They open the store
+// directly and lock it, so only one of them can write to it at a time;
+// --read-only opens it alongside the writer, and serve shares a store with
+// other processes over HTTP and can replicate it to another serve.
+const { parseArgs } = require('util');
+const jsmongo = require('../jsmongo');
+const { startShell, promptPassword } = require('../shell');
+
+const DEFAULT_PORT = 27080;
+
+const usage = `Usage:
+  jsmongo [shell] --storage <dir> [--db <name>] [--eval <code>]
+  jsmongo export  --storage <dir> [--db <name>]... [--collection <name>]... [--format jsonl|json|csv]
+                  [--fields <a,b>] [--query <json>] [--out <dir>]
+  jsmongo import  --storage <dir> --db <name> --collection <name> --file <path> [--format jsonl|json|csv]
+                  [--mode insert|upsert|merge] [--stop-on-error]
+  jsmongo backup  --storage <dir> --out <dir> [--db <name>]... [--collection <name>]...
+  jsmongo restore --storage <dir> --from <dir> [--drop] [--db <name>]... [--collection <name>]...
+  jsmongo serve   --storage <dir> [--port <port>] [--host <host>]
+                  [--replication-socket <path>] [--follow <socket|dir>]
+
+Options for every command:
+  --username <name>   log in as this user; the password is read from JSMONGO_PASSWORD
+                      or --password, and the shell asks for it otherwise
+  --key-file <path>   key file of an encrypted store; JSMONGO_PASSPHRASE gives a
+                      passphrase instead
+  --read-only         open a store another process has open; writes are refused
+`;
+
+const options = {
+    storage: { type: 'string' },
+    db: { type: 'string', multiple: true },
+    collection: { type: 'string', multiple: true },
+    format: { type: 'string' },
+    fields: { type: 'string' },
+    query: { type: 'string' },
+    out: { type: 'string' },
+    file: { type: 'string' },
+    mode: { type: 'string' },
+    'stop-on-error': { type: 'boolean' },
+    from: { type: 'string' },
+    drop: { type: 'boolean' },
+    username: { type: 'string' },
+    password: { type: 'string' },
+    'key-file': { type: 'string' },
+    'read-only': { type: 'boolean' },
+    eval: { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    'replication-socket': { type: 'string' },
+    follow: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({ options, allowPositionals: true });
+    const command = positionals[0] || (values.storage ? 'shell' : null);
+    if (values.help || !command) {
+        process.stdout.write(usage);
+        return;
+    }
+    if (!['shell', 'export', 'import', 'backup', 'restore', 'serve'].includes(command)) {
+        fail(`Unknown command: ${command}\n\n${usage}`);
+    }
+    if (!values.storage) {
+        fail('--storage is required');
+    }
+    // Library messages go to stderr so stdout only carries exported data
+    const logger = { info: console.error, warn: console.error, error: console.error };
+    const dbOptions = { storageMode: 'disk', storagePath: values.storage, readOnly: values['read-only'], logger };
+    if (command === 'serve') {
+        // A primary serves its oplog on the socket; a follower tails a
+        // primary's socket or storage directory
+        dbOptions.replicationSocket = values['replication-socket'];
+        dbOptions.follow = values.follow;
+    }
+    if (values['key-file']) {
+        dbOptions.encryption = { keyFile: values['key-file'] };
+    } else if (process.env.JSMONGO_PASSPHRASE) {
+        dbOptions.encryption = { passphrase: process.env.JSMONGO_PASSPHRASE };
+    }
+    let password = values.password || process.env.JSMONGO_PASSWORD;
+    if (values.username && password === undefined && command === 'shell' && process.stdin.isTTY) {
+        password = await promptPassword('Password: ');
+    }
+
+    if (command === 'restore') {
+        if (!values.from) fail('--from is required');
+        const results = await jsmongo.restore(values.from, {
+            ...dbOptions,
+            username: values.username,
+            password,
+            drop: values.drop,
+            databases: values.db,
+            collections: values.collection
+        });
+        for (const result of results) {
+            console.error(`${result.ns}: restored ${result.insertedCount} documents, ${result.errors.length} skipped`);
+        }
+        return;
+    }
+
+    const db = jsmongo(dbOptions);
+    await db.initialize();
+    if (command === 'serve') {
+        await serve(db, values);
+        return;
+    }
+    try {
+        let user;
+        if (values.username) {
+            user = await db.loginUser(values.username, password);
+            if (!user) fail(`Login failed for ${values.username}`);
+        }
+        if (command === 'shell') {
+            // Leave through close() below, which saves everything, rather than
+            // the signal handler's process.exit
+            const succeeded = await startShell(db, { db: values.db && values.db[0], user, eval: values.eval });
+            if (!succeeded) process.exitCode = 1;
+        } else if (command === 'export') {
+            const results = await db.export({
+                databases: values.db,
+                collections: values.collection,
+                format: values.format,
+                fields: values.fields ? values.fields.split(',') : undefined,
+                query: values.query ? jsmongo.EJSON.parse(values.query) : undefined,
+                out: values.out
+            }, user);
+            if (values.out) {
+                for (const result of results) {
+                    console.error(`${result.ns}: exported ${result.count} documents to ${result.path}`);
+                }
+            } else if (results.length !== 1) {
+                fail(`Without --out exactly one collection must be selected, found ${results.length}`);
+            } else {
+                process.stdout.write(results[0].data);
+            }
+        } else if (command === 'import') {
+            if (!values.db || !values.collection || !values.file) fail('--db, --collection and --file are required');
+            const result = await db.import({
+                db: values.db[0],
+                collection: values.collection[0],
+                file: values.file,
+                format: values.format,
+                mode: values.mode,
+                stopOnError: values['stop-on-error']
+            }, user);
+            for (const error of result.errors) {
+                console.error(`Document ${error.index}: ${error.message}`);
+            }
+            console.error(`Imported ${result.insertedCount} documents, updated ${result.modifiedCount}, ${result.errors.length} failed`);
+            if (result.errors.length > 0) process.exitCode = 1;
+        } else {
+            if (!values.out) fail('--out is required');
+            const results = await db.backup(values.out, { databases: values.db, collections: values.collection }, user);
+            for (const result of results) {
+                console.error(`${result.ns}: ${result.count} documents`);
+            }
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+// Runs until SIGINT or SIGTERM, then finishes the requests in flight and
+// closes the store
+async function serve(db, values) {
+    const port = values.port === undefined ? DEFAULT_PORT : Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) fail(`Invalid port: ${values.port}`);
+    const server = jsmongo.createServer(db);
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, values.host || 'localhost', resolve);
+    });
+    const address = server.address();
+    console.error(`Listening on http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`);
+    await new Promise(resolve => {
+        // Replaces the library's handlers, which would exit without waiting
+        // for requests in flight
+        process.removeAllListeners('SIGINT');
+        process.removeAllListeners('SIGTERM');
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    console.error('Shutting down...');
+    await server.shutdown();
+    await db.close();
+}
+
+main().catch(err => fail(err.message));
@@ -0,0 +1,305 @@
+// Talks to a store served by server.js with the same API as an embedded
+// one: client('shop').collection('orders').find(...). Methods take the same
+// arguments, including the trailing user token; without one the token from
+// the client's last loginUser() is sent. Sessions aren't available remotely.
+const http = require('http');
+const https = require('https');
+const EJSON = require('./ejson');
+const errors = require('./errors');
+
+// Errors with these codes are thrown as the same class an embedded store
+// would throw
+const ERROR_CLASSES = {
+    13: errors.PermissionDeniedError,
+    20: errors.ReadOnlyError,
+    112: errors.WriteConflictError,
+    121: errors.ValidationError,
+    286: errors.ChangeStreamHistoryLostError,
+    10107: errors.NotPrimaryError,
+    11000: errors.DuplicateKeyError
+};
+
+function remoteError(status, { message, code, ...fields }) {
+    const ErrorClass = ERROR_CLASSES[code];
+    const err = ErrorClass ? new ErrorClass(message) : Object.assign(new Error(message), code !== undefined ? { code } : {});
+    return Object.assign(err, fields, { status });
+}
+
+// Like the embedded Cursor, but the query runs on the server when the
+// cursor is first read
+class RemoteCursor {
+    constructor(fetchDocuments) {
+        this._fetchDocuments = fetchDocuments;
+        this._options = {};
+        this._buffer = null;
+    }
+
+    sort(spec) {
+        return this._set('sort', spec);
+    }
+
+    skip(count) {
+        return this._set('skip', count);
+    }
+
+    limit(count) {
+        return this._set('limit', count);
+    }
+
+    project(projection) {
+        return this._set('projection', projection);
+    }
+
+    async toArray() {
+        const results = this._buffer || await this._fetchDocuments(this._options);
+        this._buffer = [];
+        return results;
+    }
+
+    async forEach(callback) {
+        for await (const doc of this) {
+            if (await callback(doc) === false) break;
+        }
+    }
+
+    async hasNext() {
+        if (this._buffer === null) this._buffer = await this._fetchDocuments(this._options);
+        return this._buffer.length > 0;
+    }
+
+    async next() {
+        return (await this.hasNext()) ? this._buffer.shift() : null;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        while (await this.hasNext()) {
+            yield this._buffer.shift();
+        }
+    }
+
+    _set(option, value) {
+        if (this._buffer !== null) {
+            throw new Error('Cursor options cannot be changed after iteration has started');
+        }
+        this._options[option] = value;
+        return this;
+    }
+}
+
+function rejectSession(session) {
+    if (session) {
+        throw new Error('Sessions are not supported by the HTTP client');
+    }
+}
+
+class Client {
+    constructor(url, options = {}) {
+        this._url = new URL(url);
+        this._transport = this._url.protocol === 'https:' ? https : http;
+        this._token = options.token;
+        this._timeout = options.timeout || 30000;
+    }
+
+    // Errors come back as { error: { message, code, ... } } and are thrown
+    // with the same fields, plus the HTTP status
+    _request(method, pathname, body, user) {
+        const token = user !== undefined ? user : this._token;
+        const payload = body === undefined ? null : EJSON.stringify(body);
+        const headers = { Accept: 'application/json' };
+        if (payload !== null) {
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(payload);
+        }
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const target = new URL(pathname, this._url);
+        return new Promise((resolve, reject) => {
+            const req = this._transport.request(target, { method, headers, timeout: this._timeout }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', reject);
+                res.on('end', () => {
+                    let result;
+                    try {
+                        result = EJSON.parse(Buffer.concat(chunks).toString('utf8'));
+                    } catch (err) {
+                        reject(new Error(`Invalid response from ${target.origin} (HTTP ${res.statusCode})`));
+                        return;
+                    }
+                    if (res.statusCode >= 400) {
+                        reject(remoteError(res.statusCode, (result && result.error) || { message: `HTTP ${res.statusCode}` }));
+                        return;
+                    }
+                    resolve(result);
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`Request to ${target.origin} timed out`)));
+            req.on('error', reject);
+            req.end(payload === null ? undefined : payload);
+        });
+    }
+
+    async loginUser(username, password, options = {}) {
+        try {
+            const { token } = await this._request('POST', '/auth/login', { username, password, expiresIn: options.expiresIn }, null);
+            this._token = token;
+            return token;
+        } catch (err) {
+            // As embedded: wrong credentials give null
+            if (err.status === 401) return null;
+            throw err;
+        }
+    }
+
+    async logout(token = this._token) {
+        if (token === this._token) this._token = undefined;
+        try {
+            return (await this._request('POST', '/auth/logout', {}, token)).ok;
+        } catch (err) {
+            if (err.status === 401) return false;
+            throw err;
+        }
+    }
+
+    async refresh(token = this._token, options = {}) {
+        try {
+            const { token: refreshed } = await this._request('POST', '/auth/refresh', { expiresIn: options.expiresIn }, token);
+            if (token === this._token) this._token = refreshed;
+            return refreshed;
+        } catch (err) {
+            if (err.status === 401) return null;
+            throw err;
+        }
+    }
+
+    listDatabases(user) {
+        return this._request('GET', '/dbs', undefined, user);
+    }
+
+    // Nothing to flush on this side
+    async close() {}
+
+    db(dbName) {
+        const base = `/dbs/${encodeURIComponent(dbName)}`;
+        return {
+            collection: (collectionName) => this._collection(dbName, collectionName),
+
+            createCollection: async (collectionName, options = {}, user) => {
+                await this._request('POST', `${base}/collections`, { name: collectionName, options }, user);
+                return this._collection(dbName, collectionName);
+            },
+
+            listCollections: (filter = {}, user) => {
+                return this._request('GET', `${base}/collections?filter=${encodeURIComponent(EJSON.stringify(filter))}`, undefined, user);
+            },
+
+            renameCollection: async (fromName, toName, options = {}, user) => {
+                await this._request('POST', `${base}/collections/${encodeURIComponent(fromName)}/rename`,
+                    { to: toName, dropTarget: options.dropTarget }, user);
+                return true;
+            },
+
+            dropDatabase: async (user) => (await this._request('DELETE', base, undefined, user)).ok,
+
+            stats: (user) => this._request('GET', `${base}/stats`, undefined, user)
+        };
+    }
+
+    _collection(dbName, collectionName) {
+        const base = `/dbs/${encodeURIComponent(dbName)}/collections/${encodeURIComponent(collectionName)}`;
+        const request = (method, action, body, user, session) => {
+            rejectSession(session);
+            return this._request(method, `${base}${action}`, body, user);
+        };
+        return {
+            insertOne: (doc, user, session) => request('POST', '/documents', { document: doc }, user, session),
+
+            insertMany: (docs, user, session) => request('POST', '/documents', { documents: docs }, user, session),
+
+            updateOne: (filter, update, options = {}, user, session) =>
+                request('POST', '/update', { filter, update, options }, user, session),
+
+            updateMany: (filter, update, options = {}, user, session) =>
+                request('POST', '/update', { filter, update, options, multi: true }, user, session),
+
+            replaceOne: (filter, replacement, options = {}, user, session) =>
+                request('POST', '/replace', { filter, replacement, options }, user, session),
+
+            findOneAndUpdate: (filter, update, options = {}, user, session) =>
+                request('POST', '/findOneAndUpdate', { filter, update, options }, user, session),
+
+            deleteOne: async (filter, user, session) =>
+                (await request('POST', '/delete', { filter }, user, session)).deletedCount,
+
+            deleteMany: async (filter, user, session) =>
+                (await request('POST', '/delete', { filter, multi: true }, user, session)).deletedCount,
+
+            findOneAndDelete: (filter, options = {}, user, session) =>
+                request('POST', '/findOneAndDelete', { filter, options }, user, session),
+
+            bulkWrite: (operations, options = {}, user, session) =>
+                request('POST', '/bulkWrite', { operations, options }, user, session),
+
+            find: (query = {}, user, session) => {
+                rejectSession(session);
+                return new RemoteCursor(options => request('POST', '/find', { filter: query, ...options }, user));
+            },
+
+            findOne: async (query = {}, user, session) =>
+                (await request('POST', '/find', { filter: query, limit: 1 }, user, session))[0] || null,
+
+            countDocuments: (query = {}, user, session) => request('POST', '/count', { filter: query }, user, session),
+
+            estimatedDocumentCount: (user, session) => request('POST', '/count', { filter: {} }, user, session),
+
+            distinct: (field, query = {}, user, session) =>
+                request('POST', '/distinct', { field, filter: query }, user, session),
+
+            aggregate: (pipeline = [], user, session) => {
+                rejectSession(session);
+                return new RemoteCursor(options => request('POST', '/aggregate', { pipeline, ...options }, user));
+            },
+
+            createIndex: async (keys, options = {}, user, session) => {
+                // createIndex(field, user), the original form, still works
+                if (typeof options === 'string') {
+                    user = options;
+                    options = {};
+                }
+                return (await request('POST', '/indexes', { keys, options }, user, session)).name;
+            },
+
+            dropIndex: async (nameOrKeys, user, session) => {
+                let name = nameOrKeys;
+                if (typeof nameOrKeys !== 'string') {
+                    const indexes = await request('GET', '/indexes', undefined, user, session);
+                    const index = indexes.find(candidate => EJSON.stringify(candidate.key) === EJSON.stringify(nameOrKeys));
+                    if (!index) throw new Error(`Index not found: ${EJSON.stringify(nameOrKeys)}`);
+                    name = index.name;
+                }
+                await request('DELETE', `/indexes/${encodeURIComponent(name)}`, undefined, user, session);
+            },
+
+            listIndexes: (user, session) => request('GET', '/indexes', undefined, user, session),
+
+            stats: (user, session) => request('GET', '/stats', undefined, user, session),
+
+            drop: async (user, session) => (await request('DELETE', '', undefined, user, session)).ok
+        };
+    }
+}
+
+// Returns a client that is callable like an embedded store: client('shop')
+// is client.db('shop')
+function connect(url, options = {}) {
+    const client = new Client(url, options);
+    const callable = dbName => client.db(dbName);
+    Object.setPrototypeOf(callable, client);
+    for (const prop of Object.getOwnPropertyNames(Client.prototype)) {
+        if (prop !== 'constructor') {
+            callable[prop] = client[prop].bind(client);
+        }
+    }
+    return callable;
+}
+
+module.exports = { connect };
@@ -0,0 +1,148 @@
+// MongoDB Extended JSON, used for everything jsmongo writes to disk.
+// Types plain JSON can't hold are written as single-key wrapper objects
+// ({ "$oid": ... }, { "$date": ... }, { "$binary": ... }, ...), so
+// they come back with the same type. Plain JSON is valid input and reads
+// back unchanged.
+const ObjectId = require('./objectid');
+
+// Keys of the wrapper objects. A plain object with one of them as its only
+// key is written inside { $escaped: ... } so it doesn't read back as a type.
+const WRAPPER_KEYS = new Set([
+    '$oid', '$date', '$numberLong', '$numberInt', '$numberDouble', '$binary',
+    '$regularExpression', '$undefined', '$map', '$escaped'
+]);
+
+// The earliest and latest dates the relaxed ISO-string form is used for
+const MIN_ISO_DATE = Date.UTC(1970, 0, 1);
+const MAX_ISO_DATE = Date.UTC(10000, 0, 1) - 1;
+
+// Converts a value into the JSON-safe tree stringify writes
+function serialize(value) {
+    if (value === undefined) {
+        return { $undefined: true };
+    }
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return { $numberDouble: 'NaN' };
+        if (value === Infinity) return { $numberDouble: 'Infinity' };
+        if (value === -Infinity) return { $numberDouble: '-Infinity' };
+        if (Object.is(value, -0)) return { $numberDouble: '-0.0' };
+        return value;
+    }
+    if (typeof value === 'bigint') {
+        return { $numberLong: value.toString() };
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Date) {
+        const time = value.getTime();
+        return time >= MIN_ISO_DATE && time <= MAX_ISO_DATE
+            ? { $date: value.toISOString() }
+            : { $date: { $numberLong: String(time) } };
+    }
+    if (value instanceof ObjectId) {
+        return { $oid: value.toHexString() };
+    }
+    if (value instanceof Uint8Array) {
+        return { $binary: { base64: Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64'), subType: '00' } };
+    }
+    if (value instanceof RegExp) {
+        return { $regularExpression: { pattern: value.source, options: value.flags } };
+    }
+    // Not part of Extended JSON; a jsmongo extension
+    if (value instanceof Map) {
+        return { $map: [...value].map(([key, item]) => [serialize(key), serialize(item)]) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => serialize(item));
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (typeof item === 'function' || typeof item === 'symbol') continue;
+        result[key] = serialize(item);
+    }
+    const keys = Object.keys(result);
+    // Not part of Extended JSON; a jsmongo extension
+    if (keys.length === 1 && WRAPPER_KEYS.has(keys[0])) {
+        return { $escaped: result };
+    }
+    return result;
+}
+
+// Turns wrapper objects in a parsed JSON tree back into typed values. A
+// wrapper only counts if it has exactly the expected shape, so documents
+// and validators with other $-prefixed keys pass through untouched.
+function deserialize(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => deserialize(item));
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+        const [key] = keys;
+        const wrapped = value[key];
+        switch (key) {
+            case '$oid':
+                if (typeof wrapped === 'string' && ObjectId.isValid(wrapped)) return new ObjectId(wrapped);
+                break;
+            case '$date':
+                if (typeof wrapped === 'string') return new Date(wrapped);
+                if (typeof wrapped === 'number') return new Date(wrapped);
+                if (isWrapper(wrapped, '$numberLong', 'string')) return new Date(Number(wrapped.$numberLong));
+                break;
+            case '$numberLong':
+                if (typeof wrapped === 'string' && /^-?\d+$/.test(wrapped)) return BigInt(wrapped);
+                break;
+            case '$numberInt':
+            case '$numberDouble':
+                if (typeof wrapped === 'string') return Number(wrapped);
+                break;
+            case '$binary':
+                if (wrapped && typeof wrapped.base64 === 'string' && typeof wrapped.subType === 'string') {
+                    return Buffer.from(wrapped.base64, 'base64');
+                }
+                break;
+            case '$regularExpression':
+                if (wrapped && typeof wrapped.pattern === 'string' && typeof wrapped.options === 'string') {
+                    return new RegExp(wrapped.pattern, wrapped.options);
+                }
+                break;
+            case '$undefined':
+                if (wrapped === true) return undefined;
+                break;
+            case '$map':
+                if (Array.isArray(wrapped) && wrapped.every(entry => Array.isArray(entry) && entry.length === 2)) {
+                    return new Map(wrapped.map(([mapKey, item]) => [deserialize(mapKey), deserialize(item)]));
+                }
+                break;
+            case '$escaped':
+                if (wrapped !== null && typeof wrapped === 'object' && !Array.isArray(wrapped)) return deserializeFields(wrapped);
+                break;
+        }
+    }
+    return deserializeFields(value);
+}
+
+function deserializeFields(value) {
+    const result = {};
+    for (const key of Object.keys(value)) {
+        result[key] = deserialize(value[key]);
+    }
+    return result;
+}
+
+function isWrapper(value, key, type) {
+    return value !== null && typeof value === 'object' && Object.keys(value).length === 1 && typeof value[key] === type;
+}
+
+function stringify(value, space) {
+    return JSON.stringify(serialize(value), null, space);
+}
+
+function parse(text) {
+    return deserialize(JSON.parse(text));
+}
+
+module.exports = { stringify, parse, serialize, deserialize };
@@ -0,0 +1,82 @@
+// Errors thrown by jsmongo. Each carries the MongoDB error code and code
+// name of the failure it stands for, so callers can test either
+// err instanceof DuplicateKeyError or err.code === 11000.
+
+class JSMError extends Error {
+    constructor(message, code, codeName) {
+        super(message);
+        this.name = new.target.name;
+        this.code = code;
+        this.codeName = codeName;
+    }
+}
+
+class PermissionDeniedError extends JSMError {
+    constructor(message) {
+        super(message, 13, 'Unauthorized');
+    }
+}
+
+// keyPattern is the index key, keyValue the duplicated values
+class DuplicateKeyError extends JSMError {
+    constructor(message, keyPattern, keyValue) {
+        super(message, 11000, 'DuplicateKey');
+        this.keyPattern = keyPattern;
+        this.keyValue = keyValue;
+    }
+}
+
+// details lists the rules the document broke
+class ValidationError extends JSMError {
+    constructor(message, details) {
+        super(message, 121, 'DocumentValidationFailure');
+        this.details = details;
+    }
+}
+
+// Retrying the whole transaction may succeed
+class WriteConflictError extends JSMError {
+    constructor(message) {
+        super(message, 112, 'WriteConflict');
+        this.errorLabels = ['TransientTransactionError'];
+    }
+}
+
+class ChangeStreamHistoryLostError extends JSMError {
+    constructor(message) {
+        super(message, 286, 'ChangeStreamHistoryLost');
+    }
+}
+
+// Another process has the storage directory open for writing
+class StorageLockedError extends JSMError {
+    constructor(message) {
+        super(message, 98, 'DBPathInUse');
+    }
+}
+
+// A write to a store opened with readOnly
+class ReadOnlyError extends JSMError {
+    constructor(message) {
+        super(message, 20, 'IllegalOperation');
+    }
+}
+
+// A write to a follower; only the primary takes writes
+class NotPrimaryError extends JSMError {
+    constructor(message) {
+        super(message, 10107, 'NotWritablePrimary');
+    }
+}
+
+module.exports = {
+    JSMError,
+    PermissionDeniedError,
+    DuplicateKeyError,
+    ValidationError,
+    WriteConflictError,
+    ChangeStreamHistoryLostError,
+    StorageLockedError,
+    ReadOnlyError,
+    NotPrimaryError
+};
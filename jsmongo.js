@@ -1,7 +1,392 @@
 const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
 const path = require('path');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const EJSON = require('./ejson');
+const ObjectId = require('./objectid');
+const {
+    PermissionDeniedError,
+    DuplicateKeyError,
+    ValidationError,
+    WriteConflictError,
+    ChangeStreamHistoryLostError,
+    StorageLockedError,
+    ReadOnlyError,
+    NotPrimaryError
+} = require('./errors');
+
+// Encrypted files start with this, followed by the key id, IV and GCM tag
+const ENCRYPTED_MAGIC = Buffer.from('JSME');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// The operations collection.bulkWrite() accepts
+const BULK_WRITE_OPERATIONS = ['insertOne', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'];
+
+// Collections are stored in segments of documents. A segment ends after a
+// document whose _id hashes to a multiple of SEGMENT_TARGET, so an insert or
+// delete only shifts the boundaries around it, or after SEGMENT_MAX documents.
+const SEGMENT_TARGET = 256;
+const SEGMENT_MAX = 4096;
+
+// Kept consistent by the user and role administration methods, which are
+// the only way to change them
+const AUTH_COLLECTIONS = ['auth.users', 'auth.roles', 'auth.sessions'];
+
+// Entries kept in local.oplog when replication is set up without an oplogSize
+const DEFAULT_OPLOG_SIZE = 10000;
+
+// Replication messages are EJSON, one per line
+function sendMessage(socket, message) {
+    socket.write(EJSON.stringify(message) + '\n');
+}
+
+function readMessages(socket, onMessage) {
+    let buffered = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+        buffered += chunk;
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+            const line = buffered.slice(0, newline);
+            buffered = buffered.slice(newline + 1);
+            let message;
+            try {
+                message = EJSON.parse(line);
+            } catch (err) {
+                socket.destroy(new Error(`Invalid replication message: ${err.message}`));
+                return;
+            }
+            onMessage(message);
+        }
+    });
+}
+
+// Words text indexes and $text searches leave out
+const STOP_WORDS = new Set([
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+    'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+    'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if',
+    'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor',
+    'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out',
+    'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs',
+    'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+    'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+    'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+// Strips the common English suffixes, so 'shoes' and 'shoe' or 'running'
+// and 'run' give the same term. Words whose stem would have no vowel, or
+// fewer than three letters, are kept whole.
+function stemWord(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    const stemmable = stem => stem.length >= 3 && /[aeiouy]/.test(stem);
+    if (word.endsWith('sses')) {
+        word = word.slice(0, -2);
+    } else if (word.endsWith('ies')) {
+        word = word.slice(0, -3) + 'y';
+    } else if (/(x|ch|sh|z)es$/.test(word)) {
+        word = word.slice(0, -2);
+    } else if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+        word = word.slice(0, -1);
+    }
+    if (word.endsWith('eed')) return word;
+    for (const suffix of ['ing', 'ed', 'ly']) {
+        if (word.endsWith(suffix) && stemmable(word.slice(0, -suffix.length))) {
+            word = word.slice(0, -suffix.length);
+            // running -> run, but not falling -> fal
+            if (/([^aeiouslz])\1$/.test(word)) word = word.slice(0, -1);
+            break;
+        }
+    }
+    return word;
+}
+
+// The terms a text is indexed and searched by, in order and with repeats
+function textTerms(text) {
+    return text.toLowerCase().replace(/['’]/g, '').split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(stemWord);
+}
+
+// Returned by find(). Options are applied when the cursor is first read, and
+// every document handed out is a copy so callers can't mutate the store.
+class Cursor {
+    // namespaces are the collections fetchDocuments reads, loaded before it runs
+    constructor(jsm, fetchDocuments, namespaces = []) {
+        this._jsm = jsm;
+        this._fetchDocuments = fetchDocuments;
+        this._namespaces = namespaces;
+        this._sort = null;
+        this._skip = 0;
+        this._limit = 0;
+        this._projection = null;
+        this._buffer = null;
+    }
+
+    sort(spec) {
+        this._assertNotStarted();
+        this._sort = spec;
+        return this;
+    }
+
+    skip(count) {
+        this._assertNotStarted();
+        this._skip = count;
+        return this;
+    }
+
+    limit(count) {
+        this._assertNotStarted();
+        this._limit = count;
+        return this;
+    }
+
+    project(projection) {
+        this._assertNotStarted();
+        this._projection = projection;
+        return this;
+    }
+
+    // What is left after next() calls, or everything if there were none
+    async toArray() {
+        if (this._buffer === null) {
+            await this._jsm._ensureLoaded(this._namespaces);
+        }
+        const results = this._buffer || this._results();
+        this._buffer = [];
+        return results;
+    }
+
+    async count(applySkipLimit = false) {
+        await this._jsm._ensureLoaded(this._namespaces);
+        const docs = this._fetchDocuments(null);
+        if (!applySkipLimit) return docs.length;
+        const remaining = Math.max(docs.length - this._skip, 0);
+        return this._limit > 0 ? Math.min(remaining, this._limit) : remaining;
+    }
+
+    async forEach(callback) {
+        for await (const doc of this) {
+            if (await callback(doc) === false) break;
+        }
+    }
+
+    async hasNext() {
+        if (this._buffer === null) {
+            await this._jsm._ensureLoaded(this._namespaces);
+            this._buffer = this._results();
+        }
+        return this._buffer.length > 0;
+    }
+
+    async next() {
+        return (await this.hasNext()) ? this._buffer.shift() : null;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        while (await this.hasNext()) {
+            yield this._buffer.shift();
+        }
+    }
+
+    _assertNotStarted() {
+        if (this._buffer !== null) {
+            throw new Error('Cursor options cannot be changed after iteration has started');
+        }
+    }
+
+    _results() {
+        // Filled with each document's score by a $text query
+        const scores = new Map();
+        let docs = this._fetchDocuments(this._sort, scores);
+        docs = docs.slice(this._skip, this._limit > 0 ? this._skip + this._limit : undefined);
+        return docs.map(doc => this._projection
+            ? this._jsm._projectDocument(doc, this._projection, scores)
+            : this._jsm._cloneDocument(doc));
+    }
+}
+
+// Returned by startSession(). A transaction reads and writes its own copy
+// of each collection it touches; nothing reaches the store until commit.
+class Session {
+    constructor(jsm) {
+        this._jsm = jsm;
+        this.id = crypto.randomBytes(16).toString('hex');
+        this._transaction = null;
+        this._ended = false;
+    }
+
+    inTransaction() {
+        return this._transaction !== null;
+    }
+
+    startTransaction() {
+        if (this._ended) {
+            throw new Error('Cannot use a session that has ended');
+        }
+        if (this._transaction) {
+            throw new Error('Transaction already in progress');
+        }
+        this._transaction = { views: new Map(), replaced: new Set(), error: null };
+    }
+
+    async commitTransaction() {
+        if (!this._transaction) {
+            throw new Error('No transaction started');
+        }
+        try {
+            await this._jsm._commitTransaction(this);
+        } finally {
+            this._transaction = null;
+        }
+    }
+
+    async abortTransaction() {
+        if (!this._transaction) {
+            throw new Error('No transaction started');
+        }
+        this._transaction = null;
+    }
+
+    // Runs fn in a transaction and commits it, starting over when the commit
+    // hits a write conflict
+    async withTransaction(fn, options = {}) {
+        const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        for (let attempt = 0; ; attempt++) {
+            this.startTransaction();
+            try {
+                const result = await fn(this);
+                await this.commitTransaction();
+                return result;
+            } catch (err) {
+                if (this._transaction) {
+                    await this.abortTransaction();
+                }
+                const transient = (err.errorLabels || []).includes('TransientTransactionError');
+                if (!transient || attempt >= maxRetries) throw err;
+            }
+        }
+    }
+
+    async endSession() {
+        if (this._transaction) {
+            await this.abortTransaction();
+        }
+        this._ended = true;
+    }
+
+    // Documents are replaced rather than mutated on update, so a shallow copy
+    // of the array is enough to isolate the transaction
+    _view(fullCollectionName) {
+        let view = this._transaction.views.get(fullCollectionName);
+        if (!view) {
+            const docs = this._jsm._collections[fullCollectionName] || [];
+            view = { base: docs.slice(), docs: docs.slice(), version: this._jsm._versions[fullCollectionName] || 0 };
+            this._transaction.views.set(fullCollectionName, view);
+        }
+        return view.docs;
+    }
+}
+
+// Returned by watch(). Events go to 'change' listeners if there are any,
+// otherwise they are buffered for next() and async iteration.
+class ChangeStream extends EventEmitter {
+    constructor(jsm, scope) {
+        super();
+        this._jsm = jsm;
+        this._scope = scope;
+        this._buffer = [];
+        this._waiting = [];
+        this.resumeToken = null;
+        this.closed = false;
+        this._error = null;
+        this.on('newListener', event => {
+            if (event === 'change') process.nextTick(() => this._flush());
+        });
+    }
+
+    async next() {
+        if (this._buffer.length > 0) {
+            return this._deliver(this._buffer.shift());
+        }
+        if (this.closed) {
+            if (this._error) throw this._error;
+            return null;
+        }
+        return new Promise((resolve, reject) => this._waiting.push({ resolve, reject }));
+    }
+
+    tryNext() {
+        return this._buffer.length > 0 ? this._deliver(this._buffer.shift()) : null;
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this._jsm._changeStreams.delete(this);
+        for (const { resolve } of this._waiting.splice(0)) resolve(null);
+        this.emit('close');
+    }
+
+    async *[Symbol.asyncIterator]() {
+        while (true) {
+            const event = await this.next();
+            if (event === null) return;
+            yield event;
+        }
+    }
+
+    _push(entry) {
+        if (this.closed) return;
+        if (this._waiting.length > 0) {
+            this._waiting.shift().resolve(this._deliver(entry));
+        } else if (this.listenerCount('change') > 0) {
+            this.emit('change', this._deliver(entry));
+        } else {
+            this._buffer.push(entry);
+        }
+    }
+
+    _flush() {
+        try {
+            while (this._buffer.length > 0 && this.listenerCount('change') > 0) {
+                this.emit('change', this._deliver(this._buffer.shift()));
+            }
+        } catch (err) {
+            this._fail(err);
+        }
+    }
+
+    // A pipeline or 'change' listener that throws ends this stream only. The
+    // write behind the event has already been made and must not fail.
+    _fail(err) {
+        if (this.closed) return;
+        this._error = err;
+        for (const { reject } of this._waiting.splice(0)) reject(err);
+        if (this.listenerCount('error') > 0) {
+            try {
+                this.emit('error', err);
+            } catch (listenerErr) {
+                this._jsm.logger.error('Error in a change stream error listener:', listenerErr);
+            }
+        } else {
+            this._jsm.logger.error('Change stream closed after an error:', err);
+        }
+        this.close();
+    }
+
+    // The token comes from the original event: the pipeline may have
+    // projected _id away
+    _deliver(entry) {
+        this.resumeToken = entry.token;
+        return entry.event;
+    }
+}
 
 class JSM {
     constructor(options = {}) {
@@ -14,422 +399,5256 @@ class JSM {
         this._lastActivity = Date.now();
         this.idleTimeout = options.idleTimeout || (1 * 10 * 1000); // 30 sec default
         this._idleTimer = null;
+        this.ttlMonitorInterval = options.ttlMonitorInterval || 60 * 1000;
+        this._ttlTimer = null;
+        this.auth = options.auth || 'disabled'; // 'required' | 'disabled'
+        if (!['required', 'disabled'].includes(this.auth)) {
+            throw new Error(`Invalid auth option: ${this.auth}`);
+        }
+        // Anything with debug, info, warn and error methods, console by
+        // default. Missing methods are silent, so {} turns logging off.
+        const logger = options.logger || console;
+        this.logger = Object.fromEntries(LOG_LEVELS.map(level =>
+            [level, typeof logger[level] === 'function' ? logger[level].bind(logger) : () => {}]));
+        // Without a configured secret, tokens don't survive a restart
+        this._tokenSecret = options.tokenSecret || crypto.randomBytes(32);
+        this.tokenExpiresIn = options.tokenExpiresIn || 3600; // seconds
+        this.encryption = options.encryption || null; // { key | keyFile | passphrase }
+        this._keys = null;
+        this.initialAdmin = options.initialAdmin || null; // { username, password }
+        this.forcePasswordChange = Boolean(options.forcePasswordChange);
         this._isShuttingDown = false;
         this._isDumping = false;
         this._isInitialized = false;
+        this.durability = options.durability || 'none'; // 'none' | 'journal' | 'fsync'
+        this._lsn = 0;
+        // Set while the journal holds a transaction that no checkpoint has
+        // covered yet, even though durability is off
+        this._journalPending = false;
+        this._journaledSinceRotation = false;
+        this._journalQueue = Promise.resolve();
+        this._checkpointQueue = Promise.resolve();
+        this._generations = {};
+        this.recoveryLog = [];
+        this._validators = {};
+        this._versions = {};
+        this._changeStreams = new Set();
+        this._changeLog = [];
+        this._changeSeq = 0;
+        this.changeLogSize = options.changeLogSize || 1000;
+        this._changeLogLines = {};
+        this._changeLogQueue = Promise.resolve();
+        this._pendingFileOps = [];
+        this._lastPersisted = {};
+        // Collections on disk that aren't in memory: their segments and index specs
+        this._unloaded = new Map();
+        this._loading = new Map();
+        // Segments of each loaded collection as last written or read, with
+        // the documents they held, so unchanged ones aren't written again
+        this._segments = {};
+        // Approximate memory use in bytes at which collections that are
+        // saved to disk are unloaded, least recently used first. 0 for no limit.
+        this.maxMemory = options.maxMemory || 0;
+        this._recentlyUsed = new Set();
+        this._pinned = new Map();
+        this._evictionScheduled = false;
+        // Opens a store that another process has open for writing: reads what
+        // it has saved and refuses writes. reloadInterval (ms) picks up its
+        // later changes; otherwise call reload().
+        this.readOnly = Boolean(options.readOnly);
+        if (this.readOnly && this.storageMode !== 'disk') {
+            throw new Error('readOnly needs storageMode disk');
+        }
+        this.reloadInterval = options.reloadInterval || 0;
+        this._reloadTimer = null;
+        this._reloading = null;
+        this._storageState = null;
+        this._lockPath = null;
+        // Replication. A primary keeps every write in local.oplog, capped at
+        // oplogSize entries, and serves it to followers on replicationSocket.
+        // A follower tails the oplog of the primary at follow, a socket or the
+        // primary's storage directory, and takes no writes of its own until
+        // promote(). followInterval (ms) is how often it polls a directory or
+        // tries to reconnect.
+        this.replicationSocket = options.replicationSocket || null;
+        this.follow = options.follow || null;
+        if (this.readOnly && (this.follow || this.replicationSocket)) {
+            throw new Error('readOnly cannot be combined with replication');
+        }
+        this.oplogSize = options.oplogSize || (this.follow || this.replicationSocket ? DEFAULT_OPLOG_SIZE : 0);
+        this.followInterval = options.followInterval || 1000;
+        this._oplogTs = 0;
+        this._replicationServer = null;
+        this._followers = new Set();
+        // The follower's state while it follows, null on a primary
+        this._replication = null;
+        this._replicationQueue = Promise.resolve();
+    }
+
+
+    async createIndex(dbName, collectionName, keys, options = {}) {
+        const fullCollectionName = `${dbName}.${collectionName}`;
+        this._assertWritable(fullCollectionName);
+        const key = typeof keys === 'string' ? { [keys]: 1 } : keys;
+        if (!key || typeof key !== 'object' || Object.keys(key).length === 0) {
+            throw new Error('Index key must be a field name or a non-empty key specification');
+        }
+        for (const [field, direction] of Object.entries(key)) {
+            if (direction !== 1 && direction !== -1 && direction !== 'text') {
+                throw new Error(`Invalid index direction for '${field}': ${direction}`);
+            }
+        }
+        const textFields = Object.keys(key).filter(field => key[field] === 'text');
+        let weights;
+        if (textFields.length > 0) {
+            if (textFields.length !== Object.keys(key).length) {
+                throw new Error('A text index cannot mix text and ordered fields');
+            }
+            if (options.unique || options.expireAfterSeconds !== undefined) {
+                throw new Error('A text index cannot be unique or expire documents');
+            }
+            weights = Object.fromEntries(textFields.map(field => [field, 1]));
+            for (const [field, weight] of Object.entries(options.weights || {})) {
+                if (!textFields.includes(field)) {
+                    throw new Error(`Weight given for '${field}', which is not a field of the text index`);
+                }
+                if (!Number.isInteger(weight) || weight < 1) {
+                    throw new Error(`Weight for '${field}' must be a positive integer`);
+                }
+                weights[field] = weight;
+            }
+        } else if (options.weights !== undefined) {
+            throw new Error('Weights are only allowed on a text index');
+        }
+        if (options.expireAfterSeconds !== undefined) {
+            if (!Number.isInteger(options.expireAfterSeconds) || options.expireAfterSeconds < 0) {
+                throw new Error('expireAfterSeconds must be a non-negative integer');
+            }
+            if (Object.keys(key).length !== 1 || key._id !== undefined) {
+                throw new Error('A TTL index must be on a single field other than _id');
+            }
+        }
+        const name = options.name || Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+        this._databases[dbName] = true;
+        await this._ensureLoaded([fullCollectionName]);
+        if (!this._collections[fullCollectionName]) {
+            this._collections[fullCollectionName] = [];
+        }
+        const spec = { name, key, unique: Boolean(options.unique), sparse: Boolean(options.sparse) };
+        if (options.expireAfterSeconds !== undefined) spec.expireAfterSeconds = options.expireAfterSeconds;
+        if (weights) spec.weights = weights;
+        const existing = this._getIndexes(fullCollectionName)[name];
+        if (existing) {
+            if (this._valuesEqual(this._indexSpec(existing), this._indexSpec(spec))) return name;
+            throw new Error(`An index named ${name} already exists with different options`);
+        }
+        const textIndex = Object.values(this._getIndexes(fullCollectionName)).find(index => index.terms);
+        if (weights && textIndex) {
+            throw new Error(`A collection can have only one text index, and ${fullCollectionName} has ${textIndex.name}`);
+        }
+        this._buildIndex(fullCollectionName, spec);
+        await this._persistCollectionMeta(dbName, collectionName);
+        await this._logCommand(fullCollectionName, { createIndexes: collectionName, ...spec });
+        return name;
     }
 
+    async dropIndex(dbName, collectionName, nameOrKeys) {
+        const fullCollectionName = `${dbName}.${collectionName}`;
+        this._assertWritable(fullCollectionName);
+        await this._ensureLoaded([fullCollectionName]);
+        const indexes = this._getIndexes(fullCollectionName);
+        const index = typeof nameOrKeys === 'string'
+            ? indexes[nameOrKeys]
+            : Object.values(indexes).find(candidate => this._valuesEqual(candidate.key, nameOrKeys));
+        if (!index) {
+            throw new Error(`Index not found: ${typeof nameOrKeys === 'string' ? nameOrKeys : JSON.stringify(nameOrKeys)}`);
+        }
+        if (index.name === '_id_') {
+            throw new Error('Cannot drop the _id index');
+        }
+        delete indexes[index.name];
+        await this._persistCollectionMeta(dbName, collectionName);
+        await this._logCommand(fullCollectionName, { dropIndexes: collectionName, index: index.name });
+    }
 
-    async createIndex(dbName, collectionName, field) {
+    listIndexes(dbName, collectionName) {
         const fullCollectionName = `${dbName}.${collectionName}`;
+        if (this._unloaded.has(fullCollectionName)) {
+            return [{ name: '_id_', key: { _id: 1 }, unique: true }, ...this._unloaded.get(fullCollectionName).indexes];
+        }
+        return Object.values(this._getIndexes(fullCollectionName)).map(index => this._indexSpec(index));
+    }
+
+    // Every collection has a unique _id index, created on first use
+    _getIndexes(fullCollectionName) {
         if (!this._indexes[fullCollectionName]) {
             this._indexes[fullCollectionName] = {};
+            this._buildIndex(fullCollectionName, { name: '_id_', key: { _id: 1 }, unique: true });
         }
-        const index = {};
-        const collection = this._collections[fullCollectionName];
-        if (!collection) return; //collection does not exist.
-        for (let i = 0; i < collection.length; i++) {
-            const doc = collection[i];
-            const value = doc[field];
-            if (!index[value]) {
-                index[value] = [];
+        return this._indexes[fullCollectionName];
+    }
+
+    _indexSpec(index) {
+        const spec = { name: index.name, key: index.key };
+        if (index.unique) spec.unique = true;
+        if (index.sparse) spec.sparse = true;
+        if (index.expireAfterSeconds !== undefined) spec.expireAfterSeconds = index.expireAfterSeconds;
+        if (index.weights) spec.weights = index.weights;
+        return spec;
+    }
+
+    // Index entries are { key, doc } pairs kept sorted by key, so the same
+    // structure serves equality lookups, range scans and sorting. A text
+    // index instead maps each term to the documents containing it, with
+    // the term's score in each.
+    _buildIndex(fullCollectionName, spec) {
+        const index = {
+            name: spec.name,
+            key: spec.key,
+            unique: Boolean(spec.unique),
+            sparse: Boolean(spec.sparse),
+            expireAfterSeconds: spec.expireAfterSeconds,
+            weights: spec.weights,
+            multikey: false,
+            entries: [],
+            terms: spec.weights ? new Map() : null
+        };
+        for (const doc of this._collections[fullCollectionName] || []) {
+            if (index.terms) {
+                this._indexText(index, doc);
+                continue;
+            }
+            for (const key of this._indexKeys(index, doc)) {
+                index.entries.push({ key, doc });
+            }
+        }
+        index.entries.sort((a, b) => this._compareIndexKeys(index, a.key, b.key));
+        if (index.unique) {
+            for (let i = 1; i < index.entries.length; i++) {
+                const previous = index.entries[i - 1];
+                if (previous.doc !== index.entries[i].doc && this._compareIndexKeys(index, previous.key, index.entries[i].key) === 0) {
+                    throw this._duplicateKeyError(fullCollectionName, index, previous.key);
+                }
             }
-            index[value].push(i);
         }
-        this._indexes[fullCollectionName][field] = index;
+        if (!this._indexes[fullCollectionName]) {
+            this._indexes[fullCollectionName] = {};
+        }
+        this._indexes[fullCollectionName][index.name] = index;
+        return index;
     }
 
-    async initialize() {
-        try {
-            await this._ensureStorageDirectory();
-            await this._loadPersistedData();
-            if (this.storageMode === 'disk') {
-                this._startIdleDump();
+    // One key per combination of values; array fields make the index multikey
+    _indexKeys(index, doc) {
+        const fields = Object.keys(index.key);
+        const perField = fields.map(field => {
+            const values = [];
+            for (const value of this._resolvePath(doc, field)) {
+                for (const item of Array.isArray(value) && value.length > 0 ? value : [value]) {
+                    if (!values.some(existing => this._valuesEqual(existing, item))) values.push(item);
+                }
             }
-            this._setupSignalHandlers();
-            
-            // Check if any users exist, create admin if not
-            await this._ensureAdminUser();
-            
-            this._isInitialized = true;
-        } catch (err) {
-            console.error('Error initializing database:', err);
-            throw err;
+            return values;
+        });
+        if (index.sparse && perField.every(values => values.every(value => value === undefined))) {
+            return [];
+        }
+        let keys = [[]];
+        for (const values of perField) {
+            keys = keys.flatMap(prefix => values.map(value => [...prefix, value === undefined ? null : value]));
         }
+        if (keys.length > 1) index.multikey = true;
+        return keys;
     }
 
-    async _ensureAdminUser() {
-        const fullCollectionName = 'auth.users';
-        
-        // Initialize auth.users collection if it doesn't exist
-        if (!this._collections[fullCollectionName]) {
-            this._collections[fullCollectionName] = [];
+    _compareIndexKeys(index, a, b, length = a.length) {
+        const directions = Object.values(index.key);
+        for (let i = 0; i < length; i++) {
+            const cmp = this._compareValues(a[i], b[i]);
+            if (cmp !== 0) return directions[i] < 0 ? -cmp : cmp;
         }
-        
-        // Check if any users exist
-        if (this._collections[fullCollectionName].length === 0) {
-            // Create admin user with full permissions
-            const adminPassword = await bcrypt.hash('admin', 10);
-            const adminUser = {
-                _id: this._generateUniqueId(),
-                username: 'admin',
-                password: adminPassword,
-                roles: [
-                    {
-                        resource: '*', // Wildcard for all resources
-                        permissions: ['read', 'write', 'admin']
+        return 0;
+    }
+
+    // Position of the first entry whose key prefix is >= bound (or > bound
+    // when `after` is set), in index order
+    _indexSeek(index, bound, after = false) {
+        let low = 0;
+        let high = index.entries.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            const cmp = this._compareIndexKeys(index, index.entries[mid].key, bound, bound.length);
+            if (cmp < 0 || (after && cmp === 0)) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    _indexDocument(indexes, doc) {
+        for (const index of Object.values(indexes)) {
+            if (index.terms) {
+                this._indexText(index, doc);
+                continue;
+            }
+            for (const key of this._indexKeys(index, doc)) {
+                index.entries.splice(this._indexSeek(index, key, true), 0, { key, doc });
+            }
+        }
+    }
+
+    _unindexDocument(indexes, doc) {
+        for (const index of Object.values(indexes)) {
+            if (index.terms) {
+                this._unindexText(index, doc);
+                continue;
+            }
+            for (const key of this._indexKeys(index, doc)) {
+                for (let i = this._indexSeek(index, key); i < index.entries.length; i++) {
+                    if (index.entries[i].doc === doc) {
+                        index.entries.splice(i, 1);
+                        break;
                     }
-                ]
-            };
-            
-            this._collections[fullCollectionName].push(adminUser);
-            this._changedCollections.add(fullCollectionName);
-            
-            console.log('Created default admin user (username: admin, password: admin)');
+                    if (this._compareIndexKeys(index, index.entries[i].key, key) !== 0) break;
+                }
+            }
+        }
+    }
+
+    _indexText(index, doc) {
+        for (const [term, score] of this._textTerms(index, doc)) {
+            if (!index.terms.has(term)) index.terms.set(term, new Map());
+            index.terms.get(term).set(doc, score);
+        }
+    }
+
+    _unindexText(index, doc) {
+        for (const term of this._textTerms(index, doc).keys()) {
+            const docs = index.terms.get(term);
+            if (!docs) continue;
+            docs.delete(doc);
+            if (docs.size === 0) index.terms.delete(term);
+        }
+    }
+
+    // Each string of an indexed field scores its terms as MongoDB does: the
+    // field's weight, times a frequency that gains less with every repeat,
+    // times a factor favouring terms that make up more of the string
+    _textTerms(index, doc) {
+        const scores = new Map();
+        for (const [field, weight] of Object.entries(index.weights)) {
+            for (const text of this._textValues(doc, field)) {
+                const terms = textTerms(text);
+                const counts = new Map();
+                for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+                for (const [term, count] of counts) {
+                    const score = weight * (2 - 2 ** (1 - count)) * (0.5 * count / terms.length + 0.5);
+                    scores.set(term, (scores.get(term) || 0) + score);
+                }
+            }
+        }
+        return scores;
+    }
+
+    _textValues(doc, field) {
+        return this._resolvePath(doc, field)
+            .flatMap(value => Array.isArray(value) ? value : [value])
+            .filter(value => typeof value === 'string');
+    }
+
+    // Rejects a batch of ops before any of it is applied if it would put
+    // duplicate keys into a unique index. Documents the batch replaces or
+    // removes don't count as conflicts.
+    _checkUniqueConstraints(ops, positions) {
+        const replaced = new Set();
+        ops.forEach((op, i) => {
+            if (positions[i] !== -1) replaced.add(this._collections[op.ns][positions[i]]);
+        });
+        const seen = new Map();
+        for (const op of ops) {
+            if (op.op === 'd') continue;
+            for (const index of Object.values(this._getIndexes(op.ns))) {
+                if (!index.unique) continue;
+                for (const key of this._indexKeys(index, op.doc)) {
+                    const seenKey = `${op.ns}\u0000${index.name}\u0000${this._valueKey(key)}`;
+                    if (seen.has(seenKey) && seen.get(seenKey) !== op.doc) {
+                        throw this._duplicateKeyError(op.ns, index, key);
+                    }
+                    seen.set(seenKey, op.doc);
+                    for (let i = this._indexSeek(index, key); i < index.entries.length; i++) {
+                        if (this._compareIndexKeys(index, index.entries[i].key, key) !== 0) break;
+                        if (!replaced.has(index.entries[i].doc)) {
+                            throw this._duplicateKeyError(op.ns, index, key);
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    _duplicateKeyError(fullCollectionName, index, key) {
+        const fields = Object.keys(index.key).map((field, i) => `${field}: ${EJSON.stringify(key[i])}`);
+        const keyValue = Object.fromEntries(Object.keys(index.key).map((field, i) => [field, key[i]]));
+        return new DuplicateKeyError(
+            `E11000 duplicate key error collection: ${fullCollectionName} index: ${index.name} dup key: { ${fields.join(', ')} }`,
+            { ...index.key }, keyValue);
+    }
+
+    // Picks the index that constrains the most leading fields of the query.
+    // Equality values must be scalars: arrays and regexes match through
+    // semantics the index can't express.
+    _planIndexScan(index, query) {
+        const indexable = value => !Array.isArray(value) && !(value instanceof RegExp)
+            && !(value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+        if (index.terms) return null;
+        const plan = { index, prefix: [], inValues: null, range: null, score: 0 };
+        for (const field of Object.keys(index.key)) {
+            if (!(field in query)) break;
+            const condition = query[field];
+            if (indexable(condition)) {
+                plan.prefix.push(condition);
+                continue;
+            }
+            if (!this._isOperatorObject(condition)) break;
+            const operators = Object.keys(condition);
+            if (operators.length === 1 && operators[0] === '$eq' && indexable(condition.$eq)) {
+                plan.prefix.push(condition.$eq);
+                continue;
+            }
+            if (operators.length === 1 && operators[0] === '$in' && Array.isArray(condition.$in) && condition.$in.every(indexable)) {
+                plan.inValues = condition.$in;
+            } else if (operators.every(op => ['$gt', '$gte', '$lt', '$lte'].includes(op))) {
+                plan.range = condition;
+            }
+            break;
+        }
+        plan.score = plan.prefix.length * 2 + (plan.inValues || plan.range ? 1 : 0);
+        // null also matches documents without the field, which a sparse
+        // index leaves out
+        const values = [...plan.prefix, ...(plan.inValues || []), ...Object.values(plan.range || {})];
+        if (index.sparse && values.some(value => value === null)) return null;
+        return plan.score > 0 ? plan : null;
+    }
+
+    // Candidate documents for a plan, in index order. The caller still runs
+    // the full query against each one.
+    _scanIndex(plan) {
+        const { index, prefix } = plan;
+        const docs = new Set();
+        const collect = (start, end) => {
+            for (let i = start; i < end; i++) docs.add(index.entries[i].doc);
+        };
+        if (plan.inValues) {
+            for (const value of plan.inValues) {
+                const bound = [...prefix, value];
+                collect(this._indexSeek(index, bound), this._indexSeek(index, bound, true));
+            }
+        } else if (plan.range) {
+            const direction = Object.values(index.key)[prefix.length];
+            const range = plan.range;
+            let low = range.$gt !== undefined ? { value: range.$gt, exclusive: true } : range.$gte !== undefined ? { value: range.$gte, exclusive: false } : null;
+            let high = range.$lt !== undefined ? { value: range.$lt, exclusive: true } : range.$lte !== undefined ? { value: range.$lte, exclusive: false } : null;
+            // On a multikey index each bound may be met by a different element
+            if (index.multikey && low && high) high = null;
+            const [first, last] = direction > 0 ? [low, high] : [high, low];
+            const start = first ? this._indexSeek(index, [...prefix, first.value], first.exclusive) : this._indexSeek(index, prefix);
+            const end = last ? this._indexSeek(index, [...prefix, last.value], !last.exclusive) : this._indexSeek(index, prefix, true);
+            collect(start, end);
+        } else {
+            collect(this._indexSeek(index, prefix), this._indexSeek(index, prefix, true));
+        }
+        return [...docs];
+    }
+
+    // An index can return documents in sort order if the sort is a prefix of
+    // its key (or the exact reverse) and every document has one entry
+    _sortIndex(indexes, sortSpec) {
+        const sortFields = Object.entries(sortSpec);
+        for (const index of indexes) {
+            if (index.multikey || index.sparse || index.terms) continue;
+            const keyFields = Object.entries(index.key);
+            if (sortFields.length > keyFields.length) continue;
+            const forward = sortFields.every(([field, direction], i) => keyFields[i][0] === field && keyFields[i][1] === direction);
+            const reverse = sortFields.every(([field, direction], i) => keyFields[i][0] === field && keyFields[i][1] === -direction);
+            if (forward || reverse) return { index, reverse };
+        }
+        return null;
+    }
+
+    _positionsOf(fullCollectionName, docs, session = null) {
+        const collection = this._collectionDocs(fullCollectionName, session);
+        if (docs.length === 1) return [collection.indexOf(docs[0])];
+        const positions = new Map(collection.map((doc, i) => [doc, i]));
+        return docs.map(doc => positions.get(doc));
+    }
+
+    // Applies a batch of ops at the given array positions (-1 appends) and
+    // journals it with its oplog entries. Deletes must come in descending
+    // position order.
+    _commit(ops, positions, transaction = false) {
+        ops.forEach(op => this._assertWritable(op.ns));
+        const previousDocs = positions.map((position, i) => position === -1 ? null : this._collections[ops[i].ns][position]);
+        this._validateOps(ops, previousDocs);
+        this._checkUniqueConstraints(ops, positions);
+        ops.forEach((op, i) => this._applyOp(op, positions[i]));
+        // A read-only instance's change history is the writer's
+        if (!this.readOnly) this._recordChanges(ops, previousDocs);
+        return this._journal([...ops, ...this._logOps(ops)], transaction);
+    }
+
+    // Writes made inside a transaction only touch the session's view until
+    // it commits
+    async _write(ops, positions, session = null) {
+        ops.forEach(op => this._assertWritable(op.ns));
+        if (!session || !session.inTransaction()) {
+            return await this._commit(ops, positions);
+        }
+        this._validateOps(ops, positions.map((position, i) => position === -1 ? null : session._view(ops[i].ns)[position]));
+        ops.forEach((op, i) => {
+            const docs = session._view(op.ns);
+            try {
+                this._checkViewUniqueConstraints(op, docs, positions[i]);
+            } catch (err) {
+                // Like a denied operation, it leaves the transaction unable to commit
+                session._transaction.error = err;
+                throw err;
+            }
+            if (op.replace) session._transaction.replaced.add(op.doc);
+            if (op.op === 'd') {
+                docs.splice(positions[i], 1);
+            } else if (positions[i] === -1) {
+                docs.push(op.doc);
+            } else {
+                docs[positions[i]] = op.doc;
+            }
+        });
+    }
+
+    // A transaction's view has no indexes, so an op's unique keys are
+    // compared with every other document in it
+    _checkViewUniqueConstraints(op, docs, position) {
+        if (op.op === 'd') return;
+        const replaced = position === -1 ? null : docs[position];
+        for (const index of Object.values(this._getIndexes(op.ns))) {
+            if (!index.unique) continue;
+            const keys = this._indexKeys(index, op.doc);
+            for (const doc of docs) {
+                if (doc === replaced) continue;
+                const key = this._indexKeys(index, doc).find(candidate =>
+                    keys.some(own => this._compareIndexKeys(index, own, candidate) === 0));
+                if (key) throw this._duplicateKeyError(op.ns, index, key);
+            }
+        }
+    }
+
+    _collectionDocs(fullCollectionName, session = null) {
+        if (session && session.inTransaction()) return session._view(fullCollectionName);
+        return this._collections[fullCollectionName] || [];
+    }
+
+    startSession() {
+        return new Session(this);
+    }
+
+    // Turns the difference between each collection as the transaction first
+    // saw it and its view into one batch, so the whole transaction goes
+    // through a single journal entry. Any other write to a collection the
+    // transaction touched in the meantime is a conflict.
+    async _commitTransaction(session) {
+        const transaction = session._transaction;
+        if (transaction.error) {
+            throw new Error(`Transaction cannot commit: ${transaction.error.message}`);
+        }
+        await this._ensureLoaded([...transaction.views.keys()]);
+        for (const [fullCollectionName, view] of transaction.views) {
+            if ((this._versions[fullCollectionName] || 0) !== view.version) {
+                throw new WriteConflictError(`WriteConflict: ${fullCollectionName} was modified outside the transaction`);
+            }
+        }
+        const updates = [];
+        const deletes = [];
+        const inserts = [];
+        for (const [fullCollectionName, view] of transaction.views) {
+            const basePositions = new Map(view.base.map((doc, i) => [this._valueKey(doc._id), i]));
+            const remaining = new Set();
+            for (const doc of view.docs) {
+                const key = this._valueKey(doc._id);
+                remaining.add(key);
+                if (!basePositions.has(key)) {
+                    inserts.push({ op: { op: 'i', ns: fullCollectionName, doc }, position: -1 });
+                } else if (view.base[basePositions.get(key)] !== doc) {
+                    const op = { op: 'u', ns: fullCollectionName, doc };
+                    if (transaction.replaced.has(doc)) op.replace = true;
+                    updates.push({ op, position: basePositions.get(key) });
+                }
+            }
+            for (const [key, position] of basePositions) {
+                if (!remaining.has(key)) {
+                    deletes.push({ op: { op: 'd', ns: fullCollectionName, _id: view.base[position]._id }, position });
+                }
+            }
+        }
+        // Updates don't move anything, deletes go from the end and inserts append
+        deletes.sort((a, b) => b.position - a.position);
+        const batch = [...updates, ...deletes, ...inserts];
+        if (batch.length === 0) return;
+        const journaled = this._commit(batch.map(entry => entry.op), batch.map(entry => entry.position), true);
+        if (this.storageMode === 'disk') this._lastActivity = Date.now();
+        await journaled;
+    }
+
+    async setValidation(dbName, collectionName, options = {}) {
+        const fullCollectionName = `${dbName}.${collectionName}`;
+        this._assertWritable(fullCollectionName);
+        const current = this._validators[fullCollectionName] || { validator: {}, validationLevel: 'strict', validationAction: 'error' };
+        const validation = {
+            validator: options.validator !== undefined ? options.validator : current.validator,
+            validationLevel: options.validationLevel || current.validationLevel,
+            validationAction: options.validationAction || current.validationAction
+        };
+        if (!['off', 'strict', 'moderate'].includes(validation.validationLevel)) {
+            throw new Error(`Invalid validationLevel: ${validation.validationLevel}`);
+        }
+        if (!['error', 'warn'].includes(validation.validationAction)) {
+            throw new Error(`Invalid validationAction: ${validation.validationAction}`);
+        }
+        if (!validation.validator || typeof validation.validator !== 'object') {
+            throw new Error('validator must be an object');
+        }
+        this._validators[fullCollectionName] = validation;
+        await this._persistCollectionMeta(dbName, collectionName);
+        await this._logCommand(fullCollectionName, { collMod: collectionName, ...validation });
+    }
+
+    // Turns an applied batch into change events. Stored documents are never
+    // mutated, so events can hold them and copy on delivery.
+    _recordChanges(ops, previousDocs) {
+        const events = ops.map((op, i) => {
+            const [dbName, collectionName] = this._splitNamespace(op.ns);
+            const event = { operationType: null, ns: { db: dbName, coll: collectionName }, wallTime: new Date() };
+            if (op.op === 'i') {
+                event.operationType = 'insert';
+                event.documentKey = { _id: op.doc._id };
+                event.fullDocument = op.doc;
+            } else if (op.op === 'u' && op.replace) {
+                event.operationType = 'replace';
+                event.documentKey = { _id: op.doc._id };
+                event.fullDocument = op.doc;
+            } else if (op.op === 'u') {
+                event.operationType = 'update';
+                event.documentKey = { _id: op.doc._id };
+                event.updateDescription = this._describeUpdate(previousDocs[i], op.doc);
+                event.fullDocument = op.doc;
+            } else {
+                event.operationType = 'delete';
+                event.documentKey = { _id: op._id };
+            }
+            return event;
+        });
+        for (const event of events) {
+            this._publishChange(event);
+        }
+    }
+
+    _publishChange(event) {
+        const seq = ++this._changeSeq;
+        event._id = { _data: seq.toString(16).padStart(16, '0') };
+        this._changeLog.push(event);
+        if (this._changeLog.length > this.changeLogSize) {
+            this._changeLog.splice(0, this._changeLog.length - this.changeLogSize);
+        }
+        // The database's change log goes away with it
+        if (this.storageMode === 'disk' && event.operationType !== 'dropDatabase') {
+            this._appendChangeLog(event);
+        }
+        for (const stream of this._changeStreams) {
+            this._deliverChange(stream, event);
+        }
+    }
+
+    // Changed paths in dot notation, descending into embedded documents
+    // but not into arrays
+    _describeUpdate(before, after, prefix = '', description = { updatedFields: {}, removedFields: [], truncatedArrays: [] }) {
+        const isEmbedded = value => value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+        for (const [key, value] of Object.entries(after)) {
+            if (isEmbedded(before[key]) && isEmbedded(value)) {
+                this._describeUpdate(before[key], value, `${prefix}${key}.`, description);
+            } else if (!(key in before) || !this._valuesEqual(before[key], value)) {
+                description.updatedFields[`${prefix}${key}`] = value;
+            }
+        }
+        for (const key of Object.keys(before)) {
+            if (!(key in after)) description.removedFields.push(`${prefix}${key}`);
+        }
+        return description;
+    }
+
+    // Shared by collection.watch() and db(name).watch(); collectionName is
+    // null for a database-wide stream
+    _watch(dbName, collectionName, pipeline = [], options = {}, user) {
+        if (!Array.isArray(pipeline)) {
+            throw new Error('Change stream pipeline must be an array of stages');
+        }
+        // Stages such as $lookup read other collections too
+        for (const ns of this._pipelineNamespaces(dbName, pipeline)) {
+            if (!this.checkPermission(user, ns, 'read')) {
+                throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} does not have read access to ${ns}`);
+            }
+        }
+        // Unknown stages and query operators are reported here rather than
+        // when the first event comes
+        this._runPipeline(dbName, [], pipeline);
+        for (const stage of pipeline) {
+            if (stage.$match) this._matchQuery({}, stage.$match);
+        }
+        const stream = new ChangeStream(this, { dbName, collectionName, pipeline, options, user });
+        const token = options.resumeAfter || options.startAfter;
+        if (token) {
+            const seq = this._changeSequence(token);
+            const oldest = this._changeLog.length > 0 ? this._changeSequence(this._changeLog[0]._id) : this._changeSeq + 1;
+            if (seq < oldest - 1 || seq > this._changeSeq) {
+                throw new ChangeStreamHistoryLostError('Resume token is no longer in the change log');
+            }
+            for (const event of this._changeLog) {
+                if (this._changeSequence(event._id) > seq) this._deliverChange(stream, event);
+            }
+        }
+        this._changeStreams.add(stream);
+        return stream;
+    }
+
+    _changeSequence(token) {
+        const seq = token && typeof token._data === 'string' ? parseInt(token._data, 16) : NaN;
+        if (Number.isNaN(seq)) {
+            throw new Error('Invalid resume token');
+        }
+        return seq;
+    }
+
+    // Permissions are checked per event so a database-wide stream only sees
+    // the collections its user can read
+    _deliverChange(stream, event) {
+        const { dbName, collectionName, pipeline, options, user } = stream._scope;
+        if (event.ns.db !== dbName || (collectionName && event.ns.coll && event.ns.coll !== collectionName)) return;
+        if (!this.checkPermission(user, event.ns.coll ? `${event.ns.db}.${event.ns.coll}` : event.ns.db, 'read')) return;
+        const copy = this._cloneDocument(event);
+        if (copy.operationType === 'update' && options.fullDocument !== 'updateLookup') {
+            delete copy.fullDocument;
+        }
+        try {
+            const [result] = this._runPipeline(dbName, [copy], pipeline);
+            if (result) {
+                stream._push({ token: event._id, event: result });
+            }
+            // A stream on a collection ends when the collection or its database goes away
+            if (collectionName && ['drop', 'rename', 'dropDatabase'].includes(event.operationType)) {
+                stream._push({ token: event._id, event: { _id: event._id, operationType: 'invalidate', wallTime: event.wallTime } });
+                stream.close();
+            }
+        } catch (err) {
+            stream._fail(err);
+        }
+    }
+
+    // Each database keeps its recent events in changes.log so streams can
+    // resume after a restart. The file is rewritten from memory once it
+    // holds twice the retained number of events.
+    _appendChangeLog(event) {
+        if (this.readOnly) return;
+        const dbName = event.ns.db;
+        const line = this._sealLine(EJSON.stringify(event)) + '\n';
+        const task = this._changeLogQueue.then(async () => {
+            const dbPath = path.join(this.storagePath, dbName);
+            await fs.mkdir(dbPath, { recursive: true });
+            const logPath = path.join(dbPath, 'changes.log');
+            this._changeLogLines[dbName] = (this._changeLogLines[dbName] || 0) + 1;
+            if (this._changeLogLines[dbName] <= this.changeLogSize * 2) {
+                await fs.appendFile(logPath, line);
+                return;
+            }
+            // Later events are already in memory but have their own appends queued
+            const seq = this._changeSequence(event._id);
+            const retained = this._changeLog.filter(entry => entry.ns.db === dbName && this._changeSequence(entry._id) <= seq);
+            await fs.writeFile(`${logPath}.tmp`, retained.map(entry => this._sealLine(EJSON.stringify(entry)) + '\n').join(''));
+            await fs.rename(`${logPath}.tmp`, logPath);
+            this._changeLogLines[dbName] = retained.length;
+        });
+        this._changeLogQueue = task.catch(err => this.logger.error(`Error writing change log for ${dbName}:`, err));
+    }
+
+    async _loadChangeLogs() {
+        const events = [];
+        for (const dbName of Object.keys(this._databases)) {
+            let data;
+            try {
+                data = await fs.readFile(path.join(this.storagePath, dbName, 'changes.log'), 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') continue;
+                throw err;
+            }
+            const lines = data.split('\n').filter(Boolean);
+            this._changeLogLines[dbName] = lines.length;
+            lines.forEach((line, i) => {
+                try {
+                    const event = EJSON.parse(this._openLine(line, `${dbName}/changes.log`));
+                    event.wallTime = new Date(event.wallTime);
+                    events.push(event);
+                } catch (parseErr) {
+                    if (parseErr.code === 'ERR_DECRYPT' && i < lines.length - 1) throw parseErr;
+                    this.logger.warn(`Skipping unreadable change log record in ${dbName}/changes.log`);
+                }
+            });
+        }
+        events.sort((a, b) => this._changeSequence(a._id) - this._changeSequence(b._id));
+        this._changeLog = events.slice(-this.changeLogSize);
+        if (events.length > 0) {
+            this._changeSeq = this._changeSequence(events[events.length - 1]._id);
+        }
+    }
+
+    // Runs before a batch is applied. With validationLevel 'moderate',
+    // updates to documents that were already invalid are let through.
+    _validateOps(ops, previousDocs) {
+        ops.forEach((op, i) => {
+            const validation = this._validators[op.ns];
+            if (op.op === 'd' || !validation || validation.validationLevel === 'off') return;
+            const errors = this._validateDocument(validation.validator, op.doc);
+            if (errors.length === 0) return;
+            if (validation.validationLevel === 'moderate' && op.op === 'u') {
+                if (this._validateDocument(validation.validator, previousDocs[i]).length > 0) return;
+            }
+            const details = errors.map(error => `'${error.path || '(root)'}' failed ${error.rule}: ${error.message}`).join('; ');
+            if (validation.validationAction === 'warn') {
+                this.logger.warn(`Document ${op.doc._id} in ${op.ns} failed validation: ${details}`);
+                return;
+            }
+            throw new ValidationError(`Document failed validation in ${op.ns}: ${details}`, errors);
+        });
+    }
+
+    _validateDocument(validator, doc) {
+        const errors = [];
+        const { $jsonSchema: schema, ...query } = validator;
+        if (schema) {
+            this._validateSchema(doc, schema, '', errors);
+        }
+        for (const [key, condition] of Object.entries(query)) {
+            if (!this._matchQuery(doc, { [key]: condition })) {
+                errors.push({ path: key.startsWith('$') ? '' : key, rule: key.startsWith('$') ? key : 'query', message: `does not match ${EJSON.stringify(condition)}` });
+            }
+        }
+        return errors;
+    }
+
+    // A $jsonSchema subset: the draft 4 keywords MongoDB accepts plus bsonType
+    _validateSchema(value, schema, valuePath, errors) {
+        const fail = (rule, message, at = valuePath) => errors.push({ path: at, rule, message });
+        const describe = v => v instanceof Date ? v.toISOString() : JSON.stringify(v);
+
+        if (schema.bsonType !== undefined) {
+            const types = Array.isArray(schema.bsonType) ? schema.bsonType : [schema.bsonType];
+            if (!types.some(type => this._isBsonType(value, type))) {
+                fail('bsonType', `expected ${types.join(' or ')}`);
+                return;
+            }
+        }
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this._isJsonSchemaType(value, type))) {
+                fail('type', `expected ${types.join(' or ')}`);
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.some(option => this._valuesEqual(option, value))) {
+            fail('enum', `${describe(value)} is not one of ${describe(schema.enum)}`);
+        }
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => this._validateSchema(value, sub, valuePath, errors));
+        }
+        if (schema.anyOf && !schema.anyOf.some(sub => this._schemaErrors(value, sub, valuePath).length === 0)) {
+            fail('anyOf', 'matches none of the schemas');
+        }
+        if (schema.oneOf && schema.oneOf.filter(sub => this._schemaErrors(value, sub, valuePath).length === 0).length !== 1) {
+            fail('oneOf', 'must match exactly one schema');
+        }
+        if (schema.not && this._schemaErrors(value, schema.not, valuePath).length === 0) {
+            fail('not', 'matches a schema it must not match');
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+                fail('minimum', `${value} is less than ${schema.exclusiveMinimum ? 'or equal to ' : ''}${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum)) {
+                fail('maximum', `${value} is greater than ${schema.exclusiveMaximum ? 'or equal to ' : ''}${schema.maximum}`);
+            }
+            if (schema.multipleOf !== undefined && value % schema.multipleOf !== 0) {
+                fail('multipleOf', `${value} is not a multiple of ${schema.multipleOf}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            const length = [...value].length;
+            if (schema.minLength !== undefined && length < schema.minLength) {
+                fail('minLength', `length ${length} is less than ${schema.minLength}`);
+            }
+            if (schema.maxLength !== undefined && length > schema.maxLength) {
+                fail('maxLength', `length ${length} is greater than ${schema.maxLength}`);
+            }
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+                fail('pattern', `${describe(value)} does not match /${schema.pattern}/`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail('minItems', `${value.length} items is less than ${schema.minItems}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail('maxItems', `${value.length} items is more than ${schema.maxItems}`);
+            }
+            if (schema.uniqueItems && value.some((item, i) => value.slice(0, i).some(other => this._valuesEqual(other, item)))) {
+                fail('uniqueItems', 'contains duplicate items');
+            }
+            if (Array.isArray(schema.items)) {
+                schema.items.forEach((sub, i) => {
+                    if (i < value.length) this._validateSchema(value[i], sub, `${valuePath}.${i}`.replace(/^\./, ''), errors);
+                });
+                if (schema.additionalItems === false && value.length > schema.items.length) {
+                    fail('additionalItems', `has ${value.length - schema.items.length} items beyond the tuple`);
+                } else if (schema.additionalItems && typeof schema.additionalItems === 'object') {
+                    value.slice(schema.items.length).forEach((item, i) =>
+                        this._validateSchema(item, schema.additionalItems, `${valuePath}.${schema.items.length + i}`.replace(/^\./, ''), errors));
+                }
+            } else if (schema.items) {
+                value.forEach((item, i) => this._validateSchema(item, schema.items, `${valuePath}.${i}`.replace(/^\./, ''), errors));
+            }
+        }
+
+        if (this._typeRank(value) === 4) {
+            const keys = Object.keys(value);
+            const childPath = key => valuePath ? `${valuePath}.${key}` : key;
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) fail('required', 'is required', childPath(key));
+            }
+            if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+                fail('minProperties', `${keys.length} properties is less than ${schema.minProperties}`);
+            }
+            if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+                fail('maxProperties', `${keys.length} properties is more than ${schema.maxProperties}`);
+            }
+            const properties = schema.properties || {};
+            const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, sub]) => [new RegExp(pattern), sub]);
+            for (const key of keys) {
+                let described = false;
+                if (properties[key]) {
+                    this._validateSchema(value[key], properties[key], childPath(key), errors);
+                    described = true;
+                }
+                for (const [pattern, sub] of patterns) {
+                    if (pattern.test(key)) {
+                        this._validateSchema(value[key], sub, childPath(key), errors);
+                        described = true;
+                    }
+                }
+                if (!described && schema.additionalProperties === false) {
+                    fail('additionalProperties', 'is not allowed', childPath(key));
+                } else if (!described && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    this._validateSchema(value[key], schema.additionalProperties, childPath(key), errors);
+                }
+            }
+        }
+    }
+
+    _schemaErrors(value, schema, valuePath) {
+        const errors = [];
+        this._validateSchema(value, schema, valuePath, errors);
+        return errors;
+    }
+
+    _isJsonSchemaType(value, type) {
+        switch (type) {
+            case 'object': return this._typeRank(value) === 4;
+            case 'array': return Array.isArray(value);
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number';
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'null': return value === null;
+            default:
+                throw new Error(`Unknown JSON Schema type: ${type}`);
+        }
+    }
+
+    async initialize() {
+        try {
+            await this._ensureStorageDirectory();
+            await this._acquireLock();
+            if (this.readOnly) {
+                this._storageState = await this._readStorageState();
+            }
+            await this._loadKeys();
+            await this._loadPersistedData();
+            if (this.oplogSize > 0) {
+                await this._openOplog();
+            }
+            if (this.readOnly) {
+                if (this.reloadInterval) this._startReloading();
+            } else {
+                if (this.storageMode === 'disk') {
+                    this._startIdleDump();
+                }
+                this._startTtlMonitor();
+            }
+            this._setupSignalHandlers();
+            
+            // The writer sets up users and auth indexes of a store opened
+            // read-only, and the primary those of a follower
+            if (!this.readOnly) {
+                if (!this.follow) {
+                    // Check if any users exist, create admin if not
+                    await this._ensureAdminUser();
+                    await this.createIndex('auth', 'roles', { name: 1 }, { unique: true });
+                }
+                // Expired login sessions are swept like any other TTL collection
+                await this.createIndex('auth', 'sessions', { expiresAt: 1 }, { expireAfterSeconds: 0 });
+            }
+            if (this.replicationSocket) {
+                await this._startReplicationServer();
+            }
+            if (this.follow) {
+                this._startFollowing();
+            }
+            
+            this._isInitialized = true;
+        } catch (err) {
+            this.logger.error('Error initializing database:', err);
+            if (this._replicationServer) {
+                this._replicationServer.close();
+                this._replicationServer = null;
+            }
+            await this._releaseLock();
+            throw err;
+        }
+    }
+
+    async _ensureAdminUser() {
+        const fullCollectionName = 'auth.users';
+        
+        // Initialize auth.users collection if it doesn't exist
+        if (!this._collections[fullCollectionName]) {
+            this._collections[fullCollectionName] = [];
+        }
+        
+        // Check if any users exist
+        if (this._collections[fullCollectionName].length === 0) {
+            // Create admin user with full permissions
+            const { username = 'admin', password = 'admin' } = this.initialAdmin || {};
+            const adminPassword = await bcrypt.hash(password, 10);
+            const adminUser = {
+                _id: this._generateUniqueId(),
+                username,
+                password: adminPassword,
+                roles: [
+                    {
+                        resource: '*', // Wildcard for all resources
+                        permissions: ['read', 'write', 'admin']
+                    }
+                ]
+            };
+            
+            if (this.forcePasswordChange) {
+                adminUser.mustChangePassword = true;
+            }
+            
+            await this._commit([{ op: 'i', ns: fullCollectionName, doc: adminUser }], [-1]);
+            
+            if (this.initialAdmin) {
+                this.logger.info(`Created admin user ${username} from configuration`);
+            } else {
+                this.logger.info('Created default admin user (username: admin, password: admin)');
+            }
+        }
+    }
+
+    async _ensureStorageDirectory() {
+        if (this.readOnly) {
+            try {
+                await fs.access(this.storagePath);
+            } catch (err) {
+                throw new Error(`Cannot open ${this.storagePath} read-only: ${err.message}`);
+            }
+            return;
+        }
+        try {
+            await fs.mkdir(this.storagePath, { recursive: true });
+        } catch (err) {
+            if (err.code !== 'EEXIST') {
+                throw new Error(`Failed to create storage directory: ${err.message}`);
+            }
+        }
+    }
+
+    // Only one process may open a storage directory for writing. .lock holds
+    // its pid, and a lock left by a process that has gone is taken over. A
+    // lock from another host can't be checked and is always respected.
+    async _acquireLock() {
+        if (this.storageMode !== 'disk' || this.readOnly) return;
+        const lockPath = path.join(this.storagePath, '.lock');
+        const unique = `${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+        const tmpPath = `${lockPath}.${unique}.tmp`;
+        const stalePath = `${lockPath}.${unique}.stale`;
+        await fs.writeFile(tmpPath, JSON.stringify({ pid: process.pid, hostname: os.hostname(), startedAt: new Date() }));
+        try {
+            for (let attempt = 0; attempt < 5; attempt++) {
+                try {
+                    // Linking the finished file in, so no one reads it half written
+                    await fs.link(tmpPath, lockPath);
+                    this._lockPath = lockPath;
+                    return;
+                } catch (err) {
+                    if (err.code !== 'EEXIST') throw err;
+                }
+                let text;
+                try {
+                    text = await fs.readFile(lockPath, 'utf8');
+                } catch (err) {
+                    if (err.code === 'ENOENT') continue;
+                    throw err;
+                }
+                let owner;
+                try {
+                    owner = JSON.parse(text);
+                } catch (err) {
+                    owner = {};
+                }
+                if (this._isLockOwnerAlive(owner)) {
+                    const where = owner.hostname === os.hostname() ? '' : ` on ${owner.hostname}`;
+                    throw new StorageLockedError(`${this.storagePath} is in use by process ${owner.pid}${where}; open it with readOnly to read it alongside`);
+                }
+                await this._removeStaleLock(lockPath, stalePath, text, owner);
+            }
+            throw new StorageLockedError(`Could not lock ${this.storagePath}`);
+        } finally {
+            await this._unlinkIfExists(tmpPath);
+        }
+    }
+
+    // Another process may take over the same stale lock and put its own in
+    // place between our read and our unlink. So the lock is first moved
+    // aside, where no one else can touch it, and only removed if it is still
+    // the one that was read; a newer lock is put back.
+    async _removeStaleLock(lockPath, stalePath, text, owner) {
+        try {
+            await fs.rename(lockPath, stalePath);
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+        try {
+            if (await fs.readFile(stalePath, 'utf8') === text) {
+                this.logger.warn(`Taking over the lock on ${this.storagePath} left by process ${owner.pid}`);
+                return;
+            }
+            try {
+                await fs.link(stalePath, lockPath);
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+            }
+        } finally {
+            await this._unlinkIfExists(stalePath);
+        }
+    }
+
+    _isLockOwnerAlive(owner) {
+        if (!Number.isInteger(owner.pid)) return false;
+        if (owner.hostname !== os.hostname()) return true;
+        try {
+            process.kill(owner.pid, 0);
+            return true;
+        } catch (err) {
+            // EPERM: it exists but belongs to another user
+            return err.code === 'EPERM';
+        }
+    }
+
+    async _releaseLock() {
+        if (!this._lockPath) return;
+        const lockPath = this._lockPath;
+        this._lockPath = null;
+        await this._unlinkIfExists(lockPath);
+    }
+
+    _assertWritable(target) {
+        // Login sessions belong to the instance the user logged in to
+        if (target === 'auth.sessions') return;
+        if (this.readOnly) {
+            throw new ReadOnlyError(`Cannot modify ${target}: ${this.storagePath} is open read-only`);
+        }
+        if (this._replication) {
+            throw new NotPrimaryError(`Cannot modify ${target}: this instance follows ${this.follow}; write to the primary`);
+        }
+        if (target === 'local.oplog') {
+            throw new Error('local.oplog is only written by replication');
+        }
+    }
+
+    _startReloading() {
+        this._reloadTimer = setInterval(async () => {
+            try {
+                await this.reload();
+            } catch (err) {
+                this.logger.error('Error reloading from disk:', err);
+            }
+        }, this.reloadInterval);
+        this._reloadTimer.unref();
+    }
+
+    // Sizes and times of the files a writer changes, to tell whether there
+    // is anything to reload
+    async _readStorageState() {
+        const state = [];
+        for (const dbName of (await fs.readdir(this.storagePath)).sort()) {
+            if (dbName.startsWith('.')) continue;
+            let files;
+            try {
+                files = await fs.readdir(path.join(this.storagePath, dbName));
+            } catch (err) {
+                if (err.code === 'ENOENT' || err.code === 'ENOTDIR') continue;
+                throw err;
+            }
+            for (const file of files.sort()) {
+                if (!/\.(json|meta|log)$/.test(file)) continue;
+                try {
+                    const stat = await fs.stat(path.join(this.storagePath, dbName, file));
+                    state.push(`${dbName}/${file} ${stat.size} ${stat.mtimeMs}`);
+                } catch (err) {
+                    if (err.code !== 'ENOENT') throw err;
+                }
+            }
+        }
+        return state.join('\n');
+    }
+
+    // Picks up what the writer has saved since this read-only instance was
+    // opened or last reloaded: its checkpoints and, if it journals, its
+    // acknowledged writes. Collections whose segments are unchanged keep
+    // their loaded documents, and open change streams get the writer's
+    // events. Returns whether anything had changed.
+    async reload() {
+        if (!this.readOnly) {
+            throw new Error('reload() is for stores opened with readOnly');
+        }
+        if (!this._reloading) {
+            this._reloading = this._reload().finally(() => {
+                this._reloading = null;
+            });
+        }
+        return await this._reloading;
+    }
+
+    async _reload() {
+        const state = await this._readStorageState();
+        if (state === this._storageState) return false;
+        const fresh = new JSM({
+            storageMode: 'disk',
+            storagePath: this.storagePath,
+            readOnly: true,
+            encryption: this.encryption,
+            logger: this.logger,
+            changeLogSize: this.changeLogSize
+        });
+        await fresh._loadKeys();
+        await fresh._loadPersistedData();
+
+        for (const fullCollectionName of Object.keys(this._collections)) {
+            const entry = fresh._unloaded.get(fullCollectionName);
+            const segments = this._segments[fullCollectionName];
+            if (!entry || !segments || this._changedCollections.has(fullCollectionName)
+                || !this._valuesEqual(entry.segments.map(segment => segment.id), segments.map(segment => segment.id))
+                || !this._valuesEqual(entry.indexes, this.listIndexes(...this._splitNamespace(fullCollectionName)).filter(index => index.name !== '_id_'))) continue;
+            fresh._unloaded.delete(fullCollectionName);
+            fresh._collections[fullCollectionName] = this._collections[fullCollectionName];
+            fresh._indexes[fullCollectionName] = this._indexes[fullCollectionName];
+            fresh._segments[fullCollectionName] = segments;
+        }
+        // This instance's own login sessions
+        if (this._collections['auth.sessions']) {
+            fresh._unloaded.delete('auth.sessions');
+            fresh._collections['auth.sessions'] = this._collections['auth.sessions'];
+            fresh._indexes['auth.sessions'] = this._indexes['auth.sessions'];
+        }
+
+        // Transactions that read the old state can't commit
+        for (const fullCollectionName of new Set([...this._namespaces(), ...fresh._namespaces()])) {
+            this._versions[fullCollectionName] = (this._versions[fullCollectionName] || 0) + 1;
+        }
+        for (const field of ['_keys', '_databases', '_collections', '_unloaded', '_indexes', '_segments', '_validators',
+            '_generations', '_lastPersisted', '_changedCollections', '_lsn']) {
+            this[field] = fresh[field];
+        }
+        this.recoveryLog.push(...fresh.recoveryLog);
+        const seen = this._changeSeq;
+        for (const event of fresh._changeLog) {
+            if (this._changeSequence(event._id) <= seen) continue;
+            this._changeSeq = this._changeSequence(event._id);
+            this._changeLog.push(event);
+            for (const stream of this._changeStreams) {
+                this._deliverChange(stream, event);
+            }
+        }
+        this._changeLog.splice(0, Math.max(this._changeLog.length - this.changeLogSize, 0));
+        this._storageState = state;
+        return true;
+    }
+
+    // local.oplog has one entry per replicated write: { _id, ts, wall, op,
+    // ns, o, o2 }. op is 'i', 'u' (o is the new document, o2 its _id), 'd'
+    // (o is the _id), 'c' for commands, whose ns is <db>.$cmd, or 'n' for
+    // none. ts counts up from 1 and is the _id too.
+    async _openOplog() {
+        await this._ensureLoaded(['local.oplog']);
+        const last = this._lastOplogEntry();
+        this._oplogTs = last ? last.ts : 0;
+        // Followers carry on from an entry they share with the primary, and
+        // copy everything when there is none. A new oplog gets one to share.
+        if (!last && !this.follow && !this.readOnly) {
+            await this._journal(this._appendOplog([this._oplogEntry('n', '', { msg: 'new primary' })]));
+        }
+    }
+
+    _lastOplogEntry() {
+        const oplog = this._collections['local.oplog'];
+        return oplog && oplog.length > 0 ? oplog[oplog.length - 1] : null;
+    }
+
+    _oplogEntry(op, ns, o, o2) {
+        const ts = this._oplogTs + 1;
+        const entry = { _id: ts, ts, wall: new Date(), op, ns, o };
+        if (o2) entry.o2 = o2;
+        return entry;
+    }
+
+    // Login sessions and the local database belong to each instance
+    _isReplicated(fullCollectionName) {
+        return fullCollectionName !== 'auth.sessions' && !fullCollectionName.startsWith('local.');
+    }
+
+    // Adds applied ops to the oplog and returns the ops doing so, which are
+    // journaled with them
+    _logOps(ops) {
+        if (this.oplogSize === 0) return [];
+        const logged = [];
+        for (const op of ops) {
+            if (!this._isReplicated(op.ns)) continue;
+            const [dbName, collectionName] = this._splitNamespace(op.ns);
+            let entry;
+            switch (op.op) {
+                case 'i':
+                    entry = this._oplogEntry('i', op.ns, op.doc);
+                    break;
+                case 'u':
+                    entry = this._oplogEntry('u', op.ns, op.doc, { _id: op.doc._id });
+                    break;
+                case 'd':
+                    entry = this._oplogEntry('d', op.ns, { _id: op._id });
+                    break;
+                case 'drop':
+                    entry = this._oplogEntry('c', `${dbName}.$cmd`, { drop: collectionName });
+                    break;
+                case 'rename':
+                    entry = this._oplogEntry('c', `${dbName}.$cmd`, { renameCollection: op.ns, to: op.to });
+                    break;
+                case 'dropDatabase':
+                    entry = this._oplogEntry('c', op.ns, { dropDatabase: 1 });
+                    break;
+            }
+            // One at a time, as each entry takes the next ts
+            logged.push(...this._appendOplog([entry]));
+        }
+        return logged;
+    }
+
+    // Index and validator changes aren't journaled themselves, only their entry
+    _logCommand(fullCollectionName, command) {
+        if (this.oplogSize === 0 || !this._isReplicated(fullCollectionName)) return Promise.resolve();
+        const [dbName] = this._splitNamespace(fullCollectionName);
+        return this._journal(this._appendOplog([this._oplogEntry('c', `${dbName}.$cmd`, command)]));
+    }
+
+    // Adds entries to local.oplog, removing the oldest beyond oplogSize, and
+    // sends them to the followers
+    _appendOplog(entries) {
+        const ops = [];
+        for (const entry of entries) {
+            const op = { op: 'i', ns: 'local.oplog', doc: entry };
+            this._applyOp(op, -1);
+            ops.push(op);
+            this._oplogTs = entry.ts;
+        }
+        const oplog = this._collections['local.oplog'];
+        while (oplog && oplog.length > this.oplogSize) {
+            const op = { op: 'd', ns: 'local.oplog', _id: oplog[0]._id };
+            this._applyOp(op, 0);
+            ops.push(op);
+        }
+        for (const follower of this._followers) {
+            if (follower.live && !follower.socket.destroyed) sendMessage(follower.socket, { entries });
+        }
+        return ops;
+    }
+
+    // The entries after the one at ts, provided it is the same entry (same
+    // wall time) as the asker's. null when this oplog doesn't have it: the
+    // asker is too far behind, new, or has a different history, and must
+    // copy everything.
+    _oplogAfter(ts, wall) {
+        const oplog = this._collections['local.oplog'] || [];
+        let index = oplog.length - 1;
+        while (index >= 0 && oplog[index].ts > ts) index--;
+        if (index < 0 || oplog[index].ts !== ts || !wall || oplog[index].wall.getTime() !== wall.getTime()) return null;
+        return oplog.slice(index + 1);
+    }
+
+    _collectionCopy(fullCollectionName) {
+        return {
+            ns: fullCollectionName,
+            docs: this._collections[fullCollectionName],
+            indexes: this.listIndexes(...this._splitNamespace(fullCollectionName)).filter(index => index.name !== '_id_'),
+            validation: this._validators[fullCollectionName] || null
+        };
+    }
+
+    // Followers connect, send { after, wall } naming the last entry they
+    // have and get { entries } from there on. One that must copy everything
+    // is sent { clone } with the entry the copy starts at, then each
+    // collection as { collection }, then the entries written meanwhile.
+    // Followers answer each batch with { applied, wall }.
+    async _startReplicationServer() {
+        const server = net.createServer(socket => this._serveFollower(socket));
+        const listen = () => new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(this.replicationSocket, () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
+        });
+        try {
+            await listen();
+        } catch (err) {
+            if (err.code !== 'EADDRINUSE' || await this._socketInUse(this.replicationSocket)) throw err;
+            // Left behind by a process that has gone
+            await this._unlinkIfExists(this.replicationSocket);
+            await listen();
+        }
+        server.on('error', err => this.logger.error('Replication server error:', err));
+        this._replicationServer = server;
+    }
+
+    _socketInUse(socketPath) {
+        return new Promise(resolve => {
+            const probe = net.createConnection(socketPath, () => {
+                probe.destroy();
+                resolve(true);
+            });
+            probe.on('error', () => resolve(false));
+        });
+    }
+
+    _serveFollower(socket) {
+        // live once it has been sent everything up to now
+        const follower = { socket, live: false, applied: null };
+        this._followers.add(follower);
+        readMessages(socket, message => {
+            if (message.after !== undefined) {
+                this._feedFollower(follower, message).catch(err => {
+                    this.logger.warn(`Stopped replicating to a follower: ${err.message}`);
+                    socket.destroy();
+                });
+            } else if (message.applied !== undefined) {
+                follower.applied = { ts: message.applied, wall: message.wall };
+            }
+        });
+        socket.on('error', err => this.logger.debug(`Follower connection error: ${err.message}`));
+        socket.on('close', () => this._followers.delete(follower));
+    }
+
+    async _feedFollower(follower, { after, wall }) {
+        await this._ensureLoaded(['local.oplog']);
+        let entries = this._oplogAfter(after, wall);
+        if (!entries) {
+            const start = this._lastOplogEntry();
+            if (!start) {
+                throw new Error('there is no oplog to follow yet');
+            }
+            sendMessage(follower.socket, { clone: start });
+            for (const fullCollectionName of this._namespaces().filter(ns => this._isReplicated(ns))) {
+                await this._ensureLoaded([fullCollectionName]);
+                if (follower.socket.destroyed) return;
+                if (this._collectionExists(fullCollectionName)) {
+                    sendMessage(follower.socket, { collection: this._collectionCopy(fullCollectionName) });
+                }
+            }
+            await this._ensureLoaded(['local.oplog']);
+            entries = this._oplogAfter(start.ts, start.wall);
+            if (!entries) {
+                throw new Error('the oplog moved on past the start of the copy before it was sent');
+            }
+        }
+        if (follower.socket.destroyed) return;
+        sendMessage(follower.socket, { entries });
+        follower.live = true;
+    }
+
+    _startFollowing() {
+        this._replication = {
+            // The socket to the primary, or a read-only instance on its directory
+            connection: null,
+            reader: null,
+            connected: false,
+            // The primary's entry a copy of its data starts at, while copying
+            copying: null,
+            // The primary's latest entry as last heard of
+            primary: null,
+            polling: false,
+            stopped: false,
+            lastError: null,
+            timer: null
+        };
+        const replication = this._replication;
+        const follow = () => this._followPrimary(replication).catch(err => this._replicationError(replication, err));
+        replication.timer = setInterval(follow, this.followInterval);
+        replication.timer.unref();
+        follow();
+    }
+
+    // Logged once until replication works again, not on every retry
+    _replicationError(replication, err) {
+        if (err.message !== replication.lastError) {
+            this.logger.warn(`Replication from ${this.follow} failed: ${err.message}`);
+        }
+        replication.lastError = err.message;
+    }
+
+    async _followPrimary(replication) {
+        if (replication.stopped || replication.polling || replication.connection) return;
+        replication.polling = true;
+        try {
+            let stat = null;
+            try {
+                stat = await fs.stat(this.follow);
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+            if (replication.stopped) return;
+            if (stat && stat.isDirectory()) {
+                await this._enqueueReplication(() => this._pullFromDirectory(replication));
+            } else {
+                this._connectToPrimary(replication);
+            }
+        } finally {
+            replication.polling = false;
+        }
+    }
+
+    _enqueueReplication(task) {
+        const result = this._replicationQueue.then(task);
+        this._replicationQueue = result.catch(() => {});
+        return result;
+    }
+
+    _connectToPrimary(replication) {
+        const socket = net.createConnection(this.follow);
+        replication.connection = socket;
+        socket.on('connect', () => {
+            replication.connected = true;
+            replication.lastError = null;
+            this.logger.info(`Following the primary at ${this.follow}`);
+            const last = this._lastOplogEntry();
+            sendMessage(socket, { after: last ? last.ts : 0, wall: last ? last.wall : null });
+        });
+        readMessages(socket, message => {
+            if (message.clone) replication.primary = { ts: message.clone.ts, wall: message.clone.wall };
+            if (message.entries && message.entries.length > 0) {
+                const latest = message.entries[message.entries.length - 1];
+                replication.primary = { ts: latest.ts, wall: latest.wall };
+            }
+            this._enqueueReplication(() => this._receiveReplication(replication, socket, message)).catch(err => {
+                this.logger.error('Error applying replicated writes:', err);
+                socket.destroy();
+            });
+        });
+        socket.on('error', err => this._replicationError(replication, err));
+        socket.on('close', () => {
+            if (replication.connected && !replication.stopped) {
+                this.logger.warn(`Lost the connection to the primary at ${this.follow}`);
+            }
+            replication.connected = false;
+            if (replication.connection === socket) replication.connection = null;
+        });
+    }
+
+    async _receiveReplication(replication, socket, message) {
+        // Left over from a closed connection or a promote()
+        if (replication.stopped || replication.connection !== socket) return;
+        if (message.clone) {
+            await this._beginCopy(replication, message.clone);
+        } else if (message.collection) {
+            await this._copyCollection(message.collection);
+        } else if (message.entries) {
+            if (replication.copying) await this._finishCopy(replication);
+            await this._applyOplogEntries(message.entries);
+            const last = this._lastOplogEntry();
+            if (!socket.destroyed) sendMessage(socket, { applied: last.ts, wall: last.wall });
+        }
+    }
+
+    // Reads the primary's oplog from its storage directory through a
+    // read-only instance, reloaded on each poll. Writes show up there once
+    // the primary has journaled or checkpointed them.
+    async _pullFromDirectory(replication) {
+        if (replication.stopped) return;
+        if (!replication.reader) {
+            replication.reader = new JSM({
+                storageMode: 'disk',
+                storagePath: this.follow,
+                readOnly: true,
+                encryption: this.encryption,
+                logger: this.logger
+            });
+        }
+        const reader = replication.reader;
+        await reader.reload();
+        await reader._ensureLoaded(['local.oplog']);
+        const primary = reader._lastOplogEntry();
+        if (!primary) {
+            throw new Error('the primary keeps no oplog; give it an oplogSize');
+        }
+        if (replication.stopped) return;
+        replication.connected = true;
+        replication.lastError = null;
+        replication.primary = { ts: primary.ts, wall: primary.wall };
+        const last = this._lastOplogEntry();
+        let entries = last && reader._oplogAfter(last.ts, last.wall);
+        if (!entries) {
+            await this._beginCopy(replication, primary);
+            for (const fullCollectionName of reader._namespaces().filter(ns => reader._isReplicated(ns))) {
+                await reader._ensureLoaded([fullCollectionName]);
+                if (reader._collectionExists(fullCollectionName)) {
+                    await this._copyCollection(reader._collectionCopy(fullCollectionName));
+                }
+            }
+            await this._finishCopy(replication);
+            entries = reader._oplogAfter(primary.ts, primary.wall);
+        }
+        await this._applyOplogEntries(entries);
+    }
+
+    // Replaces all replicated data with the primary's. The oplog is emptied
+    // and saved first, so a copy that is cut short starts over.
+    async _beginCopy(replication, start) {
+        replication.copying = start;
+        this.logger.info(`Copying the data of the primary at ${this.follow}`);
+        // Followers of this one have to start over too
+        for (const follower of this._followers) {
+            follower.socket.destroy();
+        }
+        // Writes of other databases may be journaled in one about to go
+        await this._dumpChangedCollections();
+        for (const dbName of Object.keys(this._databases)) {
+            if (dbName !== 'auth' && dbName !== 'local') this._applyCommand({ op: 'dropDatabase', ns: `${dbName}.$cmd` });
+        }
+        for (const fullCollectionName of this._namespaces()) {
+            if (this._isReplicated(fullCollectionName) || fullCollectionName === 'local.oplog') {
+                this._applyCommand({ op: 'drop', ns: fullCollectionName });
+            }
+        }
+        await this._dumpChangedCollections();
+    }
+
+    // Copied documents are shared with the source, which never mutates them
+    async _copyCollection({ ns: fullCollectionName, docs, indexes, validation }) {
+        const [dbName, collectionName] = this._splitNamespace(fullCollectionName);
+        this._databases[dbName] = true;
+        this._collections[fullCollectionName] = docs.slice();
+        delete this._indexes[fullCollectionName];
+        this._getIndexes(fullCollectionName);
+        for (const spec of indexes) {
+            this._buildIndex(fullCollectionName, spec);
+        }
+        if (validation) this._validators[fullCollectionName] = validation;
+        this._changedCollections.add(fullCollectionName);
+        await this._persistCollectionMeta(dbName, collectionName);
+    }
+
+    // The copy is saved before the entry it started at goes into the oplog,
+    // since following resumes from there
+    async _finishCopy(replication) {
+        const start = replication.copying;
+        await this._dumpChangedCollections();
+        await this._journal(this._appendOplog([start]));
+        await this._dumpChangedCollections();
+        replication.copying = null;
+        this.logger.info(`Copied the data of the primary at ${this.follow}`);
+    }
+
+    // Entries are applied on top of whatever the follower has: an insert of
+    // a document it has replaces it, and updates and deletes of documents
+    // it lacks are skipped. So the entries written while a copy was being
+    // made can be applied to it. Each goes into this instance's oplog too,
+    // so it can have followers of its own and carry on after promote().
+    async _applyOplogEntries(entries) {
+        const journaled = [];
+        for (const entry of entries) {
+            if (entry.ts <= this._oplogTs) continue;
+            const namespaces = this._oplogNamespaces(entry).filter(fullCollectionName => this._unloaded.has(fullCollectionName));
+            if (namespaces.length > 0) await this._ensureLoaded(namespaces);
+            if (entry.op === 'c') {
+                await this._applyOplogCommand(entry);
+            } else {
+                journaled.push(this._applyOplogWrite(entry));
+            }
+        }
+        await Promise.all(journaled);
+    }
+
+    _oplogNamespaces(entry) {
+        if (entry.op === 'n') return [];
+        if (entry.op !== 'c') return [entry.ns];
+        const [dbName] = this._splitNamespace(entry.ns);
+        const command = entry.o;
+        if (command.renameCollection) return [command.renameCollection, command.to];
+        const collectionName = command.createIndexes || command.dropIndexes || command.collMod || command.create;
+        return collectionName ? [`${dbName}.${collectionName}`] : [];
+    }
+
+    _applyOplogWrite(entry) {
+        const ops = [];
+        if (entry.op !== 'n') {
+            const current = this._collections[entry.ns] ? this._findDocuments(entry.ns, { _id: entry.o._id })[0] : undefined;
+            if (entry.op === 'i' || current) {
+                const op = entry.op === 'd'
+                    ? { op: 'd', ns: entry.ns, _id: current._id }
+                    : { op: current ? 'u' : 'i', ns: entry.ns, doc: entry.o };
+                this._applyOp(op, current ? this._positionsOf(entry.ns, [current])[0] : -1);
+                this._recordChanges([op], [current || null]);
+                ops.push(op);
+            }
+        }
+        ops.push(...this._appendOplog([entry]));
+        return this._journal(ops);
+    }
+
+    async _applyOplogCommand(entry) {
+        const [dbName] = this._splitNamespace(entry.ns);
+        const command = entry.o;
+        let op = null;
+        if (command.drop !== undefined) {
+            op = { op: 'drop', ns: `${dbName}.${command.drop}` };
+        } else if (command.renameCollection) {
+            op = { op: 'rename', ns: command.renameCollection, to: command.to };
+        } else if (command.dropDatabase) {
+            op = { op: 'dropDatabase', ns: entry.ns };
+        }
+        if (op) {
+            // As on the primary, see dropDatabase()
+            if (op.op === 'dropDatabase' && this.storageMode === 'disk') {
+                await this._dumpChangedCollections();
+            }
+            this._applyCommand(op);
+            this._publishChange(this._commandEvent(op, entry.wall));
+            await this._journal([op, ...this._appendOplog([entry])]);
+            if (this.storageMode === 'disk') {
+                await this._dumpChangedCollections();
+            }
+            return;
+        }
+        const collectionName = command.createIndexes || command.dropIndexes || command.collMod || command.create;
+        const fullCollectionName = `${dbName}.${collectionName}`;
+        this._databases[dbName] = true;
+        if (!this._collections[fullCollectionName]) {
+            this._collections[fullCollectionName] = [];
+        }
+        if (command.createIndexes) {
+            const { createIndexes, ...spec } = command;
+            if (!this._getIndexes(fullCollectionName)[spec.name]) this._buildIndex(fullCollectionName, spec);
+        } else if (command.dropIndexes) {
+            delete this._getIndexes(fullCollectionName)[command.index];
+        } else if (command.collMod) {
+            const { collMod, ...validation } = command;
+            this._validators[fullCollectionName] = validation;
+        } else {
+            this._changedCollections.add(fullCollectionName);
+        }
+        await this._persistCollectionMeta(dbName, collectionName);
+        await this._journal(this._appendOplog([entry]));
+    }
+
+    // Where replication stands. A follower's lag is how much older, in
+    // milliseconds, the latest write it has applied is than the primary's
+    // latest it has heard of; the primary reports it for each follower.
+    replicationStatus() {
+        const last = this._lastOplogEntry();
+        const position = entry => entry ? { ts: entry.ts, wall: entry.wall } : null;
+        if (!this._replication) {
+            return {
+                role: 'primary',
+                latest: position(last),
+                followers: [...this._followers].filter(follower => follower.live).map(follower => ({
+                    applied: follower.applied,
+                    lag: follower.applied && last ? Math.max(last.wall - follower.applied.wall, 0) : null
+                }))
+            };
+        }
+        const replication = this._replication;
+        return {
+            role: 'follower',
+            following: this.follow,
+            connected: replication.connected,
+            copying: Boolean(replication.copying),
+            applied: position(last),
+            primary: replication.primary,
+            lag: last && replication.primary ? Math.max(replication.primary.wall - last.wall, 0) : null
+        };
+    }
+
+    // Makes a follower a primary: it stops following, applies what it has
+    // received and takes writes from then on
+    async promote() {
+        const replication = this._replication;
+        if (!replication) {
+            throw new Error('Only a follower can be promoted');
+        }
+        if (replication.copying || !this._lastOplogEntry()) {
+            throw new Error('Cannot promote a follower before it has copied the primary\'s data');
+        }
+        await this._stopFollowing();
+        this.logger.info(`Promoted to primary at oplog entry ${this._oplogTs}`);
+    }
+
+    async _stopFollowing() {
+        const replication = this._replication;
+        if (!replication) return;
+        replication.stopped = true;
+        clearInterval(replication.timer);
+        if (replication.connection) replication.connection.destroy();
+        await this._replicationQueue;
+        if (replication.reader) await replication.reader.close();
+        this._replication = null;
+    }
+
+    async _stopReplication() {
+        await this._stopFollowing();
+        if (!this._replicationServer) return;
+        const server = this._replicationServer;
+        this._replicationServer = null;
+        for (const follower of this._followers) {
+            follower.socket.destroy();
+        }
+        this._followers.clear();
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    async _loadPersistedData() {
+        try {
+            const dbFiles = await fs.readdir(this.storagePath);
+            for (const file of dbFiles) {
+                // Such as another process's lock files, which come and go
+                if (file.startsWith('.') && !file.startsWith('.dropped-')) continue;
+                const fullPath = path.join(this.storagePath, file);
+                const stat = await fs.stat(fullPath);
+                if (stat.isDirectory() && file.startsWith('.dropped-')) {
+                    if (this.readOnly) continue;
+                    // A dropDatabase that stopped after moving the directory aside
+                    await fs.rm(fullPath, { recursive: true, force: true });
+                } else if (stat.isDirectory()) {
+                    const dbName = file;
+                    this._databases[dbName] = true;
+                    const collectionFiles = await fs.readdir(fullPath);
+                    const metaFiles = [];
+                    for (const collFile of collectionFiles) {
+                        if (collFile.endsWith('.json')) {
+                            const collectionName = path.basename(collFile, '.json');
+                            await this._loadCollectionFile(dbName, collectionName);
+                        } else if (collFile.endsWith('.meta')) {
+                            metaFiles.push(collFile);
+                        } else if (collFile.endsWith('.tmp') && !this.readOnly) {
+                            // Left behind by a crash before the rename; the .json is still intact
+                            await fs.unlink(path.join(fullPath, collFile));
+                        }
+                    }
+                    // Indexes are rebuilt once every collection of the database is loaded
+                    for (const metaFile of metaFiles) {
+                        await this._loadCollectionMeta(dbName, path.basename(metaFile, '.meta'));
+                    }
+                }
+            }
+            // Other collections are read on first use. Users and roles are
+            // needed from the start, and a restored generation is rewritten.
+            await this._ensureLoaded([...this._unloaded].filter(([fullCollectionName, entry]) =>
+                fullCollectionName.startsWith('auth.') || entry.restored).map(([fullCollectionName]) => fullCollectionName));
+            await this._loadChangeLogs();
+            const replayed = await this._replayJournals();
+            if (replayed > 0) {
+                this.logger.info(`Replayed ${replayed} journal entries`);
+                // So that the startup checkpoint truncates them
+                if (!this.readOnly) this._journalPending = true;
+            }
+            // Checkpoint replayed and restored collections straight away
+            if (this._changedCollections.size > 0 && this.storageMode === 'disk' && !this.readOnly) {
+                await this._dumpChangedCollections();
+            }
+        } catch (err) {
+            throw new Error(`Error loading persisted data: ${err.message}`);
+        }
+    }
+
+    // <collection>.json lists the collection's segments, which are only read
+    // when the collection is first used
+    async _loadCollectionFile(dbName, collectionName) {
+        const fullCollectionName = `${dbName}.${collectionName}`;
+        const result = await this._loadDataFile(dbName, `${collectionName}.json`, fullCollectionName);
+        if (!result) return;
+        if (Array.isArray(result.data)) {
+            // Written before segments; the startup checkpoint converts it
+            this._collections[fullCollectionName] = result.data;
+            delete this._indexes[fullCollectionName];
+            this._changedCollections.add(fullCollectionName);
+        } else {
+            // Rewrite a restored generation so the next startup doesn't depend on the backup
+            this._unloaded.set(fullCollectionName, { segments: result.data.segments, indexes: [], restored: result.restored });
+        }
+        // A restored file was moved to the quarantine and is rewritten
+        if (!result.restored) {
+            this._lastPersisted[fullCollectionName] = (await fs.stat(path.join(this.storagePath, dbName, `${collectionName}.json`))).mtime;
+        }
+    }
+
+    // Reads an unloaded collection's segments and rebuilds its indexes. A
+    // corrupt segment is handled like a corrupt file: the collection goes
+    // back to the generation in <collection>.json.bak, whose segments are
+    // kept until the one after it is written.
+    async _loadCollection(fullCollectionName) {
+        const entry = this._unloaded.get(fullCollectionName);
+        const [dbName, collectionName] = this._splitNamespace(fullCollectionName);
+        const manifestPath = path.join(this.storagePath, dbName, `${collectionName}.json`);
+        let { segments } = entry;
+        let docs;
+        let restored = entry.restored;
+        try {
+            docs = await this._readSegments(dbName, collectionName, segments);
+        } catch (err) {
+            // Dropped or renamed while it was being read
+            if (this._unloaded.get(fullCollectionName) !== entry) return;
+            if (err.code === 'ERR_DECRYPT') throw err;
+            // The writer may have replaced the segments since they were listed
+            if (this.readOnly && err.code === 'ENOENT') {
+                const { data } = await this._readCollectionFile(manifestPath);
+                if (data.segments && !this._valuesEqual(data.segments, segments)) {
+                    entry.segments = data.segments;
+                    return;
+                }
+            }
+            this.logger.error(`A segment of ${fullCollectionName} is corrupt: ${err.message}`);
+            const recovery = {
+                collection: fullCollectionName,
+                file: `${collectionName}.json`,
+                error: err.message,
+                quarantinedAs: await this._quarantineFile(dbName, manifestPath),
+                restoredGeneration: null
+            };
+            this.recoveryLog.push(recovery);
+            restored = true;
+            try {
+                const { generation, data } = await this._readCollectionFile(`${manifestPath}.bak`);
+                segments = Array.isArray(data) ? undefined : data.segments;
+                docs = segments ? await this._readSegments(dbName, collectionName, segments) : data;
+                this._generations[manifestPath] = generation;
+                recovery.restoredGeneration = generation;
+                this.logger.warn(`Restored ${collectionName}.json of ${fullCollectionName} from generation ${generation}`);
+            } catch (bakErr) {
+                if (bakErr.code === 'ERR_DECRYPT') throw bakErr;
+                this.logger.error(`No usable backup of ${collectionName}.json for ${fullCollectionName}: ${bakErr.message}`);
+                segments = undefined;
+                docs = [];
+            }
+        }
+        if (this._unloaded.get(fullCollectionName) !== entry) return;
+        this._unloaded.delete(fullCollectionName);
+        this._collections[fullCollectionName] = segments ? docs.flat() : docs;
+        if (segments) {
+            this._segments[fullCollectionName] = segments.map((segment, i) => ({ ...segment, docs: docs[i] }));
+        }
+        delete this._indexes[fullCollectionName];
+        this._getIndexes(fullCollectionName);
+        for (const spec of entry.indexes) {
+            try {
+                this._buildIndex(fullCollectionName, spec);
+            } catch (err) {
+                this.logger.error(`Could not rebuild index ${spec.name} on ${fullCollectionName}: ${err.message}`);
+            }
+        }
+        if (restored) {
+            this._changedCollections.add(fullCollectionName);
+        }
+    }
+
+    // Returns the documents of each segment
+    async _readSegments(dbName, collectionName, segments) {
+        const segmentsPath = path.join(this.storagePath, dbName, `${collectionName}.segments`);
+        const docs = [];
+        for (const segment of segments) {
+            const { data } = await this._readCollectionFile(path.join(segmentsPath, `${segment.id}.seg`));
+            if (data.length !== segment.count) {
+                throw new Error(`segment ${segment.id} holds ${data.length} documents, expected ${segment.count}`);
+            }
+            docs.push(data);
+        }
+        return docs;
+    }
+
+    // Reads the collections that are only on disk. The collections stay in
+    // memory at least until the caller's next await.
+    async _ensureLoaded(namespaces) {
+        for (const fullCollectionName of namespaces) {
+            this._recentlyUsed.delete(fullCollectionName);
+            this._recentlyUsed.add(fullCollectionName);
+            this._pinned.set(fullCollectionName, (this._pinned.get(fullCollectionName) || 0) + 1);
+        }
+        try {
+            for (const fullCollectionName of namespaces) {
+                // Again if a reload() replaced the collection while it was read
+                while (this._unloaded.has(fullCollectionName)) {
+                    if (!this._loading.has(fullCollectionName)) {
+                        const loading = this._loadCollection(fullCollectionName).finally(() => this._loading.delete(fullCollectionName));
+                        this._loading.set(fullCollectionName, loading);
+                    }
+                    await this._loading.get(fullCollectionName);
+                    this._scheduleEviction();
+                }
+            }
+        } finally {
+            for (const fullCollectionName of namespaces) {
+                const pins = this._pinned.get(fullCollectionName) - 1;
+                if (pins > 0) {
+                    this._pinned.set(fullCollectionName, pins);
+                } else {
+                    this._pinned.delete(fullCollectionName);
+                }
+            }
+        }
+    }
+
+    // Eviction runs after the current operation, which may still be using
+    // the collections it just loaded
+    _scheduleEviction() {
+        if (!this.maxMemory || this.storageMode !== 'disk' || this._evictionScheduled) return;
+        this._evictionScheduled = true;
+        setImmediate(() => {
+            this._evictionScheduled = false;
+            this._evictCollections();
+        });
+    }
+
+    // Unloads collections, least recently used first, until the rest fit in
+    // maxMemory. Only collections whose every write is on disk can go; the
+    // auth and local databases always stay.
+    _evictCollections() {
+        const loaded = Object.keys(this._collections);
+        let used = loaded.reduce((total, fullCollectionName) => total + this._memorySize(fullCollectionName), 0);
+        const coldestFirst = [...loaded.filter(fullCollectionName => !this._recentlyUsed.has(fullCollectionName)), ...this._recentlyUsed];
+        for (const fullCollectionName of coldestFirst) {
+            if (used <= this.maxMemory) break;
+            if (!this._collections[fullCollectionName] || fullCollectionName.startsWith('auth.') || fullCollectionName.startsWith('local.')
+                || this._memorySize(fullCollectionName) === 0
+                || this._changedCollections.has(fullCollectionName) || this._pinned.has(fullCollectionName)) continue;
+            used -= this._memorySize(fullCollectionName);
+            this._unloaded.set(fullCollectionName, {
+                segments: (this._segments[fullCollectionName] || []).map(({ id, count, size }) => ({ id, count, size })),
+                indexes: this.listIndexes(...this._splitNamespace(fullCollectionName)).filter(index => index.name !== '_id_')
+            });
+            delete this._collections[fullCollectionName];
+            delete this._indexes[fullCollectionName];
+            delete this._segments[fullCollectionName];
+            this._recentlyUsed.delete(fullCollectionName);
+            this.logger.debug(`Unloaded ${fullCollectionName}`);
+        }
+    }
+
+    // The size of the collection's documents when it was last written or read
+    _memorySize(fullCollectionName) {
+        return (this._segments[fullCollectionName] || []).reduce((total, segment) => total + segment.size, 0);
+    }
+
+    async _loadCollectionMeta(dbName, collectionName) {
+        const fullCollectionName = `${dbName}.${collectionName}`;
+        const result = await this._loadDataFile(dbName, `${collectionName}.meta`, fullCollectionName);
+        if (!result) return;
+        if (result.data.validation) {
+            this._validators[fullCollectionName] = result.data.validation;
+        }
+        if (this._unloaded.has(fullCollectionName)) {
+            // Built when the collection is loaded
+            this._unloaded.get(fullCollectionName).indexes = result.data.indexes || [];
+            if (result.restored) {
+                await this._persistCollectionMeta(dbName, collectionName);
+            }
+            return;
+        }
+        if (!this._collections[fullCollectionName]) {
+            this._collections[fullCollectionName] = [];
+        }
+        this._getIndexes(fullCollectionName);
+        for (const spec of result.data.indexes || []) {
+            try {
+                this._buildIndex(fullCollectionName, spec);
+            } catch (err) {
+                this.logger.error(`Could not rebuild index ${spec.name} on ${fullCollectionName}: ${err.message}`);
+            }
+        }
+        if (result.restored) {
+            await this._persistCollectionMeta(dbName, collectionName);
+        }
+    }
+
+    // Reads a data file. A corrupt file is quarantined and the previous
+    // generation restored from its .bak copy; returns undefined if neither
+    // is usable.
+    async _loadDataFile(dbName, fileName, label) {
+        const filePath = path.join(this.storagePath, dbName, fileName);
+        let readErr;
+        try {
+            const { generation, data } = await this._readCollectionFile(filePath);
+            this._generations[filePath] = generation;
+            return { data, restored: false };
+        } catch (err) {
+            // A backup can't help against a wrong key or a tampered file
+            if (err.code === 'ERR_DECRYPT') throw err;
+            readErr = err;
+        }
+
+        this.logger.error(`${fileName} of ${label} is corrupt: ${readErr.message}`);
+        const entry = {
+            collection: label,
+            file: fileName,
+            error: readErr.message,
+            quarantinedAs: await this._quarantineFile(dbName, filePath),
+            restoredGeneration: null
+        };
+        this.recoveryLog.push(entry);
+        try {
+            const { generation, data } = await this._readCollectionFile(`${filePath}.bak`);
+            this._generations[filePath] = generation;
+            entry.restoredGeneration = generation;
+            this.logger.warn(`Restored ${fileName} of ${label} from generation ${generation}`);
+            return { data, restored: true };
+        } catch (bakErr) {
+            this.logger.error(`No usable backup of ${fileName} for ${label}: ${bakErr.message}`);
+            return undefined;
+        }
+    }
+
+    // Collection files are a one-line JSON header followed by the documents.
+    // Files written before the header existed are plain JSON arrays.
+    async _readCollectionFile(filePath) {
+        const content = this._openFile(await fs.readFile(filePath), filePath);
+        if (!content.startsWith('{')) {
+            return { generation: 0, data: EJSON.parse(content) };
+        }
+        const newline = content.indexOf('\n');
+        if (newline === -1) {
+            throw new Error('missing header');
+        }
+        const header = JSON.parse(content.slice(0, newline));
+        const body = content.slice(newline + 1);
+        if (Buffer.byteLength(body) !== header.length) {
+            throw new Error(`truncated: expected ${header.length} bytes, found ${Buffer.byteLength(body)}`);
+        }
+        if (crypto.createHash('sha256').update(body).digest('hex') !== header.sha256) {
+            throw new Error('checksum mismatch');
+        }
+        return { generation: header.generation, data: EJSON.parse(body) };
+    }
+
+    // A read-only instance leaves the file where it is
+    async _quarantineFile(dbName, filePath) {
+        if (this.readOnly) return null;
+        const quarantineDir = path.join(this.storagePath, dbName, '.quarantine');
+        await fs.mkdir(quarantineDir, { recursive: true });
+        const target = path.join(quarantineDir, `${path.basename(filePath)}.${Date.now()}`);
+        await fs.rename(filePath, target);
+        return target;
+    }
+
+    // Journal entries are sorted by LSN across all databases so that
+    // replay order matches the order in which writes were acknowledged.
+    async _replayJournals() {
+        const entries = [];
+        for (const dbName of Object.keys(this._databases)) {
+            for (const file of ['journal.ckpt.log', 'journal.log']) {
+                let data;
+                try {
+                    data = await fs.readFile(path.join(this.storagePath, dbName, file), 'utf8');
+                } catch (err) {
+                    if (err.code === 'ENOENT') continue;
+                    throw err;
+                }
+                const lines = data.split('\n').filter(Boolean);
+                lines.forEach((line, i) => {
+                    try {
+                        entries.push(EJSON.parse(this._openLine(line, `${dbName}/${file}`)));
+                    } catch (parseErr) {
+                        // Only the last record can be torn by a crash mid-append
+                        if (parseErr.code === 'ERR_DECRYPT' && i < lines.length - 1) throw parseErr;
+                        // A torn record from a crash mid-append was never acknowledged
+                        this.logger.warn(`Skipping unreadable journal record in ${dbName}/${file}`);
+                    }
+                });
+            }
+        }
+        entries.sort((a, b) => a.lsn - b.lsn);
+        await this._ensureLoaded([...new Set(entries.flatMap(entry => entry.ops.flatMap(op => [op.ns, op.to])))]
+            .filter(fullCollectionName => fullCollectionName && this._unloaded.has(fullCollectionName)));
+        for (const entry of entries) {
+            for (const op of entry.ops) {
+                this._replayOp(op);
+            }
+            this._lsn = Math.max(this._lsn, entry.lsn);
+        }
+        return entries.length;
+    }
+
+    // Replay must be idempotent: the snapshot may already contain some of
+    // the journaled writes if a checkpoint was interrupted.
+    _replayOp(op) {
+        if (['drop', 'rename', 'dropDatabase'].includes(op.op)) {
+            this._applyCommand(op);
+            return;
+        }
+        const id = op.op === 'd' ? op._id : op.doc._id;
+        const doc = this._collections[op.ns] ? this._findDocuments(op.ns, { _id: id })[0] : undefined;
+        if (op.op !== 'i' && !doc) return;
+        this._applyOp(op, doc ? this._positionsOf(op.ns, [doc])[0] : -1);
+    }
+
+    _applyOp(op, position) {
+        if (this._unloaded.has(op.ns)) {
+            throw new Error(`${op.ns} must be loaded before it is written`);
+        }
+        const [dbName] = this._splitNamespace(op.ns);
+        this._databases[dbName] = true;
+        if (!this._collections[op.ns]) {
+            this._collections[op.ns] = [];
+        }
+        const collection = this._collections[op.ns];
+        this._versions[op.ns] = (this._versions[op.ns] || 0) + 1;
+        // Keep every index in step with the array: drop the old version's
+        // entries, then add the new version's
+        const indexes = this._getIndexes(op.ns);
+        if (position !== -1) {
+            this._unindexDocument(indexes, collection[position]);
+        }
+        if (op.op !== 'd') {
+            this._indexDocument(indexes, op.doc);
+        }
+        switch (op.op) {
+            case 'i':
+                if (position === -1) {
+                    collection.push(op.doc);
+                } else {
+                    collection[position] = op.doc;
+                }
+                break;
+            case 'u':
+                collection[position] = op.doc;
+                break;
+            case 'd':
+                collection.splice(position, 1);
+                break;
+        }
+        this._changedCollections.add(op.ns);
+    }
+
+    _isJournaling() {
+        return this.storageMode === 'disk' && this.durability !== 'none' && !this.readOnly;
+    }
+
+    // Without durability, transaction commits are still journaled so that a
+    // checkpoint interrupted between two collection files can be finished
+    // at startup. Later writes are journaled too until a checkpoint covers
+    // the transaction, or replaying it could undo them.
+    _journal(ops, transaction = false) {
+        if (ops.length === 0) return Promise.resolve();
+        if (!this._isJournaling()) {
+            if (this.storageMode !== 'disk' || this.readOnly || !(transaction || this._journalPending)) {
+                return Promise.resolve();
+            }
+            this._journalPending = true;
+            this._journaledSinceRotation = true;
+        }
+        const entry = { lsn: ++this._lsn, ops };
+        const [dbName] = this._splitNamespace(ops[0].ns);
+        // Serialize now: the documents may be replaced before the append runs
+        const line = this._sealLine(EJSON.stringify(entry)) + '\n';
+        return this._enqueueJournalTask(() => this._appendJournal(dbName, line));
+    }
+
+    _enqueueJournalTask(task) {
+        const result = this._journalQueue.then(task);
+        this._journalQueue = result.catch(() => {});
+        return result;
+    }
+
+    async _appendJournal(dbName, line) {
+        const dbPath = path.join(this.storagePath, dbName);
+        await fs.mkdir(dbPath, { recursive: true });
+        const handle = await fs.open(path.join(dbPath, 'journal.log'), 'a');
+        try {
+            await handle.write(line);
+            if (this.durability === 'fsync') {
+                await handle.sync();
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Moves the live journals aside so that writes arriving during a
+    // checkpoint land in a fresh journal that survives the truncation.
+    _rotateJournals() {
+        return this._enqueueJournalTask(async () => {
+            for (const dbName of Object.keys(this._databases)) {
+                const journalPath = path.join(this.storagePath, dbName, 'journal.log');
+                const checkpointPath = path.join(this.storagePath, dbName, 'journal.ckpt.log');
+                try {
+                    await fs.access(checkpointPath);
+                } catch (err) {
+                    try {
+                        await fs.rename(journalPath, checkpointPath);
+                    } catch (renameErr) {
+                        if (renameErr.code !== 'ENOENT') throw renameErr;
+                    }
+                    continue;
+                }
+                // A previous checkpoint failed; keep its entries and add ours
+                try {
+                    await fs.appendFile(checkpointPath, await fs.readFile(journalPath));
+                    await fs.unlink(journalPath);
+                } catch (err) {
+                    if (err.code !== 'ENOENT') throw err;
+                }
+            }
+        });
+    }
+
+    _truncateJournals() {
+        return this._enqueueJournalTask(async () => {
+            for (const dbName of Object.keys(this._databases)) {
+                await this._unlinkIfExists(path.join(this.storagePath, dbName, 'journal.ckpt.log'));
+            }
+        });
+    }
+
+    _splitNamespace(fullCollectionName) {
+        const dot = fullCollectionName.indexOf('.');
+        return [fullCollectionName.slice(0, dot), fullCollectionName.slice(dot + 1)];
+    }
+
+    async _startIdleDump() {
+        this._idleTimer = setInterval(async () => {
+            if (Date.now() - this._lastActivity > this.idleTimeout && this._changedCollections.size > 0) {
+                try {
+                    await this._dumpChangedCollections();
+                } catch (err) {
+                    this.logger.error('Error during idle data dump:', err);
+                }
+            }
+        }, this.idleTimeout);
+    }
+
+    // Runs in memory mode too, so it must not keep the process alive
+    _startTtlMonitor() {
+        this._ttlTimer = setInterval(async () => {
+            if (this._isShuttingDown) return;
+            try {
+                await this._expireDocuments();
+            } catch (err) {
+                this.logger.error('Error removing expired documents:', err);
+            }
+        }, this.ttlMonitorInterval);
+        this._ttlTimer.unref();
+    }
+
+    // A document expires expireAfterSeconds after the date in its TTL field
+    // (the earliest one if the field is an array). With 0 the field holds
+    // the expiry time itself. Documents without a date never expire.
+    async _expireDocuments(now = Date.now()) {
+        let removed = 0;
+        for (const [fullCollectionName, indexes] of Object.entries(this._indexes)) {
+            // A follower gets the primary's deletes through the oplog
+            if (this._replication && fullCollectionName !== 'auth.sessions') continue;
+            for (const index of Object.values(indexes)) {
+                if (index.expireAfterSeconds === undefined) continue;
+                const [field] = Object.keys(index.key);
+                const cutoff = new Date(now - index.expireAfterSeconds * 1000);
+                const deleted = await this._deleteDocuments(fullCollectionName, { [field]: { $lte: cutoff } }, true);
+                removed += deleted.length;
+            }
+        }
+        return removed;
+    }
+
+    _dumpChangedCollections() {
+        if (this.readOnly) return Promise.resolve();
+        const result = this._checkpointQueue.then(() => this._checkpoint());
+        this._checkpointQueue = result.catch(() => {});
+        return result;
+    }
+
+    async _checkpoint() {
+        const journaling = this._isJournaling() || this._journalPending;
+        if (journaling) {
+            this._journaledSinceRotation = false;
+            await this._rotateJournals();
+        }
+        // Drops and renames reach the files before any collection is rewritten
+        await this._applyPendingFileOps();
+        const changed = [...this._changedCollections];
+        this._changedCollections.clear();
+        try {
+            for (const fullCollectionName of changed) {
+                const [dbName, collectionName] = this._splitNamespace(fullCollectionName);
+                const data = this._collections[fullCollectionName];
+                if (!data) continue;
+                await this._persistCollection(dbName, collectionName, data);
+            }
+        } catch (err) {
+            for (const fullCollectionName of changed) {
+                this._changedCollections.add(fullCollectionName);
+            }
+            throw err;
+        }
+        if (journaling) {
+            await this._truncateJournals();
+            if (!this._isJournaling() && !this._journaledSinceRotation) {
+                this._journalPending = false;
+            }
+        }
+        this._scheduleEviction();
+    }
+
+    // Writes the segments that changed since the collection was last written
+    // or read, then <collection>.json listing all of them. Segment files are
+    // named by their content and never modified. Those of the previous
+    // generation stay with its .bak; older ones are removed.
+    async _persistCollection(dbName, collectionName, data) {
+        if (this.storageMode === 'disk') {
+            const fullCollectionName = `${dbName}.${collectionName}`;
+            const dbPath = path.join(this.storagePath, dbName);
+            const segmentsPath = path.join(dbPath, `${collectionName}.segments`);
+            const previous = this._segments[fullCollectionName] || [];
+            const unchanged = new Map(previous.map(segment => [segment.docs[0], segment]));
+            const segments = [];
+            for (const docs of this._splitSegments(data)) {
+                const segment = unchanged.get(docs[0]);
+                if (segment && segment.docs.length === docs.length && segment.docs.every((doc, i) => doc === docs[i])) {
+                    segments.push(segment);
+                } else {
+                    segments.push({ docs });
+                }
+            }
+            await fs.mkdir(segmentsPath, { recursive: true });
+            for (const segment of segments) {
+                if (segment.id === undefined) {
+                    Object.assign(segment, await this._writeSegment(segmentsPath, segment.docs));
+                }
+            }
+            await this._syncDirectory(segmentsPath);
+            await this._writeDataFile(path.join(dbPath, `${collectionName}.json`), {
+                segments: segments.map(({ id, count, size }) => ({ id, count, size }))
+            });
+            this._segments[fullCollectionName] = segments;
+            this._lastPersisted[fullCollectionName] = new Date();
+            const kept = new Set([...previous, ...segments].map(segment => `${segment.id}.seg`));
+            for (const file of await fs.readdir(segmentsPath)) {
+                if (!kept.has(file)) await this._unlinkIfExists(path.join(segmentsPath, file));
+            }
+        }
+    }
+
+    _splitSegments(docs) {
+        const segments = [];
+        let start = 0;
+        docs.forEach((doc, i) => {
+            const key = this._valueKey(doc._id);
+            let hash = 2166136261;
+            for (let j = 0; j < key.length; j++) {
+                hash = Math.imul(hash ^ key.charCodeAt(j), 16777619);
+            }
+            if ((hash >>> 0) % SEGMENT_TARGET === 0 || i + 1 - start === SEGMENT_MAX || i === docs.length - 1) {
+                segments.push(docs.slice(start, i + 1));
+                start = i + 1;
+            }
+        });
+        return segments;
+    }
+
+    // Segment files have the same header as data files, without a generation
+    async _writeSegment(segmentsPath, docs) {
+        const body = EJSON.stringify(docs);
+        const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+        const id = sha256.slice(0, 16);
+        const filePath = path.join(segmentsPath, `${id}.seg`);
+        try {
+            await fs.access(filePath);
+        } catch (err) {
+            const header = JSON.stringify({ jsm: 1, generation: 0, length: Buffer.byteLength(body), sha256 });
+            const handle = await fs.open(`${filePath}.tmp`, 'w');
+            try {
+                await handle.writeFile(this._sealFile(`${header}\n${body}`));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.rename(`${filePath}.tmp`, filePath);
+        }
+        return { id, count: docs.length, size: Buffer.byteLength(body) };
+    }
+
+    // Per-collection metadata (index definitions and validation rules) lives
+    // next to the data file
+    async _persistCollectionMeta(dbName, collectionName) {
+        if (this.storageMode === 'disk' && !this.readOnly) {
+            const fullCollectionName = `${dbName}.${collectionName}`;
+            const dbPath = path.join(this.storagePath, dbName);
+            await fs.mkdir(dbPath, { recursive: true });
+            const indexes = this.listIndexes(dbName, collectionName).filter(index => index.name !== '_id_');
+            const meta = { indexes };
+            if (this._validators[fullCollectionName]) {
+                meta.validation = this._validators[fullCollectionName];
+            }
+            await this._writeDataFile(path.join(dbPath, `${collectionName}.meta`), meta);
+        }
+    }
+
+    async _writeDataFile(filePath, data) {
+        const generation = (this._generations[filePath] || 0) + 1;
+        const body = EJSON.stringify(data);
+        const header = JSON.stringify({
+            jsm: 1,
+            generation,
+            length: Buffer.byteLength(body),
+            sha256: crypto.createHash('sha256').update(body).digest('hex')
+        });
+        await this._writeFileAtomic(filePath, this._sealFile(`${header}\n${body}`));
+        this._generations[filePath] = generation;
+    }
+
+    // Write to a temp file, fsync it and rename it over the target. The
+    // previous generation is kept as <file>.bak for corruption recovery.
+    async _writeFileAtomic(filePath, content) {
+        const tmpPath = `${filePath}.tmp`;
+        const bakPath = `${filePath}.bak`;
+        const handle = await fs.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        // Swap the backup in with a rename too, so a good generation always exists
+        const bakTmpPath = `${bakPath}.tmp`;
+        await this._unlinkIfExists(bakTmpPath);
+        let hasCurrent = true;
+        try {
+            await fs.link(filePath, bakTmpPath);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                hasCurrent = false;
+            } else {
+                await fs.copyFile(filePath, bakTmpPath);
+            }
+        }
+        if (hasCurrent) {
+            await fs.rename(bakTmpPath, bakPath);
+        }
+        await fs.rename(tmpPath, filePath);
+        await this._syncDirectory(path.dirname(filePath));
+    }
+
+    async _unlinkIfExists(filePath) {
+        try {
+            await fs.unlink(filePath);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    async _syncDirectory(dirPath) {
+        let handle;
+        try {
+            handle = await fs.open(dirPath, 'r');
+            await handle.sync();
+        } catch (err) {
+            // Directory fsync isn't supported on every platform
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+
+    // Collections that aren't loaded are counted from their segment list
+    async listDatabases(user) {
+        const databases = {};
+        for (const fullCollectionName of this._namespaces()) {
+            if (!this._collectionExists(fullCollectionName)) continue;
+            const [dbName] = this._splitNamespace(fullCollectionName);
+            if (!this.checkPermission(user, dbName, 'read') && !this.checkPermission(user, fullCollectionName, 'read')) continue;
+            const entry = databases[dbName] || (databases[dbName] = { name: dbName, collections: 0, size: 0, empty: true });
+            entry.collections++;
+            const unloaded = this._unloaded.get(fullCollectionName);
+            if (unloaded) {
+                entry.size += unloaded.segments.reduce((total, segment) => total + segment.size, 0);
+                if (unloaded.segments.length > 0) entry.empty = false;
+            } else {
+                entry.size += this._approximateSize(this._collections[fullCollectionName]);
+                if (this._collections[fullCollectionName].length > 0) entry.empty = false;
+            }
+        }
+        return Object.values(databases).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Loaded or not
+    _namespaces() {
+        return [...Object.keys(this._collections), ...this._unloaded.keys()];
+    }
+
+    // A collection exists once it has documents, indexes or a validator;
+    // merely calling collection() doesn't count
+    _collectionExists(fullCollectionName) {
+        const unloaded = this._unloaded.get(fullCollectionName);
+        if (unloaded) {
+            return unloaded.segments.length > 0 || unloaded.indexes.length > 0 || Boolean(this._validators[fullCollectionName]);
+        }
+        return this._collections[fullCollectionName] !== undefined && (this._collections[fullCollectionName].length > 0
+            || Boolean(this._validators[fullCollectionName])
+            || Object.keys(this._indexes[fullCollectionName] || {}).length > 1);
+    }
+
+    _approximateSize(value) {
+        return Buffer.byteLength(EJSON.stringify(value) || '');
+    }
+
+    _collectionStats(fullCollectionName) {
+        const docs = this._collections[fullCollectionName] || [];
+        const indexes = Object.values(this._getIndexes(fullCollectionName));
+        const indexSizes = {};
+        for (const index of indexes) {
+            // Each entry holds its key and a reference to the document
+            indexSizes[index.name] = index.terms
+                ? [...index.terms].reduce((total, [term, docs]) => total + Buffer.byteLength(term) + docs.size * 16, 0)
+                : index.entries.reduce((total, entry) => total + this._approximateSize(entry.key) + 8, 0);
+        }
+        const size = docs.reduce((total, doc) => total + this._approximateSize(doc), 0);
+        return {
+            ns: fullCollectionName,
+            count: docs.length,
+            size,
+            avgObjSize: docs.length > 0 ? Math.round(size / docs.length) : 0,
+            nindexes: indexes.length,
+            indexSizes,
+            totalIndexSize: Object.values(indexSizes).reduce((total, indexSize) => total + indexSize, 0),
+            lastPersisted: this._lastPersisted[fullCollectionName] || null
+        };
+    }
+
+    // Drops and renames are applied in memory at once and journaled like
+    // writes. Their file changes are made by the checkpoint that follows,
+    // which is also where a replayed command gets finished.
+    async _runCommand(op) {
+        this._assertWritable(op.op === 'dropDatabase' ? this._splitNamespace(op.ns)[0] : op.ns);
+        this._applyCommand(op);
+        this._publishChange(this._commandEvent(op));
+        await this._journal([op, ...this._logOps([op])]);
+        if (this.storageMode === 'disk') {
+            await this._dumpChangedCollections();
+        }
+    }
+
+    _commandEvent(op, wallTime = new Date()) {
+        const [dbName, collectionName] = this._splitNamespace(op.ns);
+        switch (op.op) {
+            case 'drop':
+                return { operationType: 'drop', ns: { db: dbName, coll: collectionName }, wallTime };
+            case 'rename':
+                return { operationType: 'rename', ns: { db: dbName, coll: collectionName }, to: { db: dbName, coll: this._splitNamespace(op.to)[1] }, wallTime };
+            case 'dropDatabase':
+                return { operationType: 'dropDatabase', ns: { db: dbName }, wallTime };
+        }
+    }
+
+    _applyCommand(op) {
+        const [dbName] = this._splitNamespace(op.ns);
+        switch (op.op) {
+            case 'drop':
+                this._removeNamespace(op.ns);
+                break;
+            case 'rename':
+                // On replay the files may already carry the new name
+                if (!this._collections[op.ns]) break;
+                if (this._collections[op.to]) this._removeNamespace(op.to);
+                this._collections[op.to] = this._collections[op.ns];
+                if (this._indexes[op.ns]) this._indexes[op.to] = this._indexes[op.ns];
+                if (this._segments[op.ns]) this._segments[op.to] = this._segments[op.ns];
+                if (this._validators[op.ns]) this._validators[op.to] = this._validators[op.ns];
+                if (this._lastPersisted[op.ns]) this._lastPersisted[op.to] = this._lastPersisted[op.ns];
+                // Rewriting the target also replaces a dropped target's file
+                this._changedCollections.add(op.to);
+                this._versions[op.to] = (this._versions[op.to] || 0) + 1;
+                this._removeNamespace(op.ns);
+                break;
+            case 'dropDatabase':
+                for (const fullCollectionName of this._namespaces()) {
+                    if (fullCollectionName.startsWith(`${dbName}.`)) this._removeNamespace(fullCollectionName);
+                }
+                delete this._databases[dbName];
+                break;
+        }
+        if (this.storageMode === 'disk') {
+            this._pendingFileOps.push(op);
+        }
+    }
+
+    _removeNamespace(fullCollectionName) {
+        delete this._collections[fullCollectionName];
+        this._unloaded.delete(fullCollectionName);
+        delete this._segments[fullCollectionName];
+        this._recentlyUsed.delete(fullCollectionName);
+        delete this._indexes[fullCollectionName];
+        delete this._validators[fullCollectionName];
+        delete this._lastPersisted[fullCollectionName];
+        this._changedCollections.delete(fullCollectionName);
+        // Transactions that read the collection can no longer commit
+        this._versions[fullCollectionName] = (this._versions[fullCollectionName] || 0) + 1;
+    }
+
+    // Every step is safe to repeat, so a command replayed from the journal
+    // can finish what a crash interrupted
+    async _applyPendingFileOps() {
+        const pending = this._pendingFileOps.splice(0);
+        if (this.storageMode !== 'disk') return;
+        const suffixes = ['.json', '.json.bak', '.meta', '.meta.bak'];
+        for (let i = 0; i < pending.length; i++) {
+            const op = pending[i];
+            const [dbName, collectionName] = this._splitNamespace(op.ns);
+            const dbPath = path.join(this.storagePath, dbName);
+            try {
+                if (op.op === 'drop') {
+                    for (const suffix of suffixes) {
+                        await this._unlinkIfExists(path.join(dbPath, collectionName + suffix));
+                        delete this._generations[path.join(dbPath, collectionName + suffix)];
+                    }
+                    await fs.rm(path.join(dbPath, `${collectionName}.segments`), { recursive: true, force: true });
+                } else if (op.op === 'rename') {
+                    const [, targetName] = this._splitNamespace(op.to);
+                    for (const suffix of suffixes) {
+                        const source = path.join(dbPath, collectionName + suffix);
+                        const target = path.join(dbPath, targetName + suffix);
+                        try {
+                            await fs.rename(source, target);
+                            this._generations[target] = this._generations[source];
+                        } catch (err) {
+                            if (err.code !== 'ENOENT') throw err;
+                        }
+                        delete this._generations[source];
+                    }
+                    // Only replace the target's segments while the source's are still there to move
+                    const sourceSegments = path.join(dbPath, `${collectionName}.segments`);
+                    const targetSegments = path.join(dbPath, `${targetName}.segments`);
+                    try {
+                        await fs.access(sourceSegments);
+                        await fs.rm(targetSegments, { recursive: true, force: true });
+                        await fs.rename(sourceSegments, targetSegments);
+                    } catch (err) {
+                        if (err.code !== 'ENOENT') throw err;
+                    }
+                    // A dropped target may have left metadata the source didn't overwrite
+                    if (this._collections[op.to]) {
+                        await this._persistCollectionMeta(dbName, targetName);
+                    }
+                } else if (op.op === 'dropDatabase') {
+                    // The rename is the point of no return; the delete can be redone at startup
+                    const droppedPath = path.join(this.storagePath, `.dropped-${dbName}-${Date.now()}`);
+                    try {
+                        await fs.rename(dbPath, droppedPath);
+                    } catch (err) {
+                        if (err.code !== 'ENOENT') throw err;
+                        continue;
+                    }
+                    await this._syncDirectory(this.storagePath);
+                    await fs.rm(droppedPath, { recursive: true, force: true });
+                    for (const filePath of Object.keys(this._generations)) {
+                        if (filePath.startsWith(dbPath + path.sep)) delete this._generations[filePath];
+                    }
+                }
+            } catch (err) {
+                this._pendingFileOps.unshift(...pending.slice(i));
+                throw err;
+            }
+        }
+        await this._syncDirectory(this.storagePath);
+    }
+
+    // Files are encrypted with random data keys. .keyinfo holds them wrapped
+    // with the master key from the encryption option, so a wrong key is
+    // caught before any file is read. It also records a key change that
+    // didn't finish (first encryption of plaintext files, or rotateKey()),
+    // which is completed here.
+    async _loadKeys() {
+        if (this.storageMode !== 'disk') return;
+        const keyInfoPath = path.join(this.storagePath, '.keyinfo');
+        let keyInfo = null;
+        try {
+            keyInfo = JSON.parse(await fs.readFile(keyInfoPath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw new Error(`Cannot read ${keyInfoPath}: ${err.message}`);
+        }
+        if (!this.encryption) {
+            if (keyInfo) {
+                throw new Error(`The data files in ${this.storagePath} are encrypted; pass the encryption option to open them`);
+            }
+            return;
+        }
+        if (!keyInfo) {
+            if (this.readOnly) {
+                throw new Error(`The data files in ${this.storagePath} are not encrypted yet; open it without readOnly first`);
+            }
+            const { masterKey, kdf } = await this._deriveMasterKey(this.encryption);
+            const id = crypto.randomBytes(4).toString('hex');
+            this._keys = { masterKey, kdf, dataKeys: new Map([[id, crypto.randomBytes(32)]]), active: id, plaintext: true };
+            await this._writeKeyInfo();
+        } else {
+            const { masterKey, kdf } = await this._deriveMasterKey(this.encryption, keyInfo.kdf);
+            const dataKeys = new Map();
+            for (const wrapped of keyInfo.keys) {
+                try {
+                    dataKeys.set(wrapped.id, this._decrypt(masterKey, Buffer.from(wrapped.key, 'base64')));
+                } catch (err) {
+                    const wrongKey = new Error('Wrong encryption key: it does not unlock the data files');
+                    wrongKey.code = 'ERR_DECRYPT';
+                    throw wrongKey;
+                }
+            }
+            this._keys = { masterKey, kdf, dataKeys, active: keyInfo.active, plaintext: Boolean(keyInfo.plaintext) };
+        }
+        // Left to the writer when read-only; every key it may still need is loaded
+        if ((this._keys.plaintext || this._keys.dataKeys.size > 1) && !this.readOnly) {
+            await this._reencryptFiles();
+            this._keys.dataKeys = new Map([[this._keys.active, this._keys.dataKeys.get(this._keys.active)]]);
+            this._keys.plaintext = false;
+            await this._writeKeyInfo();
+        }
+    }
+
+    async _deriveMasterKey(encryption, kdf = null) {
+        if (encryption.passphrase !== undefined) {
+            const salt = kdf && kdf.type === 'scrypt' ? kdf.salt : crypto.randomBytes(16).toString('base64');
+            const masterKey = await new Promise((resolve, reject) => {
+                crypto.scrypt(String(encryption.passphrase), Buffer.from(salt, 'base64'), 32, (err, key) => err ? reject(err) : resolve(key));
+            });
+            return { masterKey, kdf: { type: 'scrypt', salt } };
+        }
+        let material = encryption.key;
+        if (encryption.keyFile !== undefined) {
+            material = await fs.readFile(encryption.keyFile);
+            if (material.length !== 32) material = material.toString('utf8').trim();
+        }
+        if (material === undefined) {
+            throw new Error('encryption needs a key, keyFile or passphrase');
+        }
+        let masterKey = material;
+        if (typeof material === 'string') {
+            masterKey = /^[0-9a-fA-F]{64}$/.test(material) ? Buffer.from(material, 'hex') : Buffer.from(material, 'base64');
+        }
+        if (!Buffer.isBuffer(masterKey) || masterKey.length !== 32) {
+            throw new Error('Encryption key must be 32 bytes (raw, hex or base64)');
+        }
+        return { masterKey, kdf: { type: 'raw' } };
+    }
+
+    async _writeKeyInfo() {
+        const keyInfo = {
+            version: 1,
+            kdf: this._keys.kdf,
+            active: this._keys.active,
+            keys: [...this._keys.dataKeys].map(([id, key]) => ({ id, key: this._encrypt(this._keys.masterKey, key).toString('base64') }))
+        };
+        if (this._keys.plaintext) keyInfo.plaintext = true;
+        const keyInfoPath = path.join(this.storagePath, '.keyinfo');
+        const handle = await fs.open(`${keyInfoPath}.tmp`, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(keyInfo));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(`${keyInfoPath}.tmp`, keyInfoPath);
+        await this._syncDirectory(this.storagePath);
+    }
+
+    _encrypt(key, plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+    }
+
+    _decrypt(key, sealed) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+        decipher.setAuthTag(sealed.subarray(12, 28));
+        return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+    }
+
+    _sealFile(content) {
+        if (!this._keys) return content;
+        const { active, dataKeys } = this._keys;
+        return Buffer.concat([ENCRYPTED_MAGIC, Buffer.from(active), this._encrypt(dataKeys.get(active), Buffer.from(content))]);
+    }
+
+    _openFile(buffer, label) {
+        const encrypted = buffer.subarray(0, ENCRYPTED_MAGIC.length).equals(ENCRYPTED_MAGIC);
+        if (!encrypted) {
+            if (this._keys && !this._keys.plaintext) {
+                throw this._decryptError(label, 'it is not encrypted');
+            }
+            return buffer.toString('utf8');
+        }
+        if (!this._keys) {
+            throw this._decryptError(label, 'it is encrypted and no encryption key is configured');
+        }
+        const id = buffer.subarray(ENCRYPTED_MAGIC.length, ENCRYPTED_MAGIC.length + 8).toString();
+        const key = this._keys.dataKeys.get(id);
+        if (!key) {
+            throw this._decryptError(label, `it was encrypted with unknown key ${id}`);
+        }
+        try {
+            return this._decrypt(key, buffer.subarray(ENCRYPTED_MAGIC.length + 8)).toString('utf8');
+        } catch (err) {
+            throw this._decryptError(label, 'authentication failed (wrong key or tampered file)');
+        }
+    }
+
+    // Journal and change log records are encrypted one line at a time
+    _sealLine(text) {
+        return this._keys ? this._sealFile(text).toString('base64') : text;
+    }
+
+    _openLine(line, label) {
+        return line.startsWith('{') ? this._openFile(Buffer.from(line), label) : this._openFile(Buffer.from(line, 'base64'), label);
+    }
+
+    _decryptError(label, reason) {
+        const err = new Error(`Cannot decrypt ${label}: ${reason}`);
+        err.code = 'ERR_DECRYPT';
+        return err;
+    }
+
+    // Rewrites every data, segment, metadata, backup and log file with the
+    // active data key
+    async _reencryptFiles() {
+        const entries = await fs.readdir(this.storagePath, { withFileTypes: true });
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+            const dbPath = path.join(this.storagePath, entry.name);
+            await this._reencryptDirectory(dbPath);
+            for (const segmentsEntry of await fs.readdir(dbPath, { withFileTypes: true })) {
+                if (segmentsEntry.isDirectory() && segmentsEntry.name.endsWith('.segments')) {
+                    await this._reencryptDirectory(path.join(dbPath, segmentsEntry.name));
+                }
+            }
+        }
+    }
+
+    async _reencryptDirectory(dirPath) {
+        for (const file of await fs.readdir(dirPath)) {
+            const filePath = path.join(dirPath, file);
+            let content;
+            if (/\.(json|meta|seg)(\.bak)?$/.test(file)) {
+                content = this._sealFile(this._openFile(await fs.readFile(filePath), filePath));
+            } else if (file.endsWith('.log')) {
+                const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+                const sealed = [];
+                lines.forEach((line, i) => {
+                    try {
+                        sealed.push(this._sealLine(this._openLine(line, filePath)) + '\n');
+                    } catch (err) {
+                        // A torn last record is dropped, as replay would
+                        if (i < lines.length - 1) throw err;
+                    }
+                });
+                content = sealed.join('');
+            } else {
+                continue;
+            }
+            const handle = await fs.open(`${filePath}.tmp`, 'w');
+            try {
+                await handle.writeFile(content);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.rename(`${filePath}.tmp`, filePath);
+        }
+        await this._syncDirectory(dirPath);
+    }
+
+    // Switches to a new data key (and master key, if given) and re-encrypts
+    // every file. Writes wait until it is done. Open the store with the new
+    // encryption option from then on.
+    async rotateKey(encryption = this.encryption, user) {
+        if (!this.checkPermission(user, '*', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot rotate the encryption key`);
+        }
+        if (!this._keys) {
+            throw new Error('Encryption at rest is not enabled');
+        }
+        // A follower's files are its own to re-encrypt
+        if (this.readOnly) this._assertWritable(this.storagePath);
+        const rotate = async () => {
+            const { masterKey, kdf } = await this._deriveMasterKey(encryption);
+            const id = crypto.randomBytes(4).toString('hex');
+            const dataKey = crypto.randomBytes(32);
+            // Both data keys stay in .keyinfo until every file is rewritten
+            this._keys = { ...this._keys, masterKey, kdf, dataKeys: new Map([...this._keys.dataKeys, [id, dataKey]]), active: id };
+            await this._writeKeyInfo();
+            await this._reencryptFiles();
+            this._keys.dataKeys = new Map([[id, dataKey]]);
+            await this._writeKeyInfo();
+        };
+        // Hold back checkpoints, journal appends and change log writes
+        const result = this._checkpointQueue.then(() => this._enqueueJournalTask(() => {
+            const logged = this._changeLogQueue.then(rotate);
+            this._changeLogQueue = logged.catch(() => {});
+            return logged;
+        }));
+        this._checkpointQueue = result.catch(() => {});
+        await result;
+        this.encryption = encryption;
+        return true;
+    }
+
+    // Writes each selected collection as jsonl (one Extended JSON document
+    // per line), a json array or csv. With out, the files go into that
+    // directory as <db>.<collection>.<format>; otherwise the text is returned.
+    async export(options = {}, user) {
+        const format = options.format || 'jsonl';
+        if (!['jsonl', 'json', 'csv'].includes(format)) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        const results = [];
+        for (const fullCollectionName of this._selectNamespaces(options, user, 'read')) {
+            await this._ensureLoaded([fullCollectionName]);
+            const docs = this._findDocuments(fullCollectionName, options.query || {});
+            const data = this._formatDocuments(docs, format, options.fields);
+            if (options.out) {
+                await fs.mkdir(options.out, { recursive: true });
+                const filePath = path.join(options.out, `${fullCollectionName}.${format}`);
+                await fs.writeFile(filePath, data);
+                results.push({ ns: fullCollectionName, count: docs.length, path: filePath });
+            } else {
+                results.push({ ns: fullCollectionName, count: docs.length, data });
+            }
+        }
+        return results;
+    }
+
+    // Loads documents from data (text or an array) or a file. In 'insert'
+    // mode a document whose _id is taken is reported, 'upsert' replaces the
+    // existing document and 'merge' sets the imported fields on it.
+    // Documents that break validation or a unique index end up in errors
+    // and the rest still go in, unless stopOnError is set.
+    async import(options = {}, user) {
+        const { db: dbName, collection: collectionName } = options;
+        if (!dbName || !collectionName) {
+            throw new Error('import needs a db and a collection');
+        }
+        const fullCollectionName = `${dbName}.${collectionName}`;
+        const mode = options.mode || 'insert';
+        if (!['insert', 'upsert', 'merge'].includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+        if (AUTH_COLLECTIONS.includes(fullCollectionName)) {
+            throw this._authCollectionError(fullCollectionName);
+        }
+        if (!this.checkPermission(user, fullCollectionName, 'write')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} does not have write access to ${fullCollectionName}`);
+        }
+        this._assertWritable(fullCollectionName);
+        let { data, format } = options;
+        if (options.file) {
+            data = await fs.readFile(options.file, 'utf8');
+            format = format || path.extname(options.file).slice(1);
+        }
+        const docs = typeof data === 'string' ? this._parseDocuments(data, format || 'jsonl') : data;
+        if (!Array.isArray(docs)) {
+            throw new Error('import needs data (text or an array of documents) or a file');
+        }
+        return this._importDocuments(fullCollectionName, docs, mode, options.stopOnError);
+    }
+
+    // import() once the caller has been checked; restore() writes through
+    // here too
+    async _importDocuments(fullCollectionName, docs, mode = 'insert', stopOnError = false) {
+        const result = { insertedCount: 0, modifiedCount: 0, errors: [] };
+        for (const [index, imported] of docs.entries()) {
+            await this._ensureLoaded([fullCollectionName]);
+            const doc = this._withId(imported);
+            const existing = mode === 'insert' ? null : this._findDocuments(fullCollectionName, { _id: doc._id })[0];
+            try {
+                if (!existing) {
+                    await this._commit([{ op: 'i', ns: fullCollectionName, doc }], [-1]);
+                    result.insertedCount++;
+                } else {
+                    const op = mode === 'upsert'
+                        ? { op: 'u', ns: fullCollectionName, doc, replace: true }
+                        : { op: 'u', ns: fullCollectionName, doc: { ...existing, ...doc } };
+                    await this._commit([op], this._positionsOf(fullCollectionName, [existing]));
+                    result.modifiedCount++;
+                }
+            } catch (err) {
+                if (err.code !== 11000 && err.code !== 121) throw err;
+                result.errors.push({ index, code: err.code, message: err.message });
+                if (stopOnError) break;
+            }
+        }
+        if (this.storageMode === 'disk') this._lastActivity = Date.now();
+        return result;
+    }
+
+    // Copies every selected collection the caller can read, with its
+    // indexes and validator, into targetPath. The snapshot is taken in one
+    // synchronous pass, so no write can land halfway through it; the files
+    // are written afterwards. The manifest goes last, so a backup that was
+    // cut short is never taken for a complete one. Backups aren't encrypted.
+    async backup(targetPath, options = {}, user) {
+        const namespaces = this._selectNamespaces(options, user, 'read');
+        await this._ensureLoaded(namespaces);
+        const snapshot = namespaces.map(fullCollectionName => {
+            const entry = {
+                ns: fullCollectionName,
+                count: this._collections[fullCollectionName].length,
+                indexes: this.listIndexes(...this._splitNamespace(fullCollectionName)).filter(index => index.name !== '_id_'),
+                data: this._formatDocuments(this._collections[fullCollectionName], 'jsonl')
+            };
+            if (this._validators[fullCollectionName]) {
+                entry.validation = this._cloneDocument(this._validators[fullCollectionName]);
+            }
+            return entry;
+        });
+        const manifestPath = path.join(targetPath, 'manifest.json');
+        await fs.mkdir(targetPath, { recursive: true });
+        await this._unlinkIfExists(manifestPath);
+        for (const entry of snapshot) {
+            const [dbName, collectionName] = this._splitNamespace(entry.ns);
+            await fs.mkdir(path.join(targetPath, dbName), { recursive: true });
+            await fs.writeFile(path.join(targetPath, dbName, `${collectionName}.jsonl`), entry.data);
+        }
+        const manifest = {
+            format: 'jsmongo-backup',
+            version: 1,
+            createdAt: new Date(),
+            collections: snapshot.map(({ data, ...entry }) => entry)
+        };
+        await fs.writeFile(manifestPath, EJSON.stringify(manifest, 2));
+        return manifest.collections.map(entry => ({ ns: entry.ns, count: entry.count }));
+    }
+
+    // Loads a backup. A collection that already exists only gains the
+    // documents it is missing, unless drop is set, in which case it is
+    // replaced. Restoring a collection needs admin access to it.
+    async restore(sourcePath, options = {}, user) {
+        let manifest;
+        try {
+            manifest = EJSON.parse(await fs.readFile(path.join(sourcePath, 'manifest.json'), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                throw new Error(`${sourcePath} is not a complete backup: manifest.json is missing`);
+            }
+            throw err;
+        }
+        if (manifest.format !== 'jsmongo-backup' || manifest.version !== 1) {
+            throw new Error(`${sourcePath} is not a jsmongo backup`);
+        }
+        const entries = manifest.collections.filter(entry => this._namespaceSelected(entry.ns, options));
+        // Nothing is touched unless every collection can be restored. The
+        // writes below don't check the caller again: restoring the users can
+        // replace the caller's own account and end its session midway.
+        for (const entry of entries) {
+            if (!this.checkPermission(user, entry.ns, 'admin')) {
+                throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} does not have admin access to ${entry.ns}`);
+            }
+            this._assertWritable(entry.ns);
+        }
+        const results = [];
+        for (const entry of entries) {
+            const [dbName, collectionName] = this._splitNamespace(entry.ns);
+            await this._ensureLoaded([entry.ns]);
+            if (options.drop && this._collectionExists(entry.ns)) {
+                await this._runCommand({ op: 'drop', ns: entry.ns });
+            }
+            for (const { name, key, ...indexOptions } of entry.indexes) {
+                await this.createIndex(dbName, collectionName, key, { name, ...indexOptions });
+            }
+            const docs = this._parseDocuments(await fs.readFile(path.join(sourcePath, dbName, `${collectionName}.jsonl`), 'utf8'), 'jsonl');
+            // Restored users replace accounts of the same name, such as the
+            // default admin of a fresh store
+            if (entry.ns === 'auth.users') {
+                await this._deleteDocuments('auth.users', { username: { $in: docs.map(doc => doc.username) } }, true);
+            }
+            const imported = await this._importDocuments(entry.ns, docs);
+            // The documents were valid when backed up, so the validator goes on last
+            if (entry.validation) {
+                await this.setValidation(dbName, collectionName, entry.validation);
+            }
+            results.push({ ns: entry.ns, insertedCount: imported.insertedCount, errors: imported.errors });
+        }
+        return results;
+    }
+
+    // The collections an export or backup covers, narrowed by
+    // options.databases and options.collections (names or full namespaces).
+    // Login sessions and the oplog are never included and the auth database
+    // needs admin access. Asking by name for one the user can't access is an
+    // error; otherwise those are left out.
+    _selectNamespaces(options, user, permission) {
+        const named = Boolean(options.databases || options.collections);
+        return this._namespaces().sort().filter(fullCollectionName => {
+            if (fullCollectionName === 'auth.sessions' || fullCollectionName === 'local.oplog'
+                || !this._collectionExists(fullCollectionName)) return false;
+            if (!this._namespaceSelected(fullCollectionName, options)) return false;
+            if (this.checkPermission(user, fullCollectionName, permission)) return true;
+            if (named) {
+                throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} does not have ${permission} access to ${fullCollectionName}`);
+            }
+            return false;
+        });
+    }
+
+    _namespaceSelected(fullCollectionName, options) {
+        const [dbName, collectionName] = this._splitNamespace(fullCollectionName);
+        const databases = options.databases && [].concat(options.databases);
+        const collections = options.collections && [].concat(options.collections);
+        return (!databases || databases.includes(dbName))
+            && (!collections || collections.includes(collectionName) || collections.includes(fullCollectionName));
+    }
+
+    _formatDocuments(docs, format, fields) {
+        switch (format) {
+            case 'jsonl':
+                return docs.map(doc => EJSON.stringify(doc) + '\n').join('');
+            case 'json':
+                return EJSON.stringify(docs);
+            case 'csv': {
+                const columns = fields || [...new Set(docs.flatMap(doc => Object.keys(doc)))];
+                const lines = [columns, ...docs.map(doc => columns.map(field => this._getPath(doc, field)))];
+                return lines.map(line => line.map(value => this._csvField(value)).join(',') + '\n').join('');
+            }
+            default:
+                throw new Error(`Unknown format: ${format}`);
+        }
+    }
+
+    _parseDocuments(text, format) {
+        switch (format) {
+            case 'jsonl':
+                return text.split('\n').filter(line => line.trim()).map(line => EJSON.parse(line));
+            case 'json': {
+                const parsed = EJSON.parse(text);
+                return Array.isArray(parsed) ? parsed : [parsed];
+            }
+            case 'csv': {
+                const [columns = [], ...rows] = this._parseCsv(text);
+                return rows.map(row => {
+                    const doc = {};
+                    columns.forEach((field, i) => {
+                        // Blank fields are left out rather than stored as ''
+                        if (row[i] !== undefined && row[i] !== '') this._setPath(doc, field, this._csvValue(row[i]));
+                    });
+                    return doc;
+                });
+            }
+            default:
+                throw new Error(`Unknown format: ${format}`);
+        }
+    }
+
+    // Dates are written as ISO strings and nested values as Extended JSON
+    _csvField(value) {
+        let text;
+        if (value === undefined || value === null) {
+            text = '';
+        } else if (value instanceof Date) {
+            text = value.toISOString();
+        } else if (typeof value === 'object') {
+            text = EJSON.stringify(value);
+        } else {
+            text = String(value);
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Numbers and booleans are recognised, as are nested values written as
+    // Extended JSON. Everything else, dates included, stays a string.
+    _csvValue(text) {
+        if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(text)) return Number(text);
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (text.startsWith('{') || text.startsWith('[')) {
+            try {
+                return EJSON.parse(text);
+            } catch (err) {
+                return text;
+            }
+        }
+        return text;
+    }
+
+    // RFC 4180: quoted fields may hold commas, doubled quotes and newlines
+    _parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    db(dbName) {
+        this._databases[dbName] = true;
+        return {
+            collection: (collectionName) => {
+                const fullCollectionName = `${dbName}.${collectionName}`;
+                if (this._unloaded.has(fullCollectionName)) {
+                    // Start reading it; the collection's methods wait for it and report errors
+                    this._ensureLoaded([fullCollectionName]).catch(() => {});
+                } else if (!this._collections[fullCollectionName]) {
+                    this._collections[fullCollectionName] = [];
+                }
+                return this._createCollectionMethods(dbName, collectionName);
+            },
+
+            createCollection: async (collectionName, options = {}, user) => {
+                const fullCollectionName = `${dbName}.${collectionName}`;
+                if (!this.checkPermission(user, fullCollectionName, 'admin')) {
+                    throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} does not have admin access to ${fullCollectionName}`);
+                }
+                this._assertWritable(fullCollectionName);
+                await this._ensureLoaded([fullCollectionName]);
+                if ((this._collections[fullCollectionName] || []).length > 0 || this._validators[fullCollectionName]) {
+                    throw new Error(`Collection ${fullCollectionName} already exists`);
+                }
+                if (!this._collections[fullCollectionName]) {
+                    this._collections[fullCollectionName] = [];
+                }
+                this._changedCollections.add(fullCollectionName);
+                await this._logCommand(fullCollectionName, { create: collectionName });
+                if (options.validator || options.validationLevel || options.validationAction) {
+                    await this.setValidation(dbName, collectionName, options);
+                }
+                return this._createCollectionMethods(dbName, collectionName);
+            },
+
+            collMod: async (collectionName, options = {}, user) => {
+                const fullCollectionName = `${dbName}.${collectionName}`;
+                if (!this.checkPermission(user, fullCollectionName, 'admin')) {
+                    throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} does not have admin access to ${fullCollectionName}`);
+                }
+                if (!this._collections[fullCollectionName] && !this._unloaded.has(fullCollectionName)) {
+                    throw new Error(`Collection ${fullCollectionName} does not exist`);
+                }
+                await this.setValidation(dbName, collectionName, options);
+                return true;
+            },
+
+            watch: (pipeline = [], options = {}, user) => {
+                return this._watch(dbName, null, pipeline, options, user);
+            },
+
+            listCollections: async (filter = {}, user) => {
+                return this._namespaces()
+                    .filter(fullCollectionName => fullCollectionName.startsWith(`${dbName}.`))
+                    .filter(fullCollectionName => this._collectionExists(fullCollectionName))
+                    .filter(fullCollectionName => this.checkPermission(user, fullCollectionName, 'read'))
+                    .map(fullCollectionName => {
+                        const info = { name: this._splitNamespace(fullCollectionName)[1], type: 'collection', options: {} };
+                        if (this._validators[fullCollectionName]) {
+                            info.options = this._cloneDocument(this._validators[fullCollectionName]);
+                        }
+                        return info;
+                    })
+                    .filter(info => this._matchQuery(info, filter))
+                    .sort((a, b) => a.name.localeCompare(b.name));
+            },
+
+            renameCollection: async (fromName, toName, options = {}, user) => {
+                const from = `${dbName}.${fromName}`;
+                const to = `${dbName}.${toName}`;
+                if (!this.checkPermission(user, from, 'admin') || !this.checkPermission(user, to, 'admin')) {
+                    throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot rename ${from} to ${to}`);
+                }
+                for (const ns of [from, to]) {
+                    if (AUTH_COLLECTIONS.includes(ns)) throw this._authCollectionError(ns);
+                }
+                if (!toName || toName.includes('$') || from === to) {
+                    throw new Error(`Invalid target collection name: ${toName}`);
+                }
+                await this._ensureLoaded([from, to]);
+                if (!this._collectionExists(from)) {
+                    throw new Error(`Source collection ${from} does not exist`);
+                }
+                if (this._collectionExists(to) && !options.dropTarget) {
+                    throw new Error(`Target collection ${to} already exists`);
+                }
+                await this._runCommand({ op: 'rename', ns: from, to });
+                return true;
+            },
+
+            dropDatabase: async (user) => {
+                if (!this.checkPermission(user, dbName, 'admin')) {
+                    throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} does not have admin access to ${dbName}`);
+                }
+                // Get writes of other databases that are journaled here onto disk
+                // before the journal goes away with the directory
+                if (this.storageMode === 'disk') {
+                    await this._dumpChangedCollections();
+                }
+                await this._runCommand({ op: 'dropDatabase', ns: `${dbName}.$cmd` });
+                return true;
+            },
+
+            stats: async (user) => {
+                if (!this.checkPermission(user, dbName, 'read')) {
+                    throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} does not have read access to ${dbName}`);
+                }
+                const namespaces = this._namespaces().filter(fullCollectionName => fullCollectionName.startsWith(`${dbName}.`));
+                await this._ensureLoaded(namespaces);
+                const collections = namespaces.map(fullCollectionName => this._collectionStats(fullCollectionName));
+                const persisted = collections.map(stats => stats.lastPersisted).filter(Boolean);
+                return {
+                    db: dbName,
+                    collections: collections.length,
+                    objects: collections.reduce((total, stats) => total + stats.count, 0),
+                    dataSize: collections.reduce((total, stats) => total + stats.size, 0),
+                    indexes: collections.reduce((total, stats) => total + stats.nindexes, 0),
+                    indexSize: collections.reduce((total, stats) => total + stats.totalIndexSize, 0),
+                    lastPersisted: persisted.length > 0 ? new Date(Math.max(...persisted.map(date => date.getTime()))) : null
+                };
+            }
+        };
+    }
+
+    _createCollectionMethods(dbName, collectionName) {
+        const fullCollectionName = `${dbName}.${collectionName}`;
+        const self = this;
+
+        const updateActivity = () => {
+            self._lastActivity = Date.now();
+        };
+
+        const load = () => self._ensureLoaded([fullCollectionName]);
+
+        // Throws unless the user has the permission; writes to the auth
+        // collections are refused for everyone. A denied operation inside
+        // a transaction also leaves it unable to commit, so the writes before
+        // it are never applied on their own.
+        const authorize = (user, permission, session, ns = fullCollectionName) => {
+            let err;
+            if (permission !== 'read' && AUTH_COLLECTIONS.includes(ns)) {
+                err = self._authCollectionError(ns);
+            } else if (self.checkPermission(user, ns, permission)) {
+                return;
+            } else {
+                err = new PermissionDeniedError(`Permission denied: User ${self._callerName(user)} does not have ${permission} access to ${ns}`);
+            }
+            if (session && session.inTransaction()) {
+                session._transaction.error = err;
+            }
+            throw err;
+        };
+
+        const methods = {
+            insertOne: async (doc, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                const newDoc = self._withId(doc);
+                const journaled = self._write([{ op: 'i', ns: fullCollectionName, doc: newDoc }], [-1], session);
+                if (self.storageMode === 'disk') {
+                    updateActivity();
+                }
+                await journaled;
+                return self._cloneDocument(newDoc);
+            },
+
+            insertMany: async (docs, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                const newDocs = docs.map(doc => self._withId(doc));
+                const ops = newDocs.map(newDoc => ({ op: 'i', ns: fullCollectionName, doc: newDoc }));
+                const journaled = self._write(ops, ops.map(() => -1), session);
+                if (self.storageMode === 'disk') {
+                    updateActivity();
+                }
+                await journaled;
+                return newDocs.map(newDoc => self._cloneDocument(newDoc));
+            },
+
+            updateOne: async (filter, update, options = {}, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                const result = await self._updateDocuments(fullCollectionName, filter, update, options, false, session);
+                if (self.storageMode === 'disk') updateActivity();
+                return self._updateResult(result);
+            },
+
+            updateMany: async (filter, update, options = {}, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                const result = await self._updateDocuments(fullCollectionName, filter, update, options, true, session);
+                if (self.storageMode === 'disk') updateActivity();
+                return self._updateResult(result);
+            },
+
+            replaceOne: async (filter, replacement, options = {}, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                if (!self._isReplacement(replacement)) {
+                    throw new Error('Replacement document must not contain update operators');
+                }
+                const result = await self._updateDocuments(fullCollectionName, filter, replacement, options, false, session);
+                if (self.storageMode === 'disk') updateActivity();
+                return self._updateResult(result);
+            },
+
+            findOneAndUpdate: async (filter, update, options = {}, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                const result = await self._updateDocuments(fullCollectionName, filter, update, options, false, session);
+                if (self.storageMode === 'disk') updateActivity();
+                const doc = options.returnDocument === 'after' ? result.after[0] : result.before[0];
+                return doc ? self._cloneDocument(doc) : null;
+            },
+
+            deleteOne: async (filter, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                const deleted = await self._deleteDocuments(fullCollectionName, filter, false, session);
+                if (self.storageMode === 'disk') {
+                    updateActivity();
+                }
+                return deleted.length;
+            },
+
+            deleteMany: async (filter, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                const deleted = await self._deleteDocuments(fullCollectionName, filter, true, session);
+                if (self.storageMode === 'disk') {
+                    updateActivity();
+                }
+                return deleted.length;
+            },
+
+            findOneAndDelete: async (filter, options = {}, user, session) => {
+                authorize(user, 'write', session);
+                await load();
+                const deleted = await self._deleteDocuments(fullCollectionName, filter, false, session);
+                if (self.storageMode === 'disk') {
+                    updateActivity();
+                }
+                return deleted[0] || null;
+            },
+
+            // Runs insertOne, updateOne, updateMany, replaceOne, deleteOne and
+            // deleteMany operations in order. Failed operations are listed in
+            // writeErrors; an ordered bulk write stops at the first one.
+            bulkWrite: async (operations, options = {}, user, session) => {
+                authorize(user, 'write', session);
+                const ordered = options.ordered !== false;
+                operations.forEach((operation, index) => {
+                    const [type, ...rest] = Object.keys(operation || {});
+                    if (!BULK_WRITE_OPERATIONS.includes(type) || rest.length > 0) {
+                        throw new Error(`Invalid bulkWrite operation at index ${index}`);
+                    }
+                });
+                const result = {
+                    acknowledged: true,
+                    insertedCount: 0,
+                    matchedCount: 0,
+                    modifiedCount: 0,
+                    deletedCount: 0,
+                    upsertedCount: 0,
+                    insertedIds: {},
+                    upsertedIds: {},
+                    writeErrors: []
+                };
+                for (const [index, operation] of operations.entries()) {
+                    const [type] = Object.keys(operation);
+                    const args = operation[type];
+                    try {
+                        if (type === 'insertOne') {
+                            const inserted = await methods.insertOne(args.document, user, session);
+                            result.insertedCount++;
+                            result.insertedIds[index] = inserted._id;
+                        } else if (type === 'deleteOne' || type === 'deleteMany') {
+                            result.deletedCount += await methods[type](args.filter, user, session);
+                        } else {
+                            const { filter, update, replacement, ...updateOptions } = args;
+                            const updated = await methods[type](filter, type === 'replaceOne' ? replacement : update, updateOptions, user, session);
+                            result.matchedCount += updated.matchedCount;
+                            result.modifiedCount += updated.modifiedCount;
+                            if (updated.upsertedId) {
+                                result.upsertedCount++;
+                                result.upsertedIds[index] = updated.upsertedId;
+                            }
+                        }
+                    } catch (err) {
+                        result.writeErrors.push({ index, code: err.code, errmsg: err.message, op: operation });
+                        if (ordered) break;
+                    }
+                }
+                return result;
+            },
+
+            find: (query = {}, user, session) => {
+                authorize(user, 'read', session);
+                return new Cursor(self, (sort, scores) => self._findDocuments(fullCollectionName, query, sort, session, scores),
+                    [fullCollectionName]);
+            },
+
+            findOne: async (query = {}, user, session) => {
+                authorize(user, 'read', session);
+                await load();
+                const doc = self._findDocuments(fullCollectionName, query, null, session)[0];
+                return doc ? self._cloneDocument(doc) : null;
+            },
+
+            countDocuments: async (query = {}, user, session) => {
+                authorize(user, 'read', session);
+                await load();
+                return self._findDocuments(fullCollectionName, query, null, session).length;
+            },
+
+            estimatedDocumentCount: async (user, session) => {
+                authorize(user, 'read', session);
+                await load();
+                return self._collectionDocs(fullCollectionName, session).length;
+            },
+
+            distinct: async (field, query = {}, user, session) => {
+                authorize(user, 'read', session);
+                await load();
+                const values = [];
+                for (const doc of self._findDocuments(fullCollectionName, query, null, session)) {
+                    for (const value of self._resolvePath(doc, field)) {
+                        // Array fields contribute their elements, as in MongoDB
+                        for (const item of Array.isArray(value) ? value : [value]) {
+                            if (item !== undefined && !values.some(existing => self._valuesEqual(existing, item))) {
+                                values.push(self._cloneDocument(item));
+                            }
+                        }
+                    }
+                }
+                return values;
+            },
+
+            aggregate: (pipeline = [], user, session) => {
+                // Stages such as $lookup read other collections too
+                const namespaces = [fullCollectionName, ...self._pipelineNamespaces(dbName, pipeline)];
+                for (const ns of namespaces) {
+                    authorize(user, 'read', session, ns);
+                }
+                return new Cursor(self, sort => {
+                    // A leading $match can be answered from an index
+                    const [first, ...rest] = pipeline;
+                    const results = first && first.$match
+                        ? self._runPipeline(dbName, self._findDocuments(fullCollectionName, first.$match, null, session), rest, session)
+                        : self._runPipeline(dbName, self._collectionDocs(fullCollectionName, session), pipeline, session);
+                    return sort ? self._sortDocuments(results, sort) : results;
+                }, namespaces);
+            },
+
+            createIndex: async (keys, options = {}, user, session) => {
+                // createIndex(field, user), the original form, still works
+                if (typeof options === 'string') {
+                    user = options;
+                    options = {};
+                }
+                if (session && session.inTransaction()) {
+                    throw new Error('Cannot create an index inside a transaction');
+                }
+                authorize(user, 'write', session);
+                return await self.createIndex(dbName, collectionName, keys, options);
+            },
+
+            dropIndex: async (nameOrKeys, user, session) => {
+                if (session && session.inTransaction()) {
+                    throw new Error('Cannot drop an index inside a transaction');
+                }
+                authorize(user, 'write', session);
+                await self.dropIndex(dbName, collectionName, nameOrKeys);
+                return true;
+            },
+
+            watch: (pipeline = [], options = {}, user) => {
+                authorize(user, 'read');
+                return self._watch(dbName, collectionName, pipeline, options, user);
+            },
+
+            drop: async (user, session) => {
+                if (session && session.inTransaction()) {
+                    throw new Error('Cannot drop a collection inside a transaction');
+                }
+                authorize(user, 'admin', session);
+                if (!self._collectionExists(fullCollectionName)) return false;
+                await self._runCommand({ op: 'drop', ns: fullCollectionName });
+                return true;
+            },
+
+            stats: async (user, session) => {
+                authorize(user, 'read', session);
+                await load();
+                return self._collectionStats(fullCollectionName);
+            },
+
+            listIndexes: async (user, session) => {
+                authorize(user, 'read', session);
+                await load();
+                return self.listIndexes(dbName, collectionName);
+            },
+        };
+        return methods;
+    }
+
+    // Returns the stored documents matching a query, sorted if a sort spec
+    // is given. Callers outside the engine must only ever see copies.
+    // A $text query fills scores, when given, with each result's text score
+    _findDocuments(fullCollectionName, query = {}, sortSpec = null, session = null, scores = null) {
+        if (query.$text !== undefined) {
+            const { $text, ...rest } = query;
+            const textScores = this._textSearch(fullCollectionName, $text, session);
+            const results = [...textScores.keys()].filter(doc => this._matchQuery(doc, rest));
+            if (scores) {
+                for (const doc of results) scores.set(doc, textScores.get(doc));
+            }
+            return sortSpec ? this._sortDocuments(results, sortSpec, textScores) : results;
+        }
+        if (session && session.inTransaction()) {
+            // The transaction's own view has no indexes
+            const results = session._view(fullCollectionName).filter(doc => this._matchQuery(doc, query));
+            return sortSpec ? this._sortDocuments(results, sortSpec) : results;
+        }
+        const collection = this._collections[fullCollectionName];
+        if (!collection) return []; //collection does not exist.
+        const indexes = Object.values(this._getIndexes(fullCollectionName));
+
+        let plan = null;
+        for (const index of indexes) {
+            const candidate = this._planIndexScan(index, query);
+            if (candidate && (!plan || candidate.score > plan.score)) plan = candidate;
+        }
+        const sortIndex = sortSpec ? this._sortIndex(indexes, sortSpec) : null;
+
+        let results;
+        let sorted = false;
+        if (plan) {
+            results = this._scanIndex(plan).filter(doc => this._matchQuery(doc, query));
+            sorted = Boolean(sortIndex && sortIndex.index === plan.index && !plan.inValues);
+        } else if (sortIndex) {
+            results = sortIndex.index.entries.map(entry => entry.doc).filter(doc => this._matchQuery(doc, query));
+            sorted = true;
+        } else {
+            results = collection.filter(doc => this._matchQuery(doc, query));
+        }
+
+        if (sorted && sortIndex.reverse) {
+            results.reverse();
+        } else if (sortSpec && !sorted) {
+            results = this._sortDocuments(results, sortSpec);
+        }
+        return results;
+    }
+
+    // Scores every document matching a $text search. Plain terms match any
+    // document with one of them, -terms and -"phrases" exclude documents and
+    // a "phrase" must appear as written, ignoring case.
+    _textSearch(fullCollectionName, textQuery, session = null) {
+        const index = Object.values(this._getIndexes(fullCollectionName)).find(candidate => candidate.terms);
+        if (!index) {
+            throw new Error(`A text index is required for a $text query on ${fullCollectionName}`);
+        }
+        const search = this._parseTextSearch(textQuery);
+        let terms = index.terms;
+        if (session && session.inTransaction()) {
+            // The transaction's own view has no indexes
+            const view = { weights: index.weights, terms: new Map() };
+            for (const doc of session._view(fullCollectionName)) this._indexText(view, doc);
+            terms = view.terms;
+        }
+        const scores = new Map();
+        for (const term of search.terms) {
+            for (const [doc, score] of terms.get(term) || []) scores.set(doc, (scores.get(doc) || 0) + score);
+        }
+        for (const term of search.negated) {
+            for (const doc of (terms.get(term) || new Map()).keys()) scores.delete(doc);
+        }
+        if (search.phrases.length > 0 || search.negatedPhrases.length > 0) {
+            for (const doc of scores.keys()) {
+                const text = Object.keys(index.weights).flatMap(field => this._textValues(doc, field)).join('\n').toLowerCase();
+                if (!search.phrases.every(phrase => text.includes(phrase)) || search.negatedPhrases.some(phrase => text.includes(phrase))) {
+                    scores.delete(doc);
+                }
+            }
+        }
+        return scores;
+    }
+
+    _parseTextSearch(textQuery) {
+        if (!textQuery || typeof textQuery !== 'object' || typeof textQuery.$search !== 'string') {
+            throw new Error('$text requires a $search string');
+        }
+        for (const option of Object.keys(textQuery)) {
+            if (option !== '$search') throw new Error(`Unsupported $text option: ${option}`);
+        }
+        const search = { terms: new Set(), negated: new Set(), phrases: [], negatedPhrases: [] };
+        for (const [, minus, phrase, word] of textQuery.$search.matchAll(/(-?)(?:"([^"]*)"?|([^\s"]+))/g)) {
+            if (phrase !== undefined) {
+                const text = phrase.trim().toLowerCase();
+                if (!text) continue;
+                (minus ? search.negatedPhrases : search.phrases).push(text);
+                // A phrase's words score like plain terms
+                if (!minus) textTerms(text).forEach(term => search.terms.add(term));
+            } else {
+                textTerms(word).forEach(term => (minus ? search.negated : search.terms).add(term));
+            }
+        }
+        return search;
+    }
+
+    _isTextScoreMeta(value) {
+        return Boolean(value) && typeof value === 'object' && value.$meta === 'textScore';
+    }
+
+    _textScore(doc, scores) {
+        const score = scores ? scores.get(doc) : undefined;
+        if (score === undefined) {
+            throw new Error('textScore is only available to the results of a $text query');
+        }
+        return score;
+    }
+
+    // A { $meta: 'textScore' } direction sorts by scores, highest first
+    _sortDocuments(docs, sortSpec, scores = null) {
+        const spec = Object.entries(sortSpec);
+        return docs.slice().sort((a, b) => {
+            for (const [field, direction] of spec) {
+                if (this._isTextScoreMeta(direction)) {
+                    const cmp = this._textScore(b, scores) - this._textScore(a, scores);
+                    if (cmp !== 0) return cmp;
+                    continue;
+                }
+                const cmp = this._compareValues(this._sortKey(a, field, direction), this._sortKey(b, field, direction));
+                if (cmp !== 0) return direction < 0 ? -cmp : cmp;
+            }
+            return 0;
+        });
+    }
+
+    // Arrays sort by their smallest element ascending and largest descending
+    _sortKey(doc, field, direction) {
+        const values = this._resolvePath(doc, field).flatMap(value =>
+            Array.isArray(value) && value.length > 0 ? value : [value]);
+        return values.reduce((best, value) => {
+            const cmp = this._compareValues(value, best);
+            return (direction < 0 ? cmp > 0 : cmp < 0) ? value : best;
+        });
+    }
+
+    _projectDocument(doc, projection, scores = null) {
+        const metaFields = Object.keys(projection).filter(field => this._isTextScoreMeta(projection[field]));
+        if (metaFields.length > 0) {
+            const rest = Object.fromEntries(Object.entries(projection).filter(([field]) => !metaFields.includes(field)));
+            const result = this._projectDocument(doc, rest);
+            for (const field of metaFields) this._setPath(result, field, this._textScore(doc, scores));
+            return result;
+        }
+        const fields = Object.entries(projection).filter(([field]) => field !== '_id');
+        // { _id: 1 } on its own keeps nothing but _id
+        const inclusive = fields.length > 0 ? Boolean(fields[0][1]) : Boolean(projection._id);
+        if (fields.some(([, value]) => Boolean(value) !== inclusive)) {
+            throw new Error('Projection cannot mix inclusion and exclusion');
+        }
+        const excludeId = projection._id !== undefined && !projection._id;
+        const tree = {};
+        for (const [field] of fields) {
+            let node = tree;
+            const parts = field.split('.');
+            for (const part of parts.slice(0, -1)) {
+                if (!node[part] || node[part] === true) node[part] = {};
+                node = node[part];
+            }
+            node[parts[parts.length - 1]] = true;
+        }
+        if (inclusive) {
+            if (!excludeId) tree._id = true;
+            return this._includeProjection(doc, tree);
+        }
+        if (excludeId) tree._id = true;
+        return this._excludeProjection(this._cloneDocument(doc), tree);
+    }
+
+    _includeProjection(value, tree) {
+        if (Array.isArray(value)) {
+            return value
+                .filter(item => item !== null && typeof item === 'object' && !Array.isArray(item))
+                .map(item => this._includeProjection(item, tree));
+        }
+        const result = {};
+        for (const key of Object.keys(value)) {
+            const node = tree[key];
+            if (node === true) {
+                result[key] = this._cloneDocument(value[key]);
+            } else if (node && value[key] !== null && typeof value[key] === 'object') {
+                result[key] = this._includeProjection(value[key], node);
+            }
+        }
+        return result;
+    }
+
+    _excludeProjection(value, tree) {
+        if (Array.isArray(value)) {
+            return value.map(item => item !== null && typeof item === 'object' ? this._excludeProjection(item, tree) : item);
+        }
+        for (const [key, node] of Object.entries(tree)) {
+            if (!(key in value)) continue;
+            if (node === true) {
+                delete value[key];
+            } else if (value[key] !== null && typeof value[key] === 'object') {
+                value[key] = this._excludeProjection(value[key], node);
+            }
+        }
+        return value;
+    }
+
+    // Collections a pipeline reads besides its own, for permission checks
+    _pipelineNamespaces(dbName, pipeline) {
+        const namespaces = [];
+        for (const stage of pipeline) {
+            if (stage.$lookup) {
+                namespaces.push(this._lookupNamespace(dbName, stage.$lookup.from));
+                namespaces.push(...this._pipelineNamespaces(dbName, stage.$lookup.pipeline || []));
+            }
+        }
+        return namespaces;
+    }
+
+    _lookupNamespace(dbName, from) {
+        if (from && typeof from === 'object') {
+            return `${from.db}.${from.coll}`;
+        }
+        return `${dbName}.${from}`;
+    }
+
+    _runPipeline(dbName, docs, pipeline, session = null) {
+        if (!Array.isArray(pipeline)) {
+            throw new Error('Aggregation pipeline must be an array of stages');
+        }
+        let results = docs;
+        for (const stage of pipeline) {
+            const names = Object.keys(stage);
+            if (names.length !== 1) {
+                throw new Error('Each pipeline stage must have exactly one field');
+            }
+            results = this._runStage(dbName, results, names[0], stage[names[0]], session);
+        }
+        return results;
+    }
+
+    _runStage(dbName, docs, name, spec, session) {
+        switch (name) {
+            case '$match':
+                return docs.filter(doc => this._matchQuery(doc, spec));
+            case '$project':
+                return docs.map(doc => this._projectStage(doc, spec));
+            case '$addFields':
+            case '$set':
+                return docs.map(doc => {
+                    const result = this._cloneDocument(doc);
+                    for (const [field, expr] of Object.entries(spec)) {
+                        this._setPath(result, field, this._evaluateExpression(expr, doc));
+                    }
+                    return result;
+                });
+            case '$unset':
+                return docs.map(doc => this._projectDocument(doc,
+                    Object.fromEntries((Array.isArray(spec) ? spec : [spec]).map(field => [field, 0]))));
+            case '$replaceRoot':
+            case '$replaceWith': {
+                const expr = name === '$replaceRoot' ? spec.newRoot : spec;
+                return docs.map(doc => {
+                    const root = this._evaluateExpression(expr, doc);
+                    if (!root || typeof root !== 'object' || Array.isArray(root)) {
+                        throw new Error(`${name} requires the new root to be a document`);
+                    }
+                    return root;
+                });
+            }
+            case '$group':
+                return this._groupStage(docs, spec);
+            case '$sort':
+                return this._sortDocuments(docs, spec);
+            case '$skip':
+                return docs.slice(spec);
+            case '$limit':
+                return docs.slice(0, spec);
+            case '$count':
+                return docs.length > 0 ? [{ [spec]: docs.length }] : [];
+            case '$unwind':
+                return this._unwindStage(docs, typeof spec === 'string' ? { path: spec } : spec);
+            case '$lookup':
+                return this._lookupStage(dbName, docs, spec, session);
+            default:
+                throw new Error(`Unknown pipeline stage: ${name}`);
+        }
+    }
+
+    _projectStage(doc, spec) {
+        const flags = {};
+        const computed = {};
+        const flatten = (value, prefix) => {
+            for (const [key, item] of Object.entries(value)) {
+                const field = prefix ? `${prefix}.${key}` : key;
+                if (item === 0 || item === 1 || typeof item === 'boolean') {
+                    flags[field] = item;
+                } else if (item && typeof item === 'object' && !Array.isArray(item) && !this._isOperatorObject(item)
+                    && Object.getPrototypeOf(item) === Object.prototype) {
+                    flatten(item, field);
+                } else {
+                    computed[field] = item;
+                }
+            }
+        };
+        flatten(spec, '');
+
+        const hasComputed = Object.keys(computed).length > 0;
+        const inclusive = hasComputed || Object.entries(flags).some(([field, value]) => field !== '_id' && value);
+        if (!inclusive) {
+            return this._projectDocument(doc, flags);
+        }
+        const projection = { ...flags };
+        for (const field of Object.keys(computed)) projection[field] = 1;
+        const result = this._projectDocument(doc, projection);
+        for (const [field, expr] of Object.entries(computed)) {
+            const value = this._evaluateExpression(expr, doc);
+            if (value === undefined) {
+                this._unsetPath(result, field);
+            } else {
+                this._setPath(result, field, value);
+            }
+        }
+        return result;
+    }
+
+    _groupStage(docs, spec) {
+        const accumulatorSpecs = Object.entries(spec).filter(([field]) => field !== '_id');
+        const groups = new Map();
+        for (const doc of docs) {
+            const id = this._evaluateExpression(spec._id === undefined ? null : spec._id, doc);
+            const key = this._valueKey(id);
+            if (!groups.has(key)) {
+                groups.set(key, { id, values: accumulatorSpecs.map(() => []) });
+            }
+            const group = groups.get(key);
+            accumulatorSpecs.forEach(([field, accumulator], i) => {
+                const operators = Object.keys(accumulator || {});
+                if (operators.length !== 1) {
+                    throw new Error(`The field '${field}' must be an accumulator object`);
+                }
+                group.values[i].push(operators[0] === '$count' ? 1 : this._evaluateExpression(accumulator[operators[0]], doc));
+            });
+        }
+
+        return [...groups.values()].map(group => {
+            const result = { _id: group.id === undefined ? null : group.id };
+            accumulatorSpecs.forEach(([field, accumulator], i) => {
+                result[field] = this._accumulate(Object.keys(accumulator)[0], group.values[i]);
+            });
+            return result;
+        });
+    }
+
+    _accumulate(operator, values) {
+        const present = values.filter(value => value !== undefined && value !== null);
+        const numbers = values.filter(value => typeof value === 'number');
+        switch (operator) {
+            case '$sum':
+            case '$count':
+                return numbers.reduce((total, value) => total + value, 0);
+            case '$avg':
+                return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+            case '$min':
+                return present.length > 0 ? present.reduce((min, value) => this._compareValues(value, min) < 0 ? value : min) : null;
+            case '$max':
+                return present.length > 0 ? present.reduce((max, value) => this._compareValues(value, max) > 0 ? value : max) : null;
+            case '$push':
+                return values.filter(value => value !== undefined);
+            case '$addToSet': {
+                const unique = [];
+                for (const value of values) {
+                    if (value !== undefined && !unique.some(existing => this._valuesEqual(existing, value))) {
+                        unique.push(value);
+                    }
+                }
+                return unique;
+            }
+            case '$first':
+                return values.length > 0 && values[0] !== undefined ? values[0] : null;
+            case '$last':
+                return values.length > 0 && values[values.length - 1] !== undefined ? values[values.length - 1] : null;
+            default:
+                throw new Error(`Unknown group accumulator: ${operator}`);
+        }
+    }
+
+    // Stable string key for grouping; distinguishes types that print alike
+    _valueKey(value) {
+        if (value === undefined || value === null) return 'null';
+        if (value instanceof Date) return `date:${value.getTime()}`;
+        if (value instanceof ObjectId) return `oid:${value.toHexString()}`;
+        if (Buffer.isBuffer(value)) return `bin:${value.toString('base64')}`;
+        if (Array.isArray(value)) return `[${value.map(item => this._valueKey(item)).join(',')}]`;
+        if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}:${this._valueKey(item)}`).join(',')}}`;
+        }
+        return `${typeof value}:${String(value)}`;
+    }
+
+    _unwindStage(docs, spec) {
+        const field = spec.path.replace(/^\$/, '');
+        const results = [];
+        for (const doc of docs) {
+            const value = this._getPath(doc, field);
+            if (Array.isArray(value) && value.length > 0) {
+                value.forEach((item, index) => {
+                    const result = this._cloneDocument(doc);
+                    this._setPath(result, field, this._cloneDocument(item));
+                    if (spec.includeArrayIndex) this._setPath(result, spec.includeArrayIndex, index);
+                    results.push(result);
+                });
+            } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+                const result = this._cloneDocument(doc);
+                if (spec.includeArrayIndex) this._setPath(result, spec.includeArrayIndex, null);
+                results.push(result);
+            } else if (spec.preserveNullAndEmptyArrays) {
+                const result = this._cloneDocument(doc);
+                // As in MongoDB, an empty array leaves no field behind
+                if (Array.isArray(value)) this._unsetPath(result, field);
+                if (spec.includeArrayIndex) this._setPath(result, spec.includeArrayIndex, null);
+                results.push(result);
+            }
+        }
+        return results;
+    }
+
+    _lookupStage(dbName, docs, spec, session) {
+        if (!spec.from || !spec.as) {
+            throw new Error('$lookup requires from and as');
+        }
+        const foreignNs = this._lookupNamespace(dbName, spec.from);
+        const foreignDocs = this._collectionDocs(foreignNs, session);
+        const [foreignDb] = this._splitNamespace(foreignNs);
+        return docs.map(doc => {
+            let matches = foreignDocs;
+            if (spec.localField !== undefined) {
+                const localValues = this._resolvePath(doc, spec.localField).flatMap(value =>
+                    Array.isArray(value) ? value : [value]);
+                matches = foreignDocs.filter(foreign => localValues.some(local =>
+                    this._matchesEquality(this._resolvePath(foreign, spec.foreignField), local === undefined ? null : local)));
+            }
+            if (spec.pipeline) {
+                matches = this._runPipeline(foreignDb, matches, spec.pipeline, session);
+            }
+            const result = this._cloneDocument(doc);
+            this._setPath(result, spec.as, matches.map(match => this._cloneDocument(match)));
+            return result;
+        });
+    }
+
+    _isTruthy(value) {
+        return value !== undefined && value !== null && value !== false && value !== 0;
+    }
+
+    // Evaluates an aggregation expression against a document. Strings that
+    // start with '$' are field paths and '$$name' are variables.
+    _evaluateExpression(expr, doc, vars = {}) {
+        if (typeof expr === 'string' && expr.startsWith('$$')) {
+            const [name, ...rest] = expr.slice(2).split('.');
+            let value;
+            if (name === 'ROOT' || name === 'CURRENT') value = doc;
+            else if (name === 'REMOVE') return undefined;
+            else if (name in vars) value = vars[name];
+            else throw new Error(`Undefined variable: $$${name}`);
+            return rest.length > 0 ? this._fieldPathValue(value, rest) : value;
+        }
+        if (typeof expr === 'string' && expr.startsWith('$')) {
+            return this._fieldPathValue(doc, expr.slice(1).split('.'));
+        }
+        if (Array.isArray(expr)) {
+            return expr.map(item => this._evaluateExpression(item, doc, vars));
+        }
+        if (!expr || typeof expr !== 'object' || Object.getPrototypeOf(expr) !== Object.prototype) {
+            return expr;
+        }
+        const keys = Object.keys(expr);
+        if (keys.length === 1 && keys[0].startsWith('$')) {
+            return this._evaluateOperator(keys[0], expr[keys[0]], doc, vars);
+        }
+        const result = {};
+        for (const [key, value] of Object.entries(expr)) {
+            const evaluated = this._evaluateExpression(value, doc, vars);
+            if (evaluated !== undefined) result[key] = evaluated;
+        }
+        return result;
+    }
+
+    _fieldPathValue(value, parts) {
+        if (parts.length === 0) return value;
+        if (Array.isArray(value)) {
+            return value.map(item => this._fieldPathValue(item, parts)).filter(item => item !== undefined);
+        }
+        if (value === null || typeof value !== 'object') return undefined;
+        return this._fieldPathValue(value[parts[0]], parts.slice(1));
+    }
+
+    _evaluateOperator(operator, arg, doc, vars) {
+        const evaluate = expr => this._evaluateExpression(expr, doc, vars);
+        const args = () => (Array.isArray(arg) ? arg : [arg]).map(evaluate);
+        const isNullish = value => value === undefined || value === null;
+        switch (operator) {
+            case '$literal':
+                return arg;
+
+            // Arithmetic
+            case '$add': {
+                const values = args();
+                if (values.some(isNullish)) return null;
+                const date = values.find(value => value instanceof Date);
+                const total = values.reduce((sum, value) => sum + (value instanceof Date ? value.getTime() : value), 0);
+                return date ? new Date(total) : total;
+            }
+            case '$subtract': {
+                const [a, b] = args();
+                if (isNullish(a) || isNullish(b)) return null;
+                if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+                if (a instanceof Date) return new Date(a.getTime() - b);
+                return a - b;
+            }
+            case '$multiply': {
+                const values = args();
+                return values.some(isNullish) ? null : values.reduce((product, value) => product * value, 1);
+            }
+            case '$divide': {
+                const [a, b] = args();
+                if (isNullish(a) || isNullish(b)) return null;
+                if (b === 0) throw new Error('$divide by zero');
+                return a / b;
+            }
+            case '$mod': {
+                const [a, b] = args();
+                return isNullish(a) || isNullish(b) ? null : a % b;
+            }
+            case '$pow': {
+                const [a, b] = args();
+                return isNullish(a) || isNullish(b) ? null : Math.pow(a, b);
+            }
+            case '$abs':
+            case '$ceil':
+            case '$floor':
+            case '$sqrt':
+            case '$exp':
+            case '$ln': {
+                const [value] = args();
+                const fn = { $abs: Math.abs, $ceil: Math.ceil, $floor: Math.floor, $sqrt: Math.sqrt, $exp: Math.exp, $ln: Math.log }[operator];
+                return isNullish(value) ? null : fn(value);
+            }
+            case '$round':
+            case '$trunc': {
+                const [value, place = 0] = args();
+                if (isNullish(value)) return null;
+                const factor = Math.pow(10, place);
+                return (operator === '$round' ? Math.round : Math.trunc)(value * factor) / factor;
+            }
+
+            // Accumulators used as expressions operate on arrays
+            case '$sum':
+            case '$avg':
+            case '$min':
+            case '$max': {
+                const values = args();
+                const flattened = values.length === 1 && Array.isArray(values[0]) ? values[0] : values;
+                return this._accumulate(operator, flattened);
+            }
+
+            // Strings
+            case '$concat': {
+                const values = args();
+                return values.some(isNullish) ? null : values.join('');
+            }
+            case '$toUpper':
+            case '$toLower': {
+                const [value] = args();
+                const text = isNullish(value) ? '' : String(value);
+                return operator === '$toUpper' ? text.toUpperCase() : text.toLowerCase();
+            }
+            case '$substr':
+            case '$substrCP': {
+                const [value, start, length] = args();
+                return isNullish(value) ? '' : String(value).substr(start, length < 0 ? undefined : length);
+            }
+            case '$strLenCP': {
+                const [value] = args();
+                return [...String(value)].length;
+            }
+            case '$split': {
+                const [value, delimiter] = args();
+                return isNullish(value) ? null : String(value).split(delimiter);
+            }
+            case '$trim':
+            case '$ltrim':
+            case '$rtrim': {
+                const input = evaluate(arg.input);
+                if (isNullish(input)) return null;
+                const fn = { $trim: 'trim', $ltrim: 'trimStart', $rtrim: 'trimEnd' }[operator];
+                return String(input)[fn]();
+            }
+            case '$toString': {
+                const [value] = args();
+                if (isNullish(value)) return null;
+                return value instanceof Date ? value.toISOString() : String(value);
+            }
+            case '$toInt':
+            case '$toDouble': {
+                const [value] = args();
+                if (isNullish(value)) return null;
+                const number = value instanceof Date ? value.getTime() : Number(value);
+                return operator === '$toInt' ? Math.trunc(number) : number;
+            }
+            case '$toDate': {
+                const [value] = args();
+                return isNullish(value) ? null : new Date(value);
+            }
+            case '$type': {
+                const [value] = args();
+                const types = ['missing', 'null', 'bool', 'string', 'date', 'regex', 'binData', 'array', 'int', 'long', 'double', 'object'];
+                if (value === undefined) return 'missing';
+                return types.find(type => type !== 'missing' && this._isBsonType(value, type));
+            }
+
+            // Comparison
+            case '$cmp':
+            case '$eq':
+            case '$ne':
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte': {
+                const [a, b] = args();
+                const cmp = this._compareValues(a, b);
+                switch (operator) {
+                    case '$cmp': return cmp;
+                    case '$eq': return cmp === 0;
+                    case '$ne': return cmp !== 0;
+                    case '$gt': return cmp > 0;
+                    case '$gte': return cmp >= 0;
+                    case '$lt': return cmp < 0;
+                    default: return cmp <= 0;
+                }
+            }
+
+            // Boolean and conditional
+            case '$and':
+                return args().every(value => this._isTruthy(value));
+            case '$or':
+                return args().some(value => this._isTruthy(value));
+            case '$not':
+                return !this._isTruthy(args()[0]);
+            case '$cond': {
+                const [condition, then, otherwise] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+                return this._isTruthy(evaluate(condition)) ? evaluate(then) : evaluate(otherwise);
+            }
+            case '$ifNull': {
+                const exprs = Array.isArray(arg) ? arg : [arg];
+                for (const expr of exprs.slice(0, -1)) {
+                    const value = evaluate(expr);
+                    if (!isNullish(value)) return value;
+                }
+                return evaluate(exprs[exprs.length - 1]);
+            }
+            case '$switch': {
+                for (const branch of arg.branches || []) {
+                    if (this._isTruthy(evaluate(branch.case))) return evaluate(branch.then);
+                }
+                if (!('default' in arg)) {
+                    throw new Error('$switch found no matching branch and has no default');
+                }
+                return evaluate(arg.default);
+            }
+
+            // Arrays and objects
+            case '$size': {
+                const [value] = args();
+                if (!Array.isArray(value)) throw new Error('$size requires an array');
+                return value.length;
+            }
+            case '$arrayElemAt': {
+                const [array, index] = args();
+                if (!Array.isArray(array)) return null;
+                return array[index < 0 ? array.length + index : index];
+            }
+            case '$first':
+            case '$last': {
+                const [array] = args();
+                if (!Array.isArray(array)) return null;
+                return operator === '$first' ? array[0] : array[array.length - 1];
+            }
+            case '$in': {
+                const [value, array] = args();
+                if (!Array.isArray(array)) throw new Error('$in requires an array as its second argument');
+                return array.some(item => this._valuesEqual(item, value));
+            }
+            case '$concatArrays': {
+                const values = args();
+                return values.some(isNullish) ? null : [].concat(...values);
+            }
+            case '$filter': {
+                const input = evaluate(arg.input);
+                if (isNullish(input)) return null;
+                const name = arg.as || 'this';
+                return input.filter(item => this._isTruthy(this._evaluateExpression(arg.cond, doc, { ...vars, [name]: item })));
+            }
+            case '$map': {
+                const input = evaluate(arg.input);
+                if (isNullish(input)) return null;
+                const name = arg.as || 'this';
+                return input.map(item => this._evaluateExpression(arg.in, doc, { ...vars, [name]: item }));
+            }
+            case '$reduce': {
+                const input = evaluate(arg.input);
+                if (isNullish(input)) return null;
+                return input.reduce((value, item) =>
+                    this._evaluateExpression(arg.in, doc, { ...vars, value, this: item }), evaluate(arg.initialValue));
+            }
+            case '$mergeObjects':
+                return Object.assign({}, ...args().filter(value => !isNullish(value)));
+
+            // Dates (UTC)
+            case '$year':
+            case '$month':
+            case '$dayOfMonth':
+            case '$dayOfWeek':
+            case '$hour':
+            case '$minute':
+            case '$second':
+            case '$millisecond': {
+                const [date] = args();
+                if (isNullish(date)) return null;
+                const d = new Date(date);
+                switch (operator) {
+                    case '$year': return d.getUTCFullYear();
+                    case '$month': return d.getUTCMonth() + 1;
+                    case '$dayOfMonth': return d.getUTCDate();
+                    case '$dayOfWeek': return d.getUTCDay() + 1;
+                    case '$hour': return d.getUTCHours();
+                    case '$minute': return d.getUTCMinutes();
+                    case '$second': return d.getUTCSeconds();
+                    default: return d.getUTCMilliseconds();
+                }
+            }
+            case '$dateToString': {
+                const date = evaluate(arg.date);
+                if (isNullish(date)) return null;
+                const d = new Date(date);
+                const pad = (value, width = 2) => String(value).padStart(width, '0');
+                const parts = {
+                    Y: d.getUTCFullYear(), m: pad(d.getUTCMonth() + 1), d: pad(d.getUTCDate()),
+                    H: pad(d.getUTCHours()), M: pad(d.getUTCMinutes()), S: pad(d.getUTCSeconds()),
+                    L: pad(d.getUTCMilliseconds(), 3), '%': '%'
+                };
+                return (arg.format || '%Y-%m-%dT%H:%M:%S.%LZ').replace(/%([YmdHMSL%])/g, (match, code) => parts[code]);
+            }
+            default:
+                throw new Error(`Unknown expression operator: ${operator}`);
+        }
+    }
+
+    // Shared by updateOne/updateMany/replaceOne/findOneAndUpdate. Matched
+    // documents are rebuilt rather than mutated so readers holding the old
+    // object never observe a half-applied update.
+    async _updateDocuments(fullCollectionName, filter, update, options = {}, multi = false, session = null) {
+        const replacement = this._isReplacement(update);
+        const result = { matchedCount: 0, modifiedCount: 0, upsertedId: null, before: [], after: [] };
+        const ops = [];
+        const positions = [];
+
+        let matches = this._findDocuments(fullCollectionName, filter, null, session);
+        if (!multi) matches = matches.slice(0, 1);
+        const matchPositions = matches.length > 0 ? this._positionsOf(fullCollectionName, matches, session) : [];
+        matches.forEach((doc, i) => {
+            result.matchedCount++;
+
+            let updatedDoc;
+            if (replacement) {
+                const replacementData = { ...update };
+                delete replacementData._id;
+                updatedDoc = { _id: doc._id, ...this._cloneDocument(replacementData) };
+            } else {
+                updatedDoc = this._applyUpdate(doc, update, false);
+            }
+            updatedDoc._id = doc._id;
+
+            result.before.push(doc);
+            result.after.push(updatedDoc);
+            if (!this._valuesEqual(doc, updatedDoc)) {
+                const op = { op: 'u', ns: fullCollectionName, doc: updatedDoc };
+                if (replacement) op.replace = true;
+                ops.push(op);
+                positions.push(matchPositions[i]);
+                result.modifiedCount++;
+            }
+        });
+
+        if (result.matchedCount === 0 && options.upsert === true) {
+            let newDocData;
+            if (replacement) {
+                newDocData = this._cloneDocument(update);
+            } else {
+                newDocData = this._applyUpdate(this._upsertSeed(filter), update, true);
+            }
+            // An _id from the filter, the replacement or $setOnInsert is kept
+            const newDoc = this._withId(newDocData);
+            ops.push({ op: 'i', ns: fullCollectionName, doc: newDoc });
+            positions.push(-1);
+            result.upsertedId = newDoc._id;
+            result.after.push(newDoc);
+        }
+
+        await this._write(ops, positions, session);
+        return result;
+    }
+
+    _updateResult(result) {
+        if (result.upsertedId) {
+            return {
+                matchedCount: 0,
+                modifiedCount: 0,
+                upsertedCount: 1,
+                upsertedId: result.upsertedId,
+                acknowledged: true,
+                upserted: true
+            };
+        }
+        return { matchedCount: result.matchedCount, modifiedCount: result.modifiedCount, acknowledged: true };
+    }
+
+    async _deleteDocuments(fullCollectionName, filter, multi = false, session = null) {
+        let matches = this._findDocuments(fullCollectionName, filter, null, session);
+        if (!multi) matches = matches.slice(0, 1);
+        if (matches.length === 0) return [];
+        const positions = this._positionsOf(fullCollectionName, matches, session);
+        // Splice from the end so earlier positions stay valid
+        const order = matches.map((doc, i) => i).sort((a, b) => positions[b] - positions[a]);
+        const ops = order.map(i => ({ op: 'd', ns: fullCollectionName, _id: matches[i]._id }));
+        await this._write(ops, order.map(i => positions[i]), session);
+        return matches;
+    }
+
+    _isReplacement(update) {
+        const keys = Object.keys(update);
+        const operators = keys.filter(key => key.startsWith('$'));
+        if (operators.length > 0 && operators.length !== keys.length) {
+            throw new Error('Update document cannot mix update operators and plain fields');
+        }
+        return operators.length === 0;
+    }
+
+    _isOperatorObject(value) {
+        if (!value || typeof value !== 'object' || Object.getPrototypeOf(value) !== Object.prototype) {
+            return false;
+        }
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    // Equality conditions in an upsert filter become fields of the new document
+    _upsertSeed(filter) {
+        const seed = {};
+        for (const [key, value] of Object.entries(filter)) {
+            if (key.startsWith('$')) continue;
+            if (this._isOperatorObject(value)) {
+                if ('$eq' in value) this._setPath(seed, key, this._cloneDocument(value.$eq));
+                continue;
+            }
+            this._setPath(seed, key, this._cloneDocument(value));
+        }
+        return seed;
+    }
+
+    _applyUpdate(doc, update, isInsert) {
+        const result = this._cloneDocument(doc);
+        for (const [operator, fields] of Object.entries(update)) {
+            for (const [field, value] of Object.entries(fields)) {
+                // _id is immutable once the document exists; updates to it
+                // are ignored, but an upsert may set it
+                if (!isInsert && (field === '_id' || field.startsWith('_id.'))) continue;
+                this._applyUpdateOperator(result, operator, field, value, isInsert);
+            }
+        }
+        return result;
+    }
+
+    _applyUpdateOperator(doc, operator, field, value, isInsert) {
+        const current = this._getPath(doc, field);
+        switch (operator) {
+            case '$set':
+                this._setPath(doc, field, this._cloneDocument(value));
+                break;
+            case '$setOnInsert':
+                if (isInsert) this._setPath(doc, field, this._cloneDocument(value));
+                break;
+            case '$unset':
+                this._unsetPath(doc, field);
+                break;
+            case '$inc':
+            case '$mul': {
+                if (typeof value !== 'number') {
+                    throw new Error(`${operator} requires a numeric argument for field '${field}'`);
+                }
+                if (current !== undefined && current !== null && typeof current !== 'number') {
+                    throw new Error(`Cannot apply ${operator} to non-numeric field '${field}'`);
+                }
+                const base = typeof current === 'number' ? current : 0;
+                this._setPath(doc, field, operator === '$inc' ? base + value : base * value);
+                break;
+            }
+            case '$min':
+                if (current === undefined || this._compareValues(value, current) < 0) {
+                    this._setPath(doc, field, this._cloneDocument(value));
+                }
+                break;
+            case '$max':
+                if (current === undefined || this._compareValues(value, current) > 0) {
+                    this._setPath(doc, field, this._cloneDocument(value));
+                }
+                break;
+            case '$rename':
+                if (typeof value !== 'string' || value === '_id') {
+                    throw new Error(`$rename target for '${field}' must be a field name`);
+                }
+                if (current !== undefined) {
+                    this._unsetPath(doc, field);
+                    this._setPath(doc, value, current);
+                }
+                break;
+            case '$currentDate':
+                if (value && value.$type === 'timestamp') {
+                    this._setPath(doc, field, Date.now());
+                } else {
+                    this._setPath(doc, field, new Date());
+                }
+                break;
+            case '$push': {
+                const array = this._arrayAt(doc, field, current, operator);
+                const hasModifiers = this._isOperatorObject(value) && '$each' in value;
+                const items = (hasModifiers ? value.$each : [value]).map(item => this._cloneDocument(item));
+                if (hasModifiers && value.$position !== undefined) {
+                    const position = value.$position < 0 ? Math.max(array.length + value.$position, 0) : value.$position;
+                    array.splice(position, 0, ...items);
+                } else {
+                    array.push(...items);
+                }
+                if (hasModifiers && value.$sort !== undefined) {
+                    array.sort((a, b) => this._compareForPushSort(a, b, value.$sort));
+                }
+                if (hasModifiers && value.$slice !== undefined) {
+                    const sliced = value.$slice < 0 ? array.slice(value.$slice) : array.slice(0, value.$slice);
+                    array.splice(0, array.length, ...sliced);
+                }
+                break;
+            }
+            case '$addToSet': {
+                const array = this._arrayAt(doc, field, current, operator);
+                const items = this._isOperatorObject(value) && '$each' in value ? value.$each : [value];
+                for (const item of items) {
+                    if (!array.some(existing => this._valuesEqual(existing, item))) {
+                        array.push(this._cloneDocument(item));
+                    }
+                }
+                break;
+            }
+            case '$pop':
+                if (Array.isArray(current)) {
+                    if (value === -1) current.shift();
+                    else current.pop();
+                } else if (current !== undefined) {
+                    throw new Error(`Cannot apply $pop to non-array field '${field}'`);
+                }
+                break;
+            case '$pull':
+                if (Array.isArray(current)) {
+                    this._setPath(doc, field, current.filter(item => !this._matchesPullCondition(item, value)));
+                } else if (current !== undefined) {
+                    throw new Error(`Cannot apply $pull to non-array field '${field}'`);
+                }
+                break;
+            case '$pullAll':
+                if (!Array.isArray(value)) {
+                    throw new Error(`$pullAll requires an array argument for field '${field}'`);
+                }
+                if (Array.isArray(current)) {
+                    this._setPath(doc, field, current.filter(item => !value.some(v => this._valuesEqual(item, v))));
+                } else if (current !== undefined) {
+                    throw new Error(`Cannot apply $pullAll to non-array field '${field}'`);
+                }
+                break;
+            default:
+                throw new Error(`Unknown update operator: ${operator}`);
+        }
+    }
+
+    _arrayAt(doc, field, current, operator) {
+        if (current === undefined) {
+            const array = [];
+            this._setPath(doc, field, array);
+            return array;
+        }
+        if (!Array.isArray(current)) {
+            throw new Error(`Cannot apply ${operator} to non-array field '${field}'`);
+        }
+        return current;
+    }
+
+    _compareForPushSort(a, b, sortSpec) {
+        if (typeof sortSpec === 'number') {
+            return this._compareValues(a, b) * sortSpec;
+        }
+        for (const [field, direction] of Object.entries(sortSpec)) {
+            const cmp = this._compareValues(this._getPath(a, field), this._getPath(b, field));
+            if (cmp !== 0) return cmp * direction;
+        }
+        return 0;
+    }
+
+    _matchesPullCondition(item, condition) {
+        if (this._isOperatorObject(condition)) {
+            return this._matchQuery({ value: item }, { value: condition });
+        }
+        if (condition && typeof condition === 'object' && Object.getPrototypeOf(condition) === Object.prototype
+            && item && typeof item === 'object' && !Array.isArray(item)) {
+            return this._matchQuery(item, condition);
+        }
+        return this._valuesEqual(item, condition);
+    }
+
+    _getPath(doc, field) {
+        let current = doc;
+        for (const part of field.split('.')) {
+            if (current === null || typeof current !== 'object') return undefined;
+            current = current[part];
+        }
+        return current;
+    }
+
+    _setPath(doc, field, value) {
+        const parts = field.split('.');
+        let current = doc;
+        for (let i = 0; i < parts.length - 1; i++) {
+            const part = parts[i];
+            if (current[part] === undefined || current[part] === null) {
+                current[part] = {};
+            } else if (typeof current[part] !== 'object') {
+                throw new Error(`Cannot create field '${parts[i + 1]}' in non-object field '${parts.slice(0, i + 1).join('.')}'`);
+            }
+            current = current[part];
+        }
+        current[parts[parts.length - 1]] = value;
+    }
+
+    _unsetPath(doc, field) {
+        const parts = field.split('.');
+        const parent = parts.length === 1 ? doc : this._getPath(doc, parts.slice(0, -1).join('.'));
+        if (parent === null || typeof parent !== 'object') return;
+        const last = parts[parts.length - 1];
+        if (Array.isArray(parent)) {
+            // Unsetting an array element leaves a null, as in MongoDB
+            if (last in parent) parent[last] = null;
+        } else {
+            delete parent[last];
+        }
+    }
+
+    _cloneDocument(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this._cloneDocument(item));
+        }
+        if (value instanceof Date) {
+            return new Date(value.getTime());
+        }
+        if (value instanceof ObjectId) {
+            return new ObjectId(value);
+        }
+        if (Buffer.isBuffer(value)) {
+            return Buffer.from(value);
+        }
+        if (value instanceof Map) {
+            return new Map([...value].map(([key, item]) => [key, this._cloneDocument(item)]));
+        }
+        if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            const copy = {};
+            for (const [key, item] of Object.entries(value)) {
+                copy[key] = this._cloneDocument(item);
+            }
+            return copy;
+        }
+        return value;
+    }
+
+    _valuesEqual(a, b) {
+        if (a === b) return true;
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+            return Number.isNaN(a) && Number.isNaN(b);
+        }
+        if (a instanceof Date || b instanceof Date) {
+            return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+        }
+        if (a instanceof ObjectId || b instanceof ObjectId) {
+            return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+        }
+        if (Buffer.isBuffer(a) || Buffer.isBuffer(b)) {
+            return Buffer.isBuffer(a) && Buffer.isBuffer(b) && a.equals(b);
         }
+        if (a instanceof RegExp || b instanceof RegExp) {
+            return a instanceof RegExp && b instanceof RegExp && a.source === b.source && a.flags === b.flags;
+        }
+        if (a instanceof Map || b instanceof Map) {
+            return a instanceof Map && b instanceof Map && a.size === b.size
+                && [...a].every(([key, item]) => b.has(key) && this._valuesEqual(item, b.get(key)));
+        }
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        if (keysA.length !== keysB.length) return false;
+        for (let i = 0; i < keysA.length; i++) {
+            // Field order matters for embedded documents, as in BSON
+            if (keysA[i] !== keysB[i] || !this._valuesEqual(a[keysA[i]], b[keysB[i]])) return false;
+        }
+        return true;
     }
 
-    async _ensureStorageDirectory() {
-        try {
-            await fs.mkdir(this.storagePath, { recursive: true });
-        } catch (err) {
-            if (err.code !== 'EEXIST') {
-                throw new Error(`Failed to create storage directory: ${err.message}`);
+    // Cross-type ordering follows MongoDB's BSON comparison order
+    _typeRank(value) {
+        if (value === undefined || value === null) return 1;
+        if (typeof value === 'number' || typeof value === 'bigint') return 2;
+        if (typeof value === 'string') return 3;
+        if (value instanceof Date) return 9;
+        if (value instanceof RegExp) return 11;
+        if (Buffer.isBuffer(value)) return 6;
+        if (value instanceof ObjectId) return 7;
+        if (Array.isArray(value)) return 5;
+        if (typeof value === 'boolean') return 8;
+        return 4;
+    }
+
+    _compareValues(a, b) {
+        const rankA = this._typeRank(a);
+        const rankB = this._typeRank(b);
+        if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+        switch (rankA) {
+            case 1:
+                return 0;
+            case 2:
+            case 3:
+            case 8:
+                return a < b ? -1 : a > b ? 1 : 0;
+            case 9:
+                return Math.sign(a.getTime() - b.getTime());
+            case 6:
+                return Buffer.compare(a, b);
+            case 7:
+                return a.compare(b);
+            case 11:
+                return a.toString() < b.toString() ? -1 : a.toString() > b.toString() ? 1 : 0;
+            case 5:
+                for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                    const cmp = this._compareValues(a[i], b[i]);
+                    if (cmp !== 0) return cmp;
+                }
+                return Math.sign(a.length - b.length);
+            default: {
+                const keysA = Object.keys(a);
+                const keysB = Object.keys(b);
+                for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+                    if (keysA[i] !== keysB[i]) return keysA[i] < keysB[i] ? -1 : 1;
+                    const cmp = this._compareValues(a[keysA[i]], b[keysB[i]]);
+                    if (cmp !== 0) return cmp;
+                }
+                return Math.sign(keysA.length - keysB.length);
             }
         }
     }
 
-    async _loadPersistedData() {
-        try {
-            const dbFiles = await fs.readdir(this.storagePath);
-            for (const file of dbFiles) {
-                const fullPath = path.join(this.storagePath, file);
-                const stat = await fs.stat(fullPath);
-                if (stat.isDirectory()) {
-                    const dbName = file;
-                    this._databases[dbName] = true;
-                    const collectionFiles = await fs.readdir(fullPath);
-                    for (const collFile of collectionFiles) {
-                        if (collFile.endsWith('.json')) {
-                            const collectionName = path.basename(collFile, '.json');
-                            const collectionPath = path.join(fullPath, collFile);
-                            try {
-                                const data = await fs.readFile(collectionPath, 'utf8');
-                                this._collections[`${dbName}.${collectionName}`] = JSON.parse(data);
-                            } catch (readErr) {
-                                throw new Error(`Error reading collection ${collectionName}: ${readErr.message}`);
-                            }
-                        }
+    _generateUniqueId() {
+        return new ObjectId();
+    }
+
+    // A copy of a document about to be inserted. The caller's _id is kept,
+    // or a new ObjectId generated, and _id comes first as in MongoDB.
+    _withId(doc) {
+        const { _id = this._generateUniqueId(), ...fields } = this._cloneDocument(doc);
+        if (Array.isArray(_id) || _id instanceof RegExp) {
+            throw new Error(`_id cannot be ${Array.isArray(_id) ? 'an array' : 'a regular expression'}`);
+        }
+        return { _id, ...fields };
+    }
+
+    _matchQuery(doc, query) {
+        for (const [key, value] of Object.entries(query)) {
+            switch (key) {
+                case '$and':
+                    if (!this._logicalClauses(key, value).every(clause => this._matchQuery(doc, clause))) return false;
+                    break;
+                case '$or':
+                    if (!this._logicalClauses(key, value).some(clause => this._matchQuery(doc, clause))) return false;
+                    break;
+                case '$nor':
+                    if (this._logicalClauses(key, value).some(clause => this._matchQuery(doc, clause))) return false;
+                    break;
+                case '$expr':
+                    if (!this._isTruthy(this._evaluateExpression(value, doc))) return false;
+                    break;
+                case '$comment':
+                    break;
+                case '$text':
+                    throw new Error('$text is only allowed at the top level of a query');
+                default:
+                    if (key.startsWith('$')) {
+                        throw new Error(`Unknown top-level query operator: ${key}`);
                     }
-                }
+                    if (!this._matchCondition(this._resolvePath(doc, key), value)) return false;
             }
-        } catch (err) {
-            throw new Error(`Error loading persisted data: ${err.message}`);
         }
+        return true;
     }
 
-    async _startIdleDump() {
-        this._idleTimer = setInterval(async () => {
-            if (Date.now() - this._lastActivity > this.idleTimeout && this._changedCollections.size > 0) {
-                try {
-                    await this._dumpChangedCollections();
-                } catch (err) {
-                    console.error('Error during idle data dump:', err);
+    _logicalClauses(operator, clauses) {
+        if (!Array.isArray(clauses) || clauses.length === 0) {
+            throw new Error(`${operator} requires a non-empty array`);
+        }
+        return clauses;
+    }
+
+    // Resolves a dot-notation path to every value it can reach. Arrays met
+    // along the way fan out to their elements unless the next part is a
+    // numeric index, which is how MongoDB matches 'items.qty' against an
+    // array of embedded documents.
+    _resolvePath(value, field) {
+        const parts = Array.isArray(field) ? field : field.split('.');
+        if (parts.length === 0) return [value];
+        if (value === null || typeof value !== 'object') return [undefined];
+        const [head, ...rest] = parts;
+        if (Array.isArray(value) && !/^\d+$/.test(head)) {
+            const values = [];
+            for (const item of value) {
+                if (item !== null && typeof item === 'object') {
+                    values.push(...this._resolvePath(item, parts));
                 }
             }
-        }, this.idleTimeout);
+            return values.length > 0 ? values : [undefined];
+        }
+        return this._resolvePath(value[head], rest);
     }
 
-    async _dumpChangedCollections() {
-        for (const fullCollectionName of this._changedCollections) {
-            const [dbName, collectionName] = fullCollectionName.split('.');
-            const data = this._collections[fullCollectionName];
-            await this._persistCollection(dbName, collectionName, data);
+    // Array values also match through their elements ("array contains")
+    _expandValues(values) {
+        const expanded = [];
+        for (const value of values) {
+            if (Array.isArray(value)) expanded.push(...value);
+            expanded.push(value);
         }
-        this._changedCollections.clear();
+        return expanded;
     }
 
-    async _persistCollection(dbName, collectionName, data) {
-        if (this.storageMode === 'disk') {
-            const dbPath = path.join(this.storagePath, dbName);
-            await fs.mkdir(dbPath, { recursive: true });
-            const filePath = path.join(dbPath, `${collectionName}.json`);
-            await fs.writeFile(filePath, JSON.stringify(data));
+    _matchCondition(values, condition) {
+        if (condition instanceof RegExp) {
+            return this._expandValues(values).some(value => this._regexMatches(condition, value));
         }
+        if (!this._isOperatorObject(condition)) {
+            return this._matchesEquality(values, condition);
+        }
+        for (const [operator, arg] of Object.entries(condition)) {
+            if (!this._matchOperator(values, operator, arg, condition)) return false;
+        }
+        return true;
     }
 
-    db(dbName) {
-        this._databases[dbName] = true;
-        return {
-            collection: (collectionName) => {
-                const fullCollectionName = `${dbName}.${collectionName}`;
-                if (!this._collections[fullCollectionName]) {
-                    this._collections[fullCollectionName] = [];
-                }
-                return this._createCollectionMethods(dbName, collectionName);
-            }
-        };
+    _matchesEquality(values, target) {
+        return this._expandValues(values).some(value =>
+            this._valuesEqual(value, target) || (target === null && value === undefined));
     }
 
-    _createCollectionMethods(dbName, collectionName) {
-        const fullCollectionName = `${dbName}.${collectionName}`;
-        const self = this;
-
-        const updateActivity = () => {
-            self._lastActivity = Date.now();
-        };
+    _regexMatches(regex, value) {
+        // Copy without the global/sticky flags so test() has no lastIndex state
+        const pattern = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+        return typeof value === 'string' && pattern.test(value);
+    }
 
-        return {
-            insertOne: async (doc, user) => {
-                if (!user || self.checkPermission(user, fullCollectionName, 'write')) {
-                    const collection = self._collections[fullCollectionName];
-                    const newDoc = { ...doc, _id: self._generateUniqueId() };
-                    collection.push(newDoc);
-                    self._changedCollections.add(fullCollectionName);
-                    if (self.storageMode === 'disk') {
-                        updateActivity();
+    _matchOperator(values, operator, arg, condition) {
+        switch (operator) {
+            case '$eq':
+                return this._matchesEquality(values, arg);
+            case '$ne':
+                return !this._matchesEquality(values, arg);
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return this._expandValues(values).some(value => {
+                    // Comparisons only match values of the same BSON type class
+                    if (value === undefined || this._typeRank(value) !== this._typeRank(arg)) return false;
+                    const cmp = this._compareValues(value, arg);
+                    switch (operator) {
+                        case '$gt': return cmp > 0;
+                        case '$gte': return cmp >= 0;
+                        case '$lt': return cmp < 0;
+                        default: return cmp <= 0;
                     }
-                    return newDoc;
-                } else {
-                    console.error(`Permission denied: User ${user?.username} does not have write access to this collection`);
-                    return null;
+                });
+            case '$in':
+            case '$nin': {
+                if (!Array.isArray(arg)) {
+                    throw new Error(`${operator} requires an array`);
                 }
-            },
-
-            insertMany: async (docs, user) => {
-                if (!user || self.checkPermission(user, fullCollectionName, 'write')) {
-                    const collection = self._collections[fullCollectionName];
-                    const newDocs = docs.map(doc => ({ ...doc, _id: self._generateUniqueId() }));
-                    collection.push(...newDocs);
-                    self._changedCollections.add(fullCollectionName);
-                    if (self.storageMode === 'disk') {
-                        updateActivity();
-                    }
-                    return newDocs;
-                } else {
-                    console.error(`Permission denied: User ${user?.username} does not have write access to this collection`);
-                    return null;
+                const found = arg.some(target => target instanceof RegExp
+                    ? this._expandValues(values).some(value => this._regexMatches(target, value))
+                    : this._matchesEquality(values, target));
+                return operator === '$in' ? found : !found;
+            }
+            case '$exists':
+                return values.some(value => value !== undefined) === Boolean(arg);
+            case '$type': {
+                const types = Array.isArray(arg) ? arg : [arg];
+                return this._expandValues(values).some(value =>
+                    value !== undefined && types.some(type => this._isBsonType(value, type)));
+            }
+            case '$regex': {
+                const flags = condition.$options || (arg instanceof RegExp ? arg.flags : '');
+                const regex = new RegExp(arg instanceof RegExp ? arg.source : arg, flags);
+                return this._expandValues(values).some(value => this._regexMatches(regex, value));
+            }
+            case '$options':
+                if (!('$regex' in condition)) {
+                    throw new Error('$options needs a $regex');
                 }
-            },
-           
-            updateOne: async (filter, update, options = {}, user) => {
-                // Permission Check
-                if (!user || !self.checkPermission(user, fullCollectionName, 'write')) {
-                    console.error(`Permission denied: User ${user?.username} does not have write access to this collection: ${fullCollectionName}`);
-                    return { matchedCount: 0, modifiedCount: 0, acknowledged: false, error: 'Permission denied' };
+                return true;
+            case '$all':
+                if (!Array.isArray(arg)) {
+                    throw new Error('$all requires an array');
                 }
-            
-                const collection = self._collections[fullCollectionName];
-                if (!collection) {
-                    // console.warn(`updateOne called on non-existent collection: ${fullCollectionName}`);
-                    return { matchedCount: 0, modifiedCount: 0, acknowledged: true };
+                return arg.length > 0 && arg.every(target => this._isOperatorObject(target) && '$elemMatch' in target
+                    ? this._matchOperator(values, '$elemMatch', target.$elemMatch, target)
+                    : this._matchesEquality(values, target));
+            case '$size':
+                if (!Number.isInteger(arg)) {
+                    throw new Error('$size requires an integer');
                 }
-            
-                const upsert = options?.upsert === true;
-                console.log('Upsert option:', upsert); // Debug log
-            
-                let matchedIndex = -1;
-            
-                // Match phase
-                for (let i = 0; i < collection.length; i++) {
-                    if (self._matchQuery(collection[i], filter)) {
-                        matchedIndex = i;
-                        // console.log('Found matching document at index:', i, collection[i]);
-                        break;
-                    }
+                return values.some(value => Array.isArray(value) && value.length === arg);
+            case '$elemMatch':
+                if (!arg || typeof arg !== 'object') {
+                    throw new Error('$elemMatch requires an object');
                 }
-            
-                if (matchedIndex !== -1) {
-                    // Update existing document
-                    const docToUpdate = collection[matchedIndex];
-                    const originalId = docToUpdate._id;
-            
-                    if (update.$set) {
-                        const setData = { ...update.$set };
-                        delete setData._id;
-                        Object.assign(docToUpdate, setData);
-                    } else {
-                        const replacementData = { ...update };
-                        delete replacementData._id;
-                        for (const key of Object.keys(docToUpdate)) {
-                            if (key !== '_id') delete docToUpdate[key];
-                        }
-                        Object.assign(docToUpdate, replacementData);
+                return values.some(value => Array.isArray(value) && value.some(item => {
+                    if (this._isOperatorObject(arg) && !['$and', '$or', '$nor'].some(op => op in arg)) {
+                        return this._matchCondition([item], arg);
                     }
-            
-                    docToUpdate._id = originalId;
-                    self._changedCollections.add(fullCollectionName);
-                    if (self.storageMode === 'disk') updateActivity();
-            
-                    // console.log('Document updated successfully');
-                    return { matchedCount: 1, modifiedCount: 1, acknowledged: true };
+                    return item !== null && typeof item === 'object' && this._matchQuery(item, arg);
+                }));
+            case '$mod': {
+                if (!Array.isArray(arg) || arg.length !== 2 || arg[0] === 0) {
+                    throw new Error('$mod requires [divisor, remainder] with a non-zero divisor');
                 }
-
-                // No match found → handle upsert
-                if (upsert) {
-                    // console.log('No match found, performing upsert');
-            
-                    const newDocData = { ...filter };
-                    if (update.$set) {
-                        Object.assign(newDocData, update.$set);
-                    } else {
-                        Object.assign(newDocData, update);
-                    }
-            
-                    delete newDocData._id;
-            
-                    const newDoc = {
-                        ...newDocData,
-                        _id: self._generateUniqueId()
-                    };
-            
-                    // console.log('Inserting new document:', newDoc);
-                    collection.push(newDoc);
-                    self._changedCollections.add(fullCollectionName);
-                    if (self.storageMode === 'disk') updateActivity();
-            
-                    // console.log('Upsert completed successfully');
-                    return {
-                        matchedCount: 0,
-                        modifiedCount: 1,
-                        upsertedId: newDoc._id,
-                        acknowledged: true,
-                        upserted: true
-                    };
+                const [divisor, remainder] = arg;
+                return this._expandValues(values).some(value =>
+                    typeof value === 'number' && Math.trunc(value) % divisor === remainder);
+            }
+            case '$not':
+                if (!(arg instanceof RegExp) && !this._isOperatorObject(arg)) {
+                    throw new Error('$not requires an operator expression or a regular expression');
                 }
-            
-                console.log('No match found, no upsert requested');
-                return { matchedCount: 0, modifiedCount: 0, acknowledged: true };
-            },
+                return !this._matchCondition(values, arg);
+            default:
+                throw new Error(`Unknown query operator: ${operator}`);
+        }
+    }
 
-            deleteOne: async (filter, user) => {
-                if (!user || self.checkPermission(user, fullCollectionName, 'write')) {
-                    const collection = self._collections[fullCollectionName];
-                    let deletedCount = 0;
-                    for (let i = 0; i < collection.length; i++) {
-                        if (self._matchQuery(collection[i], filter)) {
-                            collection.splice(i, 1);
-                            self._changedCollections.add(fullCollectionName);
-                            deletedCount++;
-                            i--; // Adjust index after splice
-                        }
-                    }
-                    if (self.storageMode === 'disk') {
-                        updateActivity();
-                    }
-                    return deletedCount;
-                } else {
-                    console.error(`Permission denied: User ${user?.username} does not have write access to this collection`);
-                    return 0;
-                }
-            },
+    _isBsonType(value, type) {
+        switch (type) {
+            case 'double': case 1: return typeof value === 'number' && !Number.isInteger(value);
+            case 'string': case 2: return typeof value === 'string';
+            case 'object': case 3: return this._typeRank(value) === 4;
+            case 'array': case 4: return Array.isArray(value);
+            case 'binData': case 5: return Buffer.isBuffer(value);
+            case 'undefined': case 6: return value === undefined;
+            case 'bool': case 8: return typeof value === 'boolean';
+            case 'date': case 9: return value instanceof Date;
+            case 'null': case 10: return value === null;
+            case 'regex': case 11: return value instanceof RegExp;
+            case 'objectId': case 7: return value instanceof ObjectId;
+            case 'int': case 16: return Number.isInteger(value) && Math.abs(value) <= 0x7fffffff;
+            case 'long': case 18: return typeof value === 'bigint' || (Number.isInteger(value) && Math.abs(value) > 0x7fffffff);
+            case 'number': return typeof value === 'number' || typeof value === 'bigint';
+            default:
+                throw new Error(`Unknown $type: ${type}`);
+        }
+    }
 
-            find: (query = {}, user) => {
-                if (!user || self.checkPermission(user, fullCollectionName, 'read')) {
-                    const collection = self._collections[fullCollectionName];
-                    if (!collection) return []; //collection does not exist.
-                    const results = [];
-                    const indexKeys = Object.keys(query);
-                    if (indexKeys.length === 1 && self._indexes[fullCollectionName] && self._indexes[fullCollectionName][indexKeys[0]]) {
-                        const index = self._indexes[fullCollectionName][indexKeys[0]];
-                        const value = query[indexKeys[0]];
-                        if (index[value]) {
-                            for (const indexValue of index[value]) {
-                                results.push(collection[indexValue]);
-                            }
-                            return results;
-                        } else {
-                            return [];
-                        }
-                    }
+    // Returns a signed session token, or null if the credentials are wrong.
+    // The token is what collection methods take as their user argument.
+    async loginUser(username, password, options = {}) {
+        const user = this._findDocuments('auth.users', { username })[0];
+        if (!user) return null;
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch) return null;
+        if (user.mustChangePassword) {
+            this.logger.warn(`User ${username} must change their password before doing anything else`);
+        }
+        return await this._createLoginSession(user, options.expiresIn);
+    }
 
-                    for (let i = 0; i < collection.length; i++) {
-                        if (self._matchQuery(collection[i], query)) {
-                            results.push(collection[i]);
-                        }
-                    }
-                    return results;
-                } else {
-                    console.error(`Permission denied: User ${user?.username} does not have read access to this collection`);
-                    return [];
-                }
-            },
-            
-            createIndex: async (field, user) => {
-                if (!user || self.checkPermission(user, fullCollectionName, 'write')) {
-                    await self.createIndex(dbName, collectionName, field);
-                    return true;
-                } else {
-                    console.error(`Permission denied: User ${user?.username} does not have write access to this collection`);
-                    return false;
-                }
-            },
+    async logout(token) {
+        const session = this._verifyToken(token);
+        if (!session) return false;
+        await this._deleteDocuments('auth.sessions', { _id: session._id });
+        return true;
+    }
+
+    // Swaps a valid token for a new one with a fresh expiry; the old token
+    // stops working
+    async refresh(token, options = {}) {
+        const session = this._verifyToken(token);
+        const user = session && this._findDocuments('auth.users', { _id: session.userId })[0];
+        if (!user) return null;
+        await this._deleteDocuments('auth.sessions', { _id: session._id });
+        return await this._createLoginSession(user, options.expiresIn);
+    }
+
+    // Ends every login session of a user. Callers other than the user
+    // need admin access to auth.users.
+    async revokeSessions(username, user) {
+        const caller = this._resolveToken(user);
+        if (!(caller && caller.username === username) && !this.checkPermission(user, 'auth.users', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot revoke sessions of ${username}`);
+        }
+        return (await this._deleteDocuments('auth.sessions', { username }, true)).length;
+    }
+
+    async _createLoginSession(user, expiresIn = this.tokenExpiresIn) {
+        const expiresAt = new Date(Date.now() + expiresIn * 1000);
+        const session = {
+            _id: crypto.randomBytes(16).toString('hex'),
+            userId: user._id,
+            username: user.username,
+            createdAt: new Date(),
+            expiresAt
         };
+        await this._commit([{ op: 'i', ns: 'auth.sessions', doc: session }], [-1]);
+        const payload = Buffer.from(JSON.stringify({ sid: session._id, exp: expiresAt.getTime() })).toString('base64url');
+        return `${payload}.${this._signToken(payload)}`;
     }
 
-    _generateUniqueId() {
-        const timestamp = Math.floor(Date.now() / 1000);
-        const hexTimestamp = timestamp.toString(16).padStart(8, '0');
-        const randomId = crypto.randomBytes(12).toString('hex');
-        const objectId = `${hexTimestamp}${randomId}`;
-        return objectId;
+    _signToken(payload) {
+        return crypto.createHmac('sha256', this._tokenSecret).update(payload).digest('base64url');
     }
 
-    _matchQuery(doc, query) {
-        for (const [key, value] of Object.entries(query)) {
-            if (typeof value === 'object' && value !== null) {
-                for (const [operator, compValue] of Object.entries(value)) {
-                    switch (operator) {
-                        case '$gt':
-                            if (!(doc[key] > compValue)) return false;
-                            break;
-                        case '$lt':
-                            if (!(doc[key] < compValue)) return false;
-                            break;
-                        case '$gte':
-                            if (!(doc[key] >= compValue)) return false;
-                            break;
-                        case '$lte':
-                            if (!(doc[key] <= compValue)) return false;
-                            break;
-                        case '$eq':
-                            if (!(doc[key] === compValue)) return false;
-                            break;
-                        case '$ne':
-                            if (!(doc[key] !== compValue)) return false;
-                            break;
-                        case '$in':
-                            if (!Array.isArray(compValue) || !compValue.includes(doc[key])) return false;
-                            break;
-                        case '$nin':
-                            if (!Array.isArray(compValue) || compValue.includes(doc[key])) return false;
-                            break;
-                        default:
-                            return false;
-                    }
-                }
-            } else if (doc[key] !== value) {
-                return false;
-            }
+    // Returns the live session record behind a token, or null if the token
+    // is forged, expired or revoked
+    _verifyToken(token) {
+        if (typeof token !== 'string') return null;
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+        const expected = Buffer.from(this._signToken(payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (err) {
+            return null;
         }
-        return true;
+        if (!claims.sid || !(claims.exp > Date.now())) return null;
+        const session = this._findDocuments('auth.sessions', { _id: claims.sid })[0];
+        if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null;
+        return session;
     }
 
-    async loginUser(username, password) {
-        const users = this.db('auth').collection('users').find({ username });
-        if (users.length === 0) return null;
-        const user = users[0];
-        const isMatch = await bcrypt.compare(password, user.password);
-        return isMatch ? user : null;
+    // Roles always come from auth.users, never from the caller
+    _resolveToken(token) {
+        const session = this._verifyToken(token);
+        return session ? this._findDocuments('auth.users', { _id: session.userId })[0] || null : null;
+    }
+
+    _callerName(token) {
+        if (token === undefined || token === null) return '(anonymous)';
+        const user = this._resolveToken(token);
+        return user ? user.username : '(invalid token)';
     }
 
-    async registerUser(username, password, roles = []) {
+    async registerUser(username, password, roles = [], user) {
+        if (!this.checkPermission(user, 'auth.users', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot register users`);
+        }
         // Check if user already exists
-        const existingUsers = this.db('auth').collection('users').find({ username });
-        if (existingUsers.length > 0) {
+        const existingUser = this._findDocuments('auth.users', { username })[0];
+        if (existingUser) {
             throw new Error(`User ${username} already exists`);
         }
-        
+
         // If no roles provided, set default read-only role
         if (!roles || roles.length === 0) {
             roles = [
@@ -439,28 +5658,257 @@ class JSM {
                 }
             ];
         }
-        
+
         const hash = await bcrypt.hash(password, 10);
-        return await this.db('auth').collection('users').insertOne({
+        const newUser = {
+            _id: this._generateUniqueId(),
             username,
             password: hash,
-            roles: roles
+            roles: this._checkRoles(roles)
+        };
+        await this._commit([{ op: 'i', ns: 'auth.users', doc: newUser }], [-1]);
+        return this._cloneDocument(newUser);
+    }
+
+    // Users may change their own password; everything else here needs admin
+    // access to auth.users. Other sessions of the user are ended.
+    async changePassword(username, newPassword, user) {
+        const caller = this._resolveToken(user);
+        if (!(caller && caller.username === username) && !this.checkPermission(user, 'auth.users', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot change the password of ${username}`);
+        }
+        this._findUser(username);
+        const hash = await bcrypt.hash(newPassword, 10);
+        await this._updateDocuments('auth.users', { username }, { $set: { password: hash }, $unset: { mustChangePassword: '' } });
+        const current = this._verifyToken(user);
+        await this._deleteDocuments('auth.sessions', current ? { username, _id: { $ne: current._id } } : { username }, true);
+        return true;
+    }
+
+    // update may set password, roles and mustChangePassword
+    async updateUser(username, update = {}, user) {
+        if (!this.checkPermission(user, 'auth.users', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot update users`);
+        }
+        this._findUser(username);
+        const $set = {};
+        const $unset = {};
+        if (update.password !== undefined) {
+            $set.password = await bcrypt.hash(update.password, 10);
+        }
+        if (update.roles !== undefined) {
+            $set.roles = this._checkRoles(update.roles);
+        }
+        if (update.mustChangePassword !== undefined) {
+            if (update.mustChangePassword) {
+                $set.mustChangePassword = true;
+            } else {
+                $unset.mustChangePassword = '';
+            }
+        }
+        await this._updateDocuments('auth.users', { username }, { $set, $unset });
+        if (update.password !== undefined) {
+            await this._deleteDocuments('auth.sessions', { username }, true);
+        }
+        return true;
+    }
+
+    async dropUser(username, user) {
+        if (!this.checkPermission(user, 'auth.users', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot drop users`);
+        }
+        this._findUser(username);
+        await this._deleteDocuments('auth.users', { username });
+        await this._deleteDocuments('auth.sessions', { username }, true);
+        return true;
+    }
+
+    async listUsers(user) {
+        if (!this.checkPermission(user, 'auth.users', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot list users`);
+        }
+        return this._findDocuments('auth.users', {}, { username: 1 }).map(doc => {
+            const { password, ...rest } = this._cloneDocument(doc);
+            return rest;
         });
     }
 
-    hasPermission(user, resource, permission) {
-        if (!user || !user.roles) return false;
-        
+    async grantRoles(username, roles, user) {
+        if (!this.checkPermission(user, 'auth.users', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot grant roles`);
+        }
+        const current = this._findUser(username).roles || [];
+        const added = this._checkRoles(roles).filter(role => !current.some(existing => this._valuesEqual(existing, role)));
+        await this._updateDocuments('auth.users', { username }, { $set: { roles: [...current, ...added] } });
+        return true;
+    }
+
+    async revokeRoles(username, roles, user) {
+        if (!this.checkPermission(user, 'auth.users', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot revoke roles`);
+        }
+        const current = this._findUser(username).roles || [];
+        const remaining = current.filter(existing => !roles.some(role => this._valuesEqual(existing, role)));
+        await this._updateDocuments('auth.users', { username }, { $set: { roles: remaining } });
+        return true;
+    }
+
+    // A named role grants its privileges plus those of the roles it inherits
+    async createRole(name, definition = {}, user) {
+        if (!this.checkPermission(user, 'auth.roles', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot create roles`);
+        }
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Role name must be a non-empty string');
+        }
+        if (this._findDocuments('auth.roles', { name })[0]) {
+            throw new Error(`Role ${name} already exists`);
+        }
+        const role = {
+            _id: this._generateUniqueId(),
+            name,
+            privileges: this._checkPrivileges(definition.privileges || []),
+            roles: this._checkInheritedRoles(name, definition.roles || [])
+        };
+        await this._commit([{ op: 'i', ns: 'auth.roles', doc: role }], [-1]);
+        return true;
+    }
+
+    async updateRole(name, definition = {}, user) {
+        if (!this.checkPermission(user, 'auth.roles', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot update roles`);
+        }
+        if (!this._findDocuments('auth.roles', { name })[0]) {
+            throw new Error(`Role ${name} not found`);
+        }
+        const $set = {};
+        if (definition.privileges !== undefined) {
+            $set.privileges = this._checkPrivileges(definition.privileges);
+        }
+        if (definition.roles !== undefined) {
+            $set.roles = this._checkInheritedRoles(name, definition.roles);
+        }
+        await this._updateDocuments('auth.roles', { name }, { $set });
+        return true;
+    }
+
+    // Users and roles that named the dropped role lose it too
+    async dropRole(name, user) {
+        if (!this.checkPermission(user, 'auth.roles', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot drop roles`);
+        }
+        if (!this._findDocuments('auth.roles', { name })[0]) {
+            throw new Error(`Role ${name} not found`);
+        }
+        await this._deleteDocuments('auth.roles', { name });
+        await this._updateDocuments('auth.users', { roles: name }, { $pull: { roles: name } }, {}, true);
+        await this._updateDocuments('auth.roles', { roles: name }, { $pull: { roles: name } }, {}, true);
+        return true;
+    }
+
+    async listRoles(user) {
+        if (!this.checkPermission(user, 'auth.roles', 'admin')) {
+            throw new PermissionDeniedError(`Permission denied: User ${this._callerName(user)} cannot list roles`);
+        }
+        return this._findDocuments('auth.roles', {}, { name: 1 }).map(doc => this._cloneDocument(doc));
+    }
+
+    _findUser(username) {
+        const found = this._findDocuments('auth.users', { username })[0];
+        if (!found) {
+            throw new Error(`User ${username} not found`);
+        }
+        return found;
+    }
+
+    // A user's roles are role names or inline { resource, permissions }
+    // privileges
+    _checkRoles(roles) {
+        if (!Array.isArray(roles)) {
+            throw new Error('roles must be an array');
+        }
+        for (const role of roles) {
+            if (typeof role === 'string') {
+                if (!this._findDocuments('auth.roles', { name: role })[0]) {
+                    throw new Error(`Role ${role} not found`);
+                }
+            } else {
+                this._checkPrivileges([role]);
+            }
+        }
+        return this._cloneDocument(roles);
+    }
+
+    _checkPrivileges(privileges) {
+        if (!Array.isArray(privileges)) {
+            throw new Error('privileges must be an array');
+        }
+        for (const privilege of privileges) {
+            if (!privilege || typeof privilege.resource !== 'string' || !Array.isArray(privilege.permissions)) {
+                throw new Error('A privilege needs a resource string and a permissions array');
+            }
+        }
+        return this._cloneDocument(privileges);
+    }
+
+    _checkInheritedRoles(name, roles) {
+        if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string')) {
+            throw new Error('Inherited roles must be an array of role names');
+        }
+        for (const role of roles) {
+            if (!this._findDocuments('auth.roles', { name: role })[0]) {
+                throw new Error(`Role ${role} not found`);
+            }
+        }
+        if (roles.includes(name) || this._expandRoleNames(roles).has(name)) {
+            throw new Error(`Role ${name} cannot inherit from itself`);
+        }
+        return [...roles];
+    }
+
+    // Every role name reachable from the given ones
+    _expandRoleNames(names, seen = new Set()) {
+        for (const name of names) {
+            if (seen.has(name)) continue;
+            seen.add(name);
+            const role = this._findDocuments('auth.roles', { name })[0];
+            if (role) this._expandRoleNames(role.roles || [], seen);
+        }
+        return seen;
+    }
+
+    _authCollectionError(fullCollectionName) {
+        return new PermissionDeniedError(`${fullCollectionName} can only be changed through the user and role administration methods`);
+    }
+
+    hasPermission(token, resource, permission) {
+        const user = this._resolveToken(token);
+        // Until a forced password change happens the session can do nothing else
+        if (!user || user.mustChangePassword) return false;
+        // The auth database holds password hashes and login sessions, so
+        // even reading it takes admin
+        const required = resource.split('.')[0] === 'auth' ? 'admin' : permission;
+        return this._rolesAllow(user.roles || [], resource, required);
+    }
+
+    _rolesAllow(roles, resource, permission) {
+        const names = this._expandRoleNames(roles.filter(role => typeof role === 'string'));
+        const privileges = roles.filter(role => typeof role !== 'string');
+        for (const name of names) {
+            const role = this._findDocuments('auth.roles', { name })[0];
+            if (role) privileges.push(...role.privileges);
+        }
+
         // Admin role has all permissions
-        if (user.roles.some(role => 
+        if (privileges.some(role =>
             (role.resource === '*' && role.permissions.includes('admin')))) {
             return true;
         }
-        
-        return user.roles.some(role => {
+
+        return privileges.some(role => {
             // Exact resource match or database-level match or wildcard
-            if (role.resource === resource || 
-                role.resource === resource.split('.')[0] || 
+            if (role.resource === resource ||
+                role.resource === resource.split('.')[0] ||
                 role.resource === '*') {
                 return role.permissions.includes(permission);
             }
@@ -468,38 +5916,68 @@ class JSM {
         });
     }
 
+    // Anonymous callers (no token at all) are let through only when auth is
+    // disabled; anything else must be a valid token
     checkPermission(user, resource, permission) {
-        if (!this.hasPermission(user, resource, permission)) {
-            return false; // Return false for denied permission
+        if (user === undefined || user === null) {
+            return this.auth === 'disabled';
         }
-        return true; // Return true for granted permission
+        return this.hasPermission(user, resource, permission);
     }
-    
+
     async close() {
         if (this._idleTimer) {
             clearInterval(this._idleTimer);
         }
+        if (this._reloadTimer) {
+            clearInterval(this._reloadTimer);
+            this._reloadTimer = null;
+        }
+        if (this._ttlTimer) {
+            clearInterval(this._ttlTimer);
+            this._ttlTimer = null;
+        }
+        for (const stream of [...this._changeStreams]) {
+            stream.close();
+        }
+        await this._stopReplication();
         await this._dumpAllData();
+        await this._changeLogQueue;
         this._databases = {};
         this._collections = {};
+        this._unloaded = new Map();
+        this._segments = {};
+        this._recentlyUsed = new Set();
         this._indexes = {};
+        this._validators = {};
+        this._versions = {};
+        this._changeLog = [];
+        this._changeLogLines = {};
+        this._lastPersisted = {};
+        await this._releaseLock();
     }
 
     async _dumpAllData() {
-        console.log('Dumping all database data to disk...');
+        if (this.readOnly) return;
+        this.logger.debug('Dumping all database data to disk...');
         if (this._isDumping) return;
         this._isDumping = true;
         try {
             await this._dumpChangedCollections(); // Dump changed collections first
-            for (const dbName in this._databases) {
-                const collections = Object.keys(this._collections)
-                    .filter(key => key.startsWith(`${dbName}.`));
-                for (const fullCollectionName of collections) {
-                    const collectionName = fullCollectionName.split('.').pop();
+            // In the checkpoint queue, so no checkpoint writes the same segments meanwhile
+            const dumped = this._checkpointQueue.then(async () => {
+                for (const fullCollectionName of Object.keys(this._collections)) {
+                    const [dbName, collectionName] = this._splitNamespace(fullCollectionName);
                     const data = this._collections[fullCollectionName];
+                    // A collection read from disk and not written since is
+                    // unchanged there, and one unloaded meanwhile was too.
+                    // Rewriting it would leave its .bak without an older generation.
+                    if (!data || (this._segments[fullCollectionName] && !this._changedCollections.has(fullCollectionName))) continue;
                     await this._persistCollection(dbName, collectionName, data);
                 }
-            }
+            });
+            this._checkpointQueue = dumped.catch(() => {});
+            await dumped;
         } finally {
             this._isDumping = false;
         }
@@ -512,16 +5990,17 @@ class JSM {
                 if (this._isShuttingDown) return;
                 this._isShuttingDown = true;
                 try {
-                    console.log(`\nReceived ${signal}. Performing graceful shutdown...`);
+                    this.logger.info(`\nReceived ${signal}. Performing graceful shutdown...`);
                     if (this._idleTimer) {
                         clearInterval(this._idleTimer);
                     }
                     if (this.storageMode === 'disk') {
                         await this._dumpAllData();
                     }
-                    console.log('Database data saved successfully.');
+                    await this._releaseLock();
+                    this.logger.info('Database data saved successfully.');
                 } catch (err) {
-                    console.error('Error during database shutdown:', err);
+                    this.logger.error('Error during database shutdown:', err);
                 } finally {
                     process.exit(0);
                 }
@@ -555,4 +6034,27 @@ function createJSM(options) {
 // Export a function that creates our enhanced DB instances
 module.exports = function(options) {
     return createJSM(options);
+};
+
+module.exports.EJSON = EJSON;
+module.exports.ObjectId = ObjectId;
+module.exports.createServer = require('./server').createServer;
+module.exports.connect = require('./client').connect;
+Object.assign(module.exports, require('./errors'));
+
+// Restores a backup into the store at options.storagePath, which must not be
+// open anywhere else. Give username and password when auth is required.
+module.exports.restore = async function(sourcePath, options = {}) {
+    const { username, password, drop, databases, collections, ...dbOptions } = options;
+    const db = createJSM({ storageMode: 'disk', ...dbOptions });
+    await db.initialize();
+    try {
+        const token = username ? await db.loginUser(username, password) : undefined;
+        if (username && !token) {
+            throw new Error(`Login failed for ${username}`);
+        }
+        return await db.restore(sourcePath, { drop, databases, collections }, token);
+    } finally {
+        await db.close();
+    }
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+// MongoDB's 12-byte ObjectId: a 4-byte timestamp in seconds, 5 random
+// bytes fixed for the process and a 3-byte counter. Ids made by one process
+// therefore sort in the order they were made.
+const crypto = require('crypto');
+const util = require('util');
+
+const PROCESS_UNIQUE = crypto.randomBytes(5);
+let counter = crypto.randomBytes(3).readUIntBE(0, 3);
+
+class ObjectId {
+    // Takes nothing (a new id), a 24-character hex string, 12 bytes,
+    // another ObjectId or a time in seconds
+    constructor(id) {
+        if (id === undefined || id === null || typeof id === 'number') {
+            this._bytes = ObjectId._generate(typeof id === 'number' ? id : Math.floor(Date.now() / 1000));
+        } else if (id instanceof ObjectId) {
+            this._bytes = Buffer.from(id._bytes);
+        } else if (typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id)) {
+            this._bytes = Buffer.from(id, 'hex');
+        } else if (id instanceof Uint8Array && id.length === 12) {
+            this._bytes = Buffer.from(id);
+        } else {
+            throw new Error(`Invalid ObjectId: ${util.inspect(id)}`);
+        }
+    }
+
+    static _generate(seconds) {
+        counter = (counter + 1) % 0x1000000;
+        const bytes = Buffer.alloc(12);
+        bytes.writeUInt32BE(seconds >>> 0, 0);
+        PROCESS_UNIQUE.copy(bytes, 4);
+        bytes.writeUIntBE(counter, 9, 3);
+        return bytes;
+    }
+
+    static isValid(id) {
+        try {
+            new ObjectId(id);
+            return id !== undefined && id !== null;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    static createFromHexString(hex) {
+        if (typeof hex !== 'string') {
+            throw new Error(`Invalid ObjectId: ${util.inspect(hex)}`);
+        }
+        return new ObjectId(hex);
+    }
+
+    // The lowest id for a time, for range queries on _id:
+    // { _id: { $gte: ObjectId.createFromTime(seconds) } }
+    static createFromTime(seconds) {
+        const bytes = Buffer.alloc(12);
+        bytes.writeUInt32BE(seconds >>> 0, 0);
+        return new ObjectId(bytes);
+    }
+
+    get id() {
+        return Buffer.from(this._bytes);
+    }
+
+    getTimestamp() {
+        return new Date(this._bytes.readUInt32BE(0) * 1000);
+    }
+
+    toHexString() {
+        return this._bytes.toString('hex');
+    }
+
+    // Also true for the id's hex string
+    equals(other) {
+        if (other instanceof ObjectId) return this._bytes.equals(other._bytes);
+        return typeof other === 'string' && other.toLowerCase() === this.toHexString();
+    }
+
+    compare(other) {
+        return Buffer.compare(this._bytes, other._bytes);
+    }
+
+    toString() {
+        return this.toHexString();
+    }
+
+    toJSON() {
+        return this.toHexString();
+    }
+
+    [util.inspect.custom]() {
+        return `ObjectId('${this.toHexString()}')`;
+    }
+}
+
+module.exports = ObjectId;
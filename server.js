@@ -0,0 +1,227 @@
+// Serves a store over HTTP so several processes can share it. Request and
+// response bodies are Extended JSON, so dates and other types arrive intact;
+// client.js speaks the same protocol.
+const http = require('http');
+const EJSON = require('./ejson');
+const ObjectId = require('./objectid');
+const { PermissionDeniedError, DuplicateKeyError, WriteConflictError } = require('./errors');
+
+const DEFAULT_MAX_BODY_SIZE = 16 * 1024 * 1024;
+
+// Thrown by handlers to answer with a given status
+function httpError(status, message, code) {
+    const err = new Error(message);
+    err.status = status;
+    if (code !== undefined) err.code = code;
+    return err;
+}
+
+// Each route names the permission it needs on the database (:db) or the
+// collection (:db/:coll). Handlers get the store, the path parameters, the
+// parsed query string and body, and the caller's token.
+const COLLECTION = '/dbs/:db/collections/:coll';
+const routes = [
+    ['POST', '/auth/login', null, async ({ db, body }) => {
+        const token = await db.loginUser(body.username, body.password, { expiresIn: body.expiresIn });
+        if (!token) throw httpError(401, 'Invalid username or password');
+        return { token };
+    }],
+    ['POST', '/auth/logout', null, async ({ db, token }) => ({ ok: await db.logout(token) })],
+    ['POST', '/auth/refresh', null, async ({ db, body, token }) => {
+        const refreshed = await db.refresh(token, { expiresIn: body.expiresIn });
+        if (!refreshed) throw httpError(401, 'Invalid or expired token');
+        return { token: refreshed };
+    }],
+
+    ['GET', '/dbs', null, ({ db, token }) => db.listDatabases(token)],
+    ['GET', '/dbs/:db/collections', 'read', ({ db, params, query, token }) =>
+        db.db(params.db).listCollections(query.filter || {}, token)],
+    ['POST', '/dbs/:db/collections', 'admin', async ({ db, params, body, token }) => {
+        await db.db(params.db).createCollection(body.name, body.options || {}, token);
+        return { ok: true };
+    }],
+    ['GET', '/dbs/:db/stats', 'read', ({ db, params, token }) => db.db(params.db).stats(token)],
+    ['DELETE', '/dbs/:db', 'admin', async ({ db, params, token }) => ({ ok: await db.db(params.db).dropDatabase(token) })],
+
+    ['GET', `${COLLECTION}/documents`, 'read', ({ collection, query, token }) => findDocuments(collection.find(query.filter || {}, token), query)],
+    ['POST', `${COLLECTION}/find`, 'read', ({ collection, body, token }) => findDocuments(collection.find(body.filter || {}, token), body)],
+    ['POST', `${COLLECTION}/documents`, 'write', async ({ collection, body, token }) => {
+        if (Array.isArray(body.documents)) return collection.insertMany(body.documents, token);
+        return collection.insertOne(body.document, token);
+    }],
+    ['GET', `${COLLECTION}/documents/:id`, 'read', async ({ collection, params, token }) => {
+        const doc = await collection.findOne(idFilter(params.id), token);
+        if (!doc) throw httpError(404, `No document with _id ${params.id}`);
+        return doc;
+    }],
+    ['PUT', `${COLLECTION}/documents/:id`, 'write', ({ collection, params, body, token }) =>
+        collection.replaceOne(idFilter(params.id), body.document, body.options || {}, token)],
+    ['PATCH', `${COLLECTION}/documents/:id`, 'write', ({ collection, params, body, token }) =>
+        collection.updateOne(idFilter(params.id), body.update, body.options || {}, token)],
+    ['DELETE', `${COLLECTION}/documents/:id`, 'write', async ({ collection, params, token }) =>
+        ({ deletedCount: await collection.deleteOne(idFilter(params.id), token) })],
+    ['POST', `${COLLECTION}/update`, 'write', ({ collection, body, token }) =>
+        collection[body.multi ? 'updateMany' : 'updateOne'](body.filter || {}, body.update, body.options || {}, token)],
+    ['POST', `${COLLECTION}/replace`, 'write', ({ collection, body, token }) =>
+        collection.replaceOne(body.filter || {}, body.replacement, body.options || {}, token)],
+    ['POST', `${COLLECTION}/delete`, 'write', async ({ collection, body, token }) =>
+        ({ deletedCount: await collection[body.multi ? 'deleteMany' : 'deleteOne'](body.filter || {}, token) })],
+    ['POST', `${COLLECTION}/findOneAndUpdate`, 'write', ({ collection, body, token }) =>
+        collection.findOneAndUpdate(body.filter || {}, body.update, body.options || {}, token)],
+    ['POST', `${COLLECTION}/findOneAndDelete`, 'write', ({ collection, body, token }) =>
+        collection.findOneAndDelete(body.filter || {}, body.options || {}, token)],
+    ['POST', `${COLLECTION}/bulkWrite`, 'write', ({ collection, body, token }) =>
+        collection.bulkWrite(body.operations || [], body.options || {}, token)],
+    ['POST', `${COLLECTION}/count`, 'read', ({ collection, body, token }) => collection.countDocuments(body.filter || {}, token)],
+    ['POST', `${COLLECTION}/distinct`, 'read', ({ collection, body, token }) => collection.distinct(body.field, body.filter || {}, token)],
+    ['POST', `${COLLECTION}/aggregate`, 'read', ({ collection, body, token }) =>
+        findDocuments(collection.aggregate(body.pipeline || [], token), body)],
+    ['GET', `${COLLECTION}/indexes`, 'read', ({ collection, token }) => collection.listIndexes(token)],
+    ['POST', `${COLLECTION}/indexes`, 'write', async ({ collection, body, token }) =>
+        ({ name: await collection.createIndex(body.keys, body.options || {}, token) })],
+    ['DELETE', `${COLLECTION}/indexes/:name`, 'write', async ({ collection, params, token }) => {
+        await collection.dropIndex(params.name, token);
+        return { ok: true };
+    }],
+    ['POST', `${COLLECTION}/rename`, 'admin', async ({ db, params, body, token }) => {
+        await db.db(params.db).renameCollection(params.coll, body.to, { dropTarget: body.dropTarget }, token);
+        return { ok: true };
+    }],
+    ['GET', `${COLLECTION}/stats`, 'read', ({ collection, token }) => collection.stats(token)],
+    ['DELETE', COLLECTION, 'admin', async ({ collection, token }) => ({ ok: await collection.drop(token) })]
+].map(([method, pattern, permission, handler]) => ({ method, segments: pattern.split('/').slice(1), permission, handler }));
+
+// An id in a URL is a string; one of 24 hex digits matches the ObjectId too
+function idFilter(id) {
+    return ObjectId.isValid(id) ? { _id: { $in: [new ObjectId(id), id] } } : { _id: id };
+}
+
+// sort, skip, limit and projection come from the query string or the body
+function findDocuments(cursor, options) {
+    if (options.sort) cursor.sort(options.sort);
+    if (options.skip) cursor.skip(Number(options.skip));
+    if (options.limit) cursor.limit(Number(options.limit));
+    if (options.projection) cursor.project(options.projection);
+    return cursor.toArray();
+}
+
+function matchRoute(method, pathname) {
+    const parts = pathname.split('/').slice(1).map(part => decodeURIComponent(part));
+    let pathMatched = false;
+    for (const route of routes) {
+        if (route.segments.length !== parts.length) continue;
+        const params = {};
+        const matches = route.segments.every((segment, i) => {
+            if (segment.startsWith(':')) {
+                params[segment.slice(1)] = parts[i];
+                return parts[i].length > 0;
+            }
+            return segment === parts[i];
+        });
+        if (!matches) continue;
+        pathMatched = true;
+        if (route.method === method) return { route, params };
+    }
+    throw pathMatched ? httpError(405, `${method} is not allowed on ${pathname}`) : httpError(404, `No route for ${pathname}`);
+}
+
+function readBody(req, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                reject(httpError(413, `Request body is larger than ${maxBodySize} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function parseJson(text, what) {
+    try {
+        return EJSON.parse(text);
+    } catch (err) {
+        throw httpError(400, `${what} is not valid JSON: ${err.message}`);
+    }
+}
+
+// Library errors carry MongoDB codes; anything else from a handler is taken
+// as a bad request unless it came from the system (file errors and the like)
+function errorStatus(err) {
+    if (err.status) return err.status;
+    if (err instanceof PermissionDeniedError) return 403;
+    if (err instanceof DuplicateKeyError || err instanceof WriteConflictError) return 409;
+    if (typeof err.errno === 'number') return 500;
+    return 400;
+}
+
+function send(res, status, value) {
+    const body = EJSON.stringify(value === undefined ? null : value);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+}
+
+async function handleRequest(db, options, req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { route, params } = matchRoute(req.method, url.pathname);
+    const query = {};
+    for (const [key, value] of url.searchParams) {
+        query[key] = ['filter', 'sort', 'projection'].includes(key) ? parseJson(value, key) : value;
+    }
+    const text = await readBody(req, options.maxBodySize);
+    const body = text ? parseJson(text, 'Request body') : {};
+
+    const authorization = req.headers.authorization || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : undefined;
+    if (token !== undefined && !db._resolveToken(token)) {
+        throw httpError(401, 'Invalid or expired token');
+    }
+    if (route.permission) {
+        const resource = params.coll !== undefined ? `${params.db}.${params.coll}` : params.db;
+        if (!db.checkPermission(token, resource, route.permission)) {
+            throw token === undefined
+                ? httpError(401, 'Authentication required')
+                : new PermissionDeniedError(`Permission denied: User ${db._callerName(token)} does not have ${route.permission} access to ${resource}`);
+        }
+    }
+    const collection = params.coll !== undefined ? db.db(params.db).collection(params.coll) : null;
+    const result = await route.handler({ db, params, query, body, token, collection });
+    send(res, req.method === 'POST' && route.segments[route.segments.length - 1] === 'documents' ? 201 : 200, result);
+}
+
+// Returns an http.Server; call listen() on it. shutdown() stops taking
+// requests, waits for the ones in flight and writes everything to disk.
+// The store itself stays open.
+function createServer(db, options = {}) {
+    const serverOptions = { maxBodySize: options.maxBodySize || DEFAULT_MAX_BODY_SIZE };
+    const server = http.createServer((req, res) => {
+        handleRequest(db, serverOptions, req, res).catch(err => {
+            const status = errorStatus(err);
+            if (status === 500) db.logger.error('Error handling request:', err);
+            const error = { message: err.message };
+            if (err.code !== undefined) error.code = err.code;
+            if (err.codeName) error.codeName = err.codeName;
+            if (err.keyPattern) error.keyPattern = err.keyPattern;
+            if (err.keyValue) error.keyValue = err.keyValue;
+            if (err.errorLabels) error.errorLabels = err.errorLabels;
+            if (err.details) error.details = err.details;
+            if (!res.headersSent) send(res, status, { error });
+        });
+    });
+    server.shutdown = async () => {
+        await new Promise((resolve, reject) => {
+            server.close(err => err && err.code !== 'ERR_SERVER_NOT_RUNNING' ? reject(err) : resolve());
+            server.closeIdleConnections();
+        });
+        await db._dumpAllData();
+    };
+    return server;
+}
+
+module.exports = { createServer };
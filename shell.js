@@ -0,0 +1,375 @@
+// An interactive shell in the style of mongosh, started by `jsmongo shell`.
+// Lines go through Node's REPL, so any JavaScript works; promises are
+// awaited and cursors are printed a batch at a time.
+const repl = require('repl');
+const util = require('util');
+const vm = require('vm');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Console } = require('console');
+const { PassThrough } = require('stream');
+const ObjectId = require('./objectid');
+
+const BATCH_SIZE = 20;
+
+// How many arguments each method takes before the user token
+const COLLECTION_METHODS = {
+    insertOne: 1,
+    insertMany: 1,
+    updateOne: 3,
+    updateMany: 3,
+    replaceOne: 3,
+    findOneAndUpdate: 3,
+    deleteOne: 1,
+    deleteMany: 1,
+    findOneAndDelete: 2,
+    bulkWrite: 2,
+    find: 1,
+    findOne: 1,
+    countDocuments: 1,
+    estimatedDocumentCount: 0,
+    distinct: 2,
+    aggregate: 1,
+    createIndex: 2,
+    dropIndex: 1,
+    drop: 0,
+    stats: 0,
+    listIndexes: 0
+};
+
+const DATABASE_METHODS = {
+    createCollection: 2,
+    collMod: 2,
+    listCollections: 1,
+    renameCollection: 3,
+    dropDatabase: 0,
+    stats: 0
+};
+
+const HELP = `Commands:
+  show dbs                      databases you can read
+  show collections              collections of the current database
+  show users / show roles       user administration (needs admin)
+  use <db>                      switch the current database
+  it                            next batch of the last cursor
+  exit                          save everything and quit
+
+Database (db) methods:
+  db.<collection>               a collection, e.g. db.orders.find({ total: { $gt: 10 } }).sort({ total: -1 }).limit(5)
+  db.getCollection(name)        the same, for names that aren't identifiers
+  db.getCollectionNames(), db.createCollection(name, options), db.renameCollection(from, to, options),
+  db.dropDatabase(), db.stats(), db.getSiblingDB(name)
+  db.createUser({ user, pwd, roles }), db.updateUser(name, { pwd, roles }), db.dropUser(name),
+  db.changeUserPassword(name, pwd), db.grantRolesToUser(name, roles), db.revokeRolesFromUser(name, roles),
+  db.getUsers(), db.createRole({ role, privileges, roles }), db.updateRole(name, { privileges, roles }),
+  db.dropRole(name), db.getRoles(), db.auth(username, password), db.logout()
+
+Collection methods take the same arguments as in code, without the user:
+  insertOne, insertMany, find, findOne, updateOne, updateMany, replaceOne, deleteOne, deleteMany,
+  findOneAndUpdate, findOneAndDelete, bulkWrite, countDocuments, distinct, aggregate, createIndex,
+  dropIndex, getIndexes, stats, drop
+
+ObjectId('<hex>') makes an ObjectId, e.g. db.orders.findOne({ _id: ObjectId('...') })
+`;
+
+// Printed as is rather than as a quoted string
+class Output {
+    constructor(text) {
+        this.text = text;
+    }
+
+    [util.inspect.custom]() {
+        return this.text;
+    }
+}
+
+function bindUser(target, methods, state) {
+    const bound = {};
+    for (const [name, arity] of Object.entries(methods)) {
+        bound[name] = (...args) => {
+            const padded = args.slice(0, arity);
+            while (padded.length < arity) padded.push(undefined);
+            return target[name](...padded, state.user);
+        };
+    }
+    return bound;
+}
+
+function shellCollection(state, dbName, collectionName) {
+    const methods = bindUser(state.jsm.db(dbName).collection(collectionName), COLLECTION_METHODS, state);
+    return {
+        ...methods,
+        // As in mongosh, a projection can be passed after the query
+        find: (query, projection) => {
+            const cursor = methods.find(query);
+            return projection ? cursor.project(projection) : cursor;
+        },
+        findOne: async (query, projection) => {
+            if (!projection) return methods.findOne(query);
+            const [doc] = await methods.find(query).project(projection).limit(1).toArray();
+            return doc || null;
+        },
+        getIndexes: () => methods.listIndexes(),
+        getName: () => collectionName,
+        [util.inspect.custom]: () => `${dbName}.${collectionName}`
+    };
+}
+
+function shellDatabase(state, dbName) {
+    const { jsm } = state;
+    const methods = bindUser(jsm.db(dbName), DATABASE_METHODS, state);
+    const helpers = {
+        ...methods,
+        getName: () => dbName,
+        getCollection: collectionName => shellCollection(state, dbName, collectionName),
+        getCollectionNames: async () => (await methods.listCollections()).map(info => info.name),
+        getSiblingDB: name => shellDatabase(state, name),
+        createUser: ({ user, pwd, roles }) => jsm.registerUser(user, pwd, roles, state.user),
+        updateUser: (username, { pwd, roles }) => jsm.updateUser(username, { password: pwd, roles }, state.user),
+        dropUser: username => jsm.dropUser(username, state.user),
+        changeUserPassword: (username, pwd) => jsm.changePassword(username, pwd, state.user),
+        grantRolesToUser: (username, roles) => jsm.grantRoles(username, roles, state.user),
+        revokeRolesFromUser: (username, roles) => jsm.revokeRoles(username, roles, state.user),
+        getUsers: () => jsm.listUsers(state.user),
+        createRole: ({ role, privileges, roles }) => jsm.createRole(role, { privileges, roles }, state.user),
+        updateRole: (name, { privileges, roles }) => jsm.updateRole(name, { privileges, roles }, state.user),
+        dropRole: name => jsm.dropRole(name, state.user),
+        getRoles: () => jsm.listRoles(state.user),
+        auth: async (username, password) => {
+            const token = await jsm.loginUser(username, password);
+            if (token) state.user = token;
+            return Boolean(token);
+        },
+        logout: async () => {
+            const loggedOut = await jsm.logout(state.user);
+            state.user = undefined;
+            return loggedOut;
+        },
+        [util.inspect.custom]: () => dbName
+    };
+    // Any other property is a collection
+    return new Proxy(helpers, {
+        get(target, prop) {
+            if (typeof prop === 'symbol' || prop in target) return target[prop];
+            return shellCollection(state, dbName, prop);
+        }
+    });
+}
+
+function isCursor(value) {
+    return value !== null && typeof value === 'object'
+        && typeof value.hasNext === 'function' && typeof value.toArray === 'function';
+}
+
+async function nextBatch(state, options) {
+    const docs = [];
+    while (docs.length < BATCH_SIZE && await state.cursor.hasNext()) {
+        docs.push(await state.cursor.next());
+    }
+    const lines = docs.map(doc => util.inspect(doc, options));
+    if (await state.cursor.hasNext()) {
+        lines.push('Type "it" for more');
+    } else {
+        state.cursor = null;
+    }
+    return new Output(lines.join('\n'));
+}
+
+// mongosh's own commands; anything else is JavaScript
+function parseCommand(line) {
+    const words = line.trim().replace(/;$/, '').split(/\s+/);
+    if (words.length === 2 && (words[0] === 'use' || words[0] === 'show')) return words;
+    if (words.length === 1 && ['it', 'help', 'exit', 'quit'].includes(words[0])) return words;
+    return null;
+}
+
+async function runCommand(state, [command, arg]) {
+    const { jsm } = state;
+    switch (command) {
+        case 'use':
+            state.dbName = arg;
+            state.context.db = shellDatabase(state, arg);
+            state.server.setPrompt(state.prompt());
+            return new Output(`switched to db ${arg}`);
+        case 'show':
+            switch (arg) {
+                case 'dbs':
+                case 'databases': {
+                    const databases = await jsm.listDatabases(state.user);
+                    const width = Math.max(0, ...databases.map(db => db.name.length));
+                    return new Output(databases.map(db => `${db.name.padEnd(width)}  ${formatSize(db.size)}`).join('\n'));
+                }
+                case 'collections':
+                case 'tables':
+                    return new Output((await jsm.db(state.dbName).listCollections({}, state.user)).map(info => info.name).join('\n'));
+                case 'users':
+                    return jsm.listUsers(state.user);
+                case 'roles':
+                    return jsm.listRoles(state.user);
+                default:
+                    throw new Error(`Don't know how to show ${arg}`);
+            }
+        case 'it':
+            if (!state.cursor) return new Output('no cursor');
+            return nextBatch(state, state.inspectOptions);
+        case 'help':
+            return new Output(HELP);
+        default:
+            state.server.close();
+            return undefined;
+    }
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KiB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MiB`;
+}
+
+// Starts the shell on an initialized store. With options.eval the code runs
+// once, its value is printed and the shell closes; otherwise it reads
+// stdin. Resolves once the shell has closed, with false if --eval failed.
+// Closing the store is left to the caller.
+function startShell(jsm, options = {}) {
+    const interactive = options.eval === undefined && Boolean(process.stdin.isTTY);
+    const state = {
+        jsm,
+        dbName: options.db || 'test',
+        user: options.user,
+        cursor: null,
+        inspectOptions: { depth: null, colors: interactive && Boolean(process.stdout.isTTY) },
+        prompt: () => interactive ? `${state.dbName}> ` : ''
+    };
+    if (interactive) {
+        process.stdout.write('jsmongo shell. Type "help" for help.\n');
+    }
+    const input = interactive ? process.stdin : new PassThrough();
+    const server = repl.start({
+        prompt: state.prompt(),
+        input,
+        output: process.stdout,
+        terminal: interactive,
+        // Values typed in the shell must come from the same realm as the
+        // store's, or its checks for plain objects, dates and regular
+        // expressions don't recognize them
+        useGlobal: true,
+        ignoreUndefined: true,
+        writer: value => util.inspect(value, state.inspectOptions)
+    });
+    state.server = server;
+    state.context = server.context;
+    // Scripts get a console of their own that always writes to the terminal
+    server.context.console = new Console(process.stdout, process.stderr);
+    // Callable without new, as in mongosh
+    server.context.ObjectId = new Proxy(ObjectId, { apply: (target, thisArg, args) => new target(...args) });
+    server.context.db = shellDatabase(state, state.dbName);
+    server.context.print = (...values) => {
+        process.stdout.write(values.map(value =>
+            typeof value === 'string' ? value : util.inspect(value, state.inspectOptions)).join(' ') + '\n');
+    };
+
+    // Like mongosh, wait for promises and print cursors
+    const present = async result => {
+        if (result && typeof result.then === 'function') result = await result;
+        if (!isCursor(result)) return result;
+        state.cursor = result;
+        return nextBatch(state, state.inspectOptions);
+    };
+
+    const closed = new Promise(resolve => server.on('exit', resolve));
+    if (options.eval !== undefined) {
+        server.close();
+        return closed.then(async () => {
+            try {
+                const result = await present(evaluateScript(options.eval));
+                if (result !== undefined) process.stdout.write(server.writer(result) + '\n');
+                return true;
+            } catch (err) {
+                console.error(err);
+                return false;
+            }
+        });
+    }
+
+    // The default eval brings top-level await and multi-line input. Errors
+    // it throws are printed by the REPL itself.
+    const defaultEval = server.eval;
+    server.eval = (code, context, filename, callback) => {
+        const command = parseCommand(code);
+        const run = command
+            ? runCommand(state, command)
+            : new Promise((resolve, reject) => defaultEval.call(server, code, context, filename, (err, result) => {
+                if (err) reject(err);
+                else resolve(result);
+            })).then(present);
+        run.then(result => callback(null, result), err => callback(err));
+    };
+    if (interactive) {
+        const historyPath = process.env.JSMONGO_HISTORY || path.join(os.homedir(), '.jsmongo_history');
+        server.setupHistory(historyPath, err => {
+            if (err) console.error(`Shell history is not saved: ${err.message}`);
+        });
+    } else {
+        feedLines(server, input);
+    }
+    return closed.then(() => true);
+}
+
+// Evaluation is asynchronous, so piped input is passed to the REPL a line
+// at a time, each once the previous one has finished. The REPL shows its
+// prompt whenever it is ready for the next line, errors included.
+async function feedLines(server, input) {
+    let ready = () => {};
+    let closed = false;
+    const displayPrompt = server.displayPrompt.bind(server);
+    server.displayPrompt = (...args) => {
+        displayPrompt(...args);
+        ready();
+    };
+    server.on('exit', () => {
+        closed = true;
+        ready();
+    });
+    for await (const line of readline.createInterface({ input: process.stdin, terminal: false })) {
+        if (closed) break;
+        await new Promise(resolve => {
+            ready = resolve;
+            input.write(`${line}\n`);
+        });
+        // The REPL closes on the next tick after exit
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    input.end();
+}
+
+// Runs --eval code and returns the value of its last statement. Code that
+// uses await at the top level runs as the body of an async function, so
+// only what it prints is shown. Like the REPL, it runs in the global context.
+function evaluateScript(code) {
+    let script;
+    try {
+        script = new vm.Script(code, { filename: 'eval' });
+    } catch (err) {
+        if (!(err instanceof SyntaxError) || !code.includes('await')) throw err;
+        script = new vm.Script(`(async () => {\n${code}\n})()`, { filename: 'eval' });
+    }
+    return script.runInThisContext();
+}
+
+// Reads a password from the terminal without echoing it
+function promptPassword(question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        rl._writeToOutput = text => {
+            if (text.startsWith(question)) process.stdout.write(question);
+        };
+        rl.question(question, answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+module.exports = { startShell, promptPassword };
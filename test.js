@@ -24,7 +24,7 @@ async function main() {
         resource: 'test.one',
         permissions: ['read']
       }
-    ]);
+    ], adminUser);
     console.log('New user registered:', newUser);
   } catch (err) {
     console.warn(err.message);
@@ -40,15 +40,15 @@ async function main() {
   await t1.insertMany([{ name: 'Beta' }, { name: 'Gamma' }], adminUser);
 
   // Step 5: Create index on 'name'
-  await t1.createIndex('name', adminUser);
+  await t1.createIndex('name', {}, adminUser);
   console.log('Index created on "name"');
 
   // Step 6: Find with index
-  const findIndexed = t1.find({ name: 'Alpha' }, adminUser);
+  const findIndexed = await t1.find({ name: 'Alpha' }, adminUser).toArray();
   console.log('Find (indexed):', findIndexed);
 
   // Step 7: Find with reader (should work)
-  const readerResults = t1.find({}, readerUser);
+  const readerResults = await t1.find({}, readerUser).toArray();
   console.log('Reader user can read:', readerResults);
 
   // Step 8: Try write as reader (should fail)
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { openStore, tempDir, PermissionDeniedError } = Object.assign({}, require('./helpers'), require('..'));
+
+test('databases and collections are listed with their stats', async t => {
+    const db = await openStore(t, { auth: 'required' });
+    const admin = await db.loginUser('admin', 'admin');
+    await db('shop').collection('orders').insertMany([{ _id: 1, total: 5 }, { _id: 2, total: 7 }], admin);
+    await db('shop').collection('orders').createIndex('total', {}, admin);
+    await db('crm').collection('people').insertOne({ _id: 1 }, admin);
+
+    const names = (await db.listDatabases(admin)).map(entry => entry.name);
+    assert.ok(names.includes('shop') && names.includes('crm'));
+    assert.deepEqual((await db.db('shop').listCollections({ name: 'orders' }, admin)).map(entry => entry.name), ['orders']);
+
+    const stats = await db.db('shop').collection('orders').stats(admin);
+    assert.equal(stats.count, 2);
+    assert.equal(stats.nindexes, 2);
+    assert.ok(stats.size > 0 && stats.avgObjSize === stats.size / 2);
+    assert.equal((await db.db('shop').stats(admin)).collections, 1);
+
+    // Only what the caller can read is listed
+    await db.registerUser('reader', 'pw', [{ resource: 'crm', permissions: ['read'] }], admin);
+    const reader = await db.loginUser('reader', 'pw');
+    assert.deepEqual((await db.listDatabases(reader)).map(entry => entry.name), ['crm']);
+    await assert.rejects(db.db('crm').collection('people').drop(reader), PermissionDeniedError);
+});
+
+test('rename, drop and dropDatabase invalidate change streams', async t => {
+    const db = await openStore(t);
+    const shop = db.db('shop');
+    await shop.collection('orders').insertOne({ _id: 1 });
+    await shop.collection('archive').insertOne({ _id: 'old' });
+    const stream = shop.collection('orders').watch();
+
+    await assert.rejects(shop.renameCollection('orders', 'archive'), /exists/);
+    await shop.renameCollection('orders', 'archive', { dropTarget: true });
+    assert.deepEqual((await stream.next()).operationType, 'rename');
+    assert.deepEqual((await stream.next()).operationType, 'invalidate');
+    assert.deepEqual(await shop.collection('archive').find({}).toArray(), [{ _id: 1 }]);
+    assert.equal(await shop.collection('orders').countDocuments({}), 0);
+
+    await shop.collection('carts').insertOne({ _id: 1 });
+    await shop.collection('carts').drop();
+    assert.deepEqual((await shop.listCollections()).map(entry => entry.name), ['archive']);
+    await shop.dropDatabase();
+    assert.ok(!(await db.listDatabases()).some(entry => entry.name === 'shop'));
+});
+
+test('drops reach the disk at the next checkpoint and survive a restart', async t => {
+    const storagePath = tempDir(t);
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    await db('old').collection('a').insertOne({ _id: 1 });
+    await db('shop').collection('orders').insertOne({ _id: 1 });
+    await db.close();
+
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath });
+    await reopened.db('old').dropDatabase();
+    await reopened.db('shop').renameCollection('orders', 'archive');
+    await reopened.close();
+    assert.ok(!fs.existsSync(path.join(storagePath, 'old', 'a.json')));
+    assert.ok(!fs.existsSync(path.join(storagePath, 'shop', 'orders.json')));
+
+    const again = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.deepEqual((await again.listDatabases()).map(entry => entry.name).filter(name => name !== 'auth'), ['shop']);
+    assert.deepEqual(await again('shop').collection('archive').find({}).toArray(), [{ _id: 1 }]);
+});
+
+test('administration commands are refused inside a transaction', async t => {
+    const db = await openStore(t);
+    await db('shop').collection('orders').insertOne({ _id: 1 });
+    const session = db.startSession();
+    session.startTransaction();
+    await assert.rejects(db('shop').collection('orders').drop(undefined, session));
+    await session.abortTransaction();
+});
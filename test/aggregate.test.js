@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore } = require('./helpers');
+
+async function shop(t) {
+    const db = await openStore(t);
+    await db('shop').collection('orders').insertMany([
+        { _id: 1, customer: 'ann', total: 30, items: ['pen', 'ink'], placed: new Date('2024-01-05') },
+        { _id: 2, customer: 'bob', total: 10, items: ['pen'], placed: new Date('2024-02-10') },
+        { _id: 3, customer: 'ann', total: 5, items: [], placed: new Date('2024-02-11') }
+    ]);
+    await db('shop').collection('customers').insertMany([{ _id: 'ann', city: 'Oslo' }, { _id: 'bob', city: 'Rome' }]);
+    return db('shop').collection('orders');
+}
+
+test('$match, $group, $sort and $project', async t => {
+    const orders = await shop(t);
+    const result = await orders.aggregate([
+        { $match: { total: { $gte: 5 } } },
+        { $group: { _id: '$customer', spent: { $sum: '$total' }, orders: { $sum: 1 }, biggest: { $max: '$total' }, all: { $push: '$_id' } } },
+        { $sort: { spent: -1 } },
+        { $project: { _id: 0, customer: '$_id', spent: 1, orders: 1, average: { $divide: ['$spent', '$orders'] }, all: 1, biggest: 1 } }
+    ]).toArray();
+    assert.deepEqual(result, [
+        { spent: 35, orders: 2, biggest: 30, all: [1, 3], customer: 'ann', average: 17.5 },
+        { spent: 10, orders: 1, biggest: 10, all: [2], customer: 'bob', average: 10 }
+    ]);
+});
+
+test('$unwind, $count, $skip, $limit and $addFields', async t => {
+    const orders = await shop(t);
+    assert.deepEqual(await orders.aggregate([{ $unwind: '$items' }, { $count: 'lines' }]).toArray(), [{ lines: 3 }]);
+    const unwound = await orders.aggregate([
+        { $unwind: { path: '$items', preserveNullAndEmptyArrays: true } },
+        { $sort: { _id: 1 } },
+        { $skip: 2 },
+        { $limit: 2 },
+        { $addFields: { month: { $month: '$placed' }, label: { $concat: ['$customer', '-', { $toString: '$_id' }] } } },
+        { $unset: ['placed', 'total'] }
+    ]).toArray();
+    assert.deepEqual(unwound, [
+        { _id: 2, customer: 'bob', items: 'pen', month: 2, label: 'bob-2' },
+        { _id: 3, customer: 'ann', month: 2, label: 'ann-3' }
+    ]);
+});
+
+test('$lookup joins another collection', async t => {
+    const orders = await shop(t);
+    const result = await orders.aggregate([
+        { $match: { _id: 2 } },
+        { $lookup: { from: 'customers', localField: 'customer', foreignField: '_id', as: 'who' } },
+        { $project: { city: { $arrayElemAt: ['$who.city', 0] } } }
+    ]).toArray();
+    assert.deepEqual(result, [{ _id: 2, city: 'Rome' }]);
+});
+
+test('expressions: $cond, $filter, $map and $reduce', async t => {
+    const orders = await shop(t);
+    const [doc] = await orders.aggregate([
+        { $match: { _id: 1 } },
+        { $project: {
+            size: { $cond: [{ $gt: ['$total', 20] }, 'big', 'small'] },
+            pens: { $filter: { input: '$items', as: 'item', cond: { $eq: ['$$item', 'pen'] } } },
+            upper: { $map: { input: '$items', in: { $toUpper: '$$this' } } },
+            joined: { $reduce: { input: '$items', initialValue: '', in: { $concat: ['$$value', '$$this'] } } }
+        } }
+    ]).toArray();
+    assert.deepEqual(doc, { _id: 1, size: 'big', pens: ['pen'], upper: ['PEN', 'INK'], joined: 'penink' });
+});
+
+test('unknown stages are rejected', async t => {
+    const orders = await shop(t);
+    await assert.rejects(orders.aggregate([{ $bogus: {} }]).toArray(), /Unknown pipeline stage/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore, PermissionDeniedError } = Object.assign({}, require('./helpers'), require('..'));
+
+async function storeWithUsers(t) {
+    const db = await openStore(t, { auth: 'required' });
+    const admin = await db.loginUser('admin', 'admin');
+    await db.registerUser('eve', 'secret', [{ resource: '*', permissions: ['read', 'write'] }], admin);
+    const eve = await db.loginUser('eve', 'secret');
+    return { db, admin, eve };
+}
+
+test('tokens grant their user\'s permissions until logout', async t => {
+    const { db, eve } = await storeWithUsers(t);
+    assert.equal(typeof eve, 'string');
+    await db('shop').collection('items').insertOne({ _id: 1 }, eve);
+    assert.equal(await db.loginUser('eve', 'wrong'), null);
+
+    await db.logout(eve);
+    assert.throws(() => db('shop').collection('items').find({}, eve), PermissionDeniedError);
+});
+
+test('user objects and forged tokens are rejected', async t => {
+    const { db, eve } = await storeWithUsers(t);
+    const items = db('shop').collection('items');
+    await assert.rejects(items.insertOne({}, { username: 'admin', roles: [{ resource: '*', permissions: ['admin'] }] }),
+        PermissionDeniedError);
+    await assert.rejects(items.insertOne({}, eve.slice(0, -2) + 'xx'), PermissionDeniedError);
+    await assert.rejects(items.insertOne({}), PermissionDeniedError);
+});
+
+test('a user without admin can neither read nor change the auth collections', async t => {
+    const { db, eve } = await storeWithUsers(t);
+    for (const name of ['users', 'roles', 'sessions']) {
+        const collection = db('auth').collection(name);
+        assert.throws(() => collection.find({}, eve), PermissionDeniedError);
+        await assert.rejects(collection.insertOne({ name: 'x' }, eve), PermissionDeniedError);
+        await assert.rejects(collection.deleteMany({}, eve), PermissionDeniedError);
+    }
+    await assert.rejects(db('auth').collection('users').updateOne({ username: 'eve' },
+        { $set: { roles: [{ resource: '*', permissions: ['read', 'write', 'admin'] }] } }, {}, eve), PermissionDeniedError);
+    await assert.rejects(db.listUsers(eve), PermissionDeniedError);
+    assert.equal(db.hasPermission(eve, 'auth.users', 'read'), false);
+    assert.equal(db.hasPermission(eve, 'shop.items', 'write'), true);
+});
+
+test('even an admin changes users only through the administration methods', async t => {
+    const { db, admin } = await storeWithUsers(t);
+    const users = db('auth').collection('users');
+    assert.equal((await users.find({ username: 'eve' }, admin).toArray()).length, 1);
+    await assert.rejects(users.updateOne({ username: 'eve' }, { $set: { roles: [] } }, {}, admin), PermissionDeniedError);
+    await assert.rejects(users.drop(admin), PermissionDeniedError);
+    await assert.rejects(db.import({ db: 'auth', collection: 'users', data: [{ username: 'mallory' }] }, admin),
+        PermissionDeniedError);
+    await assert.rejects(db('auth').renameCollection('users', 'people', {}, admin), PermissionDeniedError);
+});
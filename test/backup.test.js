@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { jsmongo, tempDir, openStore } = require('./helpers');
+
+test('export and import round-trip jsonl, json and csv', async t => {
+    const db = await openStore(t);
+    const items = db('shop').collection('items');
+    await items.insertMany([{ _id: 1, name: 'pen', price: 2.5, tags: ['a'] }, { _id: 2, name: 'ink', price: 4 }]);
+
+    for (const format of ['jsonl', 'json']) {
+        const [{ data }] = await db.export({ collections: ['shop.items'], format });
+        const result = await db.import({ db: 'copy', collection: format, data, format });
+        assert.equal(result.insertedCount, 2);
+        assert.deepEqual(await db('copy').collection(format).find({}).toArray(), await items.find({}).toArray());
+    }
+    const [{ data: csv }] = await db.export({ collections: ['shop.items'], format: 'csv', fields: ['_id', 'name', 'price'] });
+    await db.import({ db: 'copy', collection: 'csv', data: csv, format: 'csv' });
+    assert.deepEqual(await db('copy').collection('csv').findOne({ _id: 2 }), { _id: 2, name: 'ink', price: 4 });
+});
+
+test('import reports documents it cannot insert and keeps the rest', async t => {
+    const db = await openStore(t);
+    await db('shop').collection('items').insertOne({ _id: 1 });
+    const result = await db.import({ db: 'shop', collection: 'items', data: [{ _id: 1 }, { _id: 2 }] });
+    assert.equal(result.insertedCount, 1);
+    assert.deepEqual(result.errors.map(error => [error.index, error.code]), [[0, 11000]]);
+});
+
+test('a backup restores collections, indexes and validators', async t => {
+    const dir = tempDir(t);
+    const db = await openStore(t);
+    const items = db('shop').collection('items');
+    await items.createIndex('sku', { unique: true });
+    await items.insertMany([{ _id: 1, sku: 'a' }, { _id: 2, sku: 'b' }]);
+    await db.backup(path.join(dir, 'backup'));
+
+    const target = await openStore(t);
+    await target('shop').collection('items').insertOne({ _id: 3, sku: 'c' });
+    const results = await target.restore(path.join(dir, 'backup'), { collections: ['shop.items'], drop: true });
+    assert.deepEqual(results.map(result => [result.ns, result.insertedCount]), [['shop.items', 2]]);
+    const restored = target('shop').collection('items');
+    assert.deepEqual((await restored.find({}).toArray()).map(doc => doc._id), [1, 2]);
+    assert.ok((await restored.listIndexes()).some(index => index.name === 'sku_1' && index.unique));
+});
+
+test('an authenticated restore into a fresh store replaces the caller\'s account', async t => {
+    const dir = tempDir(t);
+    const source = await openStore(t, { storageMode: 'disk', storagePath: path.join(dir, 'source'), auth: 'required' });
+    const admin = await source.loginUser('admin', 'admin');
+    await source.registerUser('reader', 'pw', [{ resource: 'shop', permissions: ['read'] }], admin);
+    await source('shop').collection('items').insertMany([{ _id: 1 }, { _id: 2 }], admin);
+    await source.backup(path.join(dir, 'backup'), {}, admin);
+    await source.close();
+
+    const storagePath = path.join(dir, 'target');
+    const results = await jsmongo.restore(path.join(dir, 'backup'), {
+        storagePath, auth: 'required', username: 'admin', password: 'admin', drop: true, logger: {}
+    });
+    const inserted = Object.fromEntries(results.map(result => [result.ns, result.insertedCount]));
+    assert.equal(inserted['auth.users'], 2);
+    assert.equal(inserted['shop.items'], 2);
+
+    const target = await openStore(t, { storageMode: 'disk', storagePath, auth: 'required' });
+    const reader = await target.loginUser('reader', 'pw');
+    assert.equal((await target('shop').collection('items').find({}, reader).toArray()).length, 2);
+});
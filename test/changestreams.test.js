@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore, tempDir, ChangeStreamHistoryLostError, PermissionDeniedError } = Object.assign({}, require('./helpers'), require('..'));
+
+test('collection streams deliver inserts, updates, replaces and deletes', async t => {
+    const db = await openStore(t);
+    const orders = db('shop').collection('orders');
+    const stream = orders.watch([], { fullDocument: 'updateLookup' });
+    t.after(() => stream.close());
+    await orders.insertOne({ _id: 1, status: 'new', note: 'x' });
+    await orders.updateOne({ _id: 1 }, { $set: { status: 'paid' }, $unset: { note: '' } });
+    await orders.replaceOne({ _id: 1 }, { status: 'done' });
+    await orders.deleteOne({ _id: 1 });
+
+    const events = [];
+    for (let i = 0; i < 4; i++) events.push(await stream.next());
+    assert.deepEqual(events.map(event => event.operationType), ['insert', 'update', 'replace', 'delete']);
+    assert.deepEqual(events[0].ns, { db: 'shop', coll: 'orders' });
+    assert.deepEqual(events[0].fullDocument, { _id: 1, status: 'new', note: 'x' });
+    assert.deepEqual(events[1].updateDescription, { updatedFields: { status: 'paid' }, removedFields: ['note'], truncatedArrays: [] });
+    assert.deepEqual(events[1].fullDocument, { _id: 1, status: 'paid' });
+    assert.deepEqual(events[3].documentKey, { _id: 1 });
+    assert.ok(events.every(event => event.wallTime instanceof Date));
+});
+
+test('pipelines filter events and database streams cover every collection', async t => {
+    const db = await openStore(t);
+    const stream = db('shop').watch([{ $match: { operationType: 'insert' } }, { $project: { 'fullDocument._id': 1, ns: 1 } }]);
+    t.after(() => stream.close());
+    const received = [];
+    stream.on('change', event => received.push(event));
+    await db('shop').collection('a').insertOne({ _id: 1, x: 1 });
+    await db('shop').collection('a').deleteOne({ _id: 1 });
+    await db('other').collection('a').insertOne({ _id: 2 });
+    await db('shop').collection('b').insertOne({ _id: 3 });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(received.map(event => [event.ns.coll, event.fullDocument]), [['a', { _id: 1 }], ['b', { _id: 3 }]]);
+});
+
+test('a database stream leaves out collections the user cannot read', async t => {
+    const db = await openStore(t, { auth: 'required' });
+    const admin = await db.loginUser('admin', 'admin');
+    await db.registerUser('ann', 'pw', [{ resource: 'shop.public', permissions: ['read'] }], admin);
+    const ann = await db.loginUser('ann', 'pw');
+    const stream = db('shop').watch([], {}, ann);
+    t.after(() => stream.close());
+    await db('shop').collection('secret').insertOne({ _id: 1 }, admin);
+    await db('shop').collection('public').insertOne({ _id: 2 }, admin);
+    assert.deepEqual((await stream.next()).documentKey, { _id: 2 });
+    assert.equal(stream.tryNext(), null);
+});
+
+test('streams resume after a token, across restarts', async t => {
+    const storagePath = tempDir(t);
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    const orders = db('shop').collection('orders');
+    const stream = orders.watch();
+    await orders.insertMany([{ _id: 1 }, { _id: 2 }, { _id: 3 }]);
+    await stream.next();
+    const token = stream.resumeToken;
+    stream.close();
+    await db.close();
+
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath });
+    const resumed = reopened('shop').collection('orders').watch([], { resumeAfter: token });
+    t.after(() => resumed.close());
+    assert.deepEqual((await resumed.next()).documentKey, { _id: 2 });
+    assert.deepEqual((await resumed.next()).documentKey, { _id: 3 });
+});
+
+test('a token older than the kept history fails with code 286', async t => {
+    const db = await openStore(t, { changeLogSize: 2 });
+    const orders = db('shop').collection('orders');
+    const stream = orders.watch();
+    await orders.insertOne({ _id: 1 });
+    const { _id: token } = await stream.next();
+    stream.close();
+    await orders.insertMany([{ _id: 2 }, { _id: 3 }, { _id: 4 }]);
+    assert.throws(() => orders.watch([], { resumeAfter: token }), ChangeStreamHistoryLostError);
+});
+
+test('a $lookup in the pipeline needs read access to its collection', async t => {
+    const db = await openStore(t, { auth: 'required' });
+    const admin = await db.loginUser('admin', 'admin');
+    await db.registerUser('ann', 'pw', [{ resource: 'shop.items', permissions: ['read'] }], admin);
+    const ann = await db.loginUser('ann', 'pw');
+    const items = db('shop').collection('items');
+    const lookup = from => [{ $lookup: { from, pipeline: [], as: 'joined' } }];
+    assert.throws(() => items.watch(lookup({ db: 'auth', coll: 'users' }), {}, ann), PermissionDeniedError);
+    assert.throws(() => items.watch([{ $match: {} }, { $lookup: { from: 'items', pipeline: lookup('secret'), as: 'x' } }], {}, ann), PermissionDeniedError);
+    assert.throws(() => db('shop').watch(lookup('secret'), {}, ann), PermissionDeniedError);
+    items.watch(lookup('items'), {}, ann).close();
+});
+
+test('invalid pipelines are refused when the stream is opened', async t => {
+    const db = await openStore(t);
+    const orders = db('shop').collection('orders');
+    assert.throws(() => orders.watch([{ $match: { $foo: 1 } }]), /Unknown top-level query operator/);
+    assert.throws(() => orders.watch([{ $match: { a: { $nope: 1 } } }]), /Unknown query operator/);
+    assert.throws(() => orders.watch([{ $bogus: {} }]), /Unknown pipeline stage/);
+});
+
+test('a failing pipeline or listener ends its stream, not the write', async t => {
+    const storagePath = tempDir(t);
+    const db = await openStore(t, { storageMode: 'disk', storagePath, durability: 'journal' });
+    const orders = db('shop').collection('orders');
+    const healthy = orders.watch();
+    const broken = orders.watch([{ $replaceRoot: { newRoot: '$missing' } }]);
+    const errors = [];
+    broken.on('error', err => errors.push(err));
+    const throwing = orders.watch();
+    throwing.on('change', () => { throw new Error('listener failed'); });
+    const waiting = assert.rejects(orders.watch([{ $replaceRoot: { newRoot: '$missing' } }]).next(), /new root to be a document/);
+
+    await orders.insertOne({ _id: 1 });
+    await orders.insertOne({ _id: 2 });
+    assert.match(errors[0].message, /new root to be a document/);
+    assert.equal(errors.length, 1);
+    assert.ok(broken.closed && throwing.closed);
+    await waiting;
+    assert.deepEqual([(await healthy.next()).documentKey, (await healthy.next()).documentKey], [{ _id: 1 }, { _id: 2 }]);
+    healthy.close();
+
+    // The writes reached the journal
+    await db.close();
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.equal(await reopened('shop').collection('orders').countDocuments({}), 2);
+});
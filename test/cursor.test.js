@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore } = require('./helpers');
+
+async function numbers(t) {
+    const db = await openStore(t);
+    const collection = db('app').collection('numbers');
+    await collection.insertMany([5, 3, 8, 1, 9, 2].map(n => ({ _id: n, n, odd: n % 2 === 1, meta: { square: n * n } })));
+    return collection;
+}
+
+test('sort, skip, limit and projection', async t => {
+    const collection = await numbers(t);
+    const docs = await collection.find({}).sort({ odd: -1, n: 1 }).skip(1).limit(3).project({ n: 1, _id: 0 }).toArray();
+    assert.deepEqual(docs, [{ n: 3 }, { n: 5 }, { n: 9 }]);
+    assert.deepEqual(await collection.find({ _id: 3 }).project({ meta: 0, odd: 0 }).toArray(), [{ _id: 3, n: 3 }]);
+    assert.deepEqual(await collection.find({ _id: 3 }).project({ 'meta.square': 1 }).toArray(), [{ _id: 3, meta: { square: 9 } }]);
+    assert.deepEqual(await collection.find({ _id: 3 }).project({ _id: 1 }).toArray(), [{ _id: 3 }]);
+    assert.deepEqual(await collection.find({ _id: 3 }).project({ _id: 0 }).toArray(), [{ n: 3, odd: true, meta: { square: 9 } }]);
+    await assert.rejects(collection.find({}).project({ n: 1, odd: 0 }).toArray(), /cannot mix inclusion and exclusion/);
+});
+
+test('count and async iteration', async t => {
+    const collection = await numbers(t);
+    const cursor = collection.find({ odd: true }).sort({ n: -1 }).skip(1).limit(1);
+    assert.equal(await cursor.count(), 4);
+    assert.equal(await cursor.count(true), 1);
+    const seen = [];
+    for await (const doc of collection.find({ n: { $lt: 4 } }).sort({ n: 1 })) seen.push(doc.n);
+    assert.deepEqual(seen, [1, 2, 3]);
+
+    const iterated = collection.find({}).sort({ n: 1 });
+    assert.equal((await iterated.next()).n, 1);
+    assert.equal(await iterated.hasNext(), true);
+    assert.throws(() => iterated.limit(1), /after iteration has started/);
+    // toArray() gives what next() hasn't, once
+    assert.equal((await iterated.next()).n, 2);
+    assert.deepEqual((await iterated.toArray()).map(doc => doc.n), [3, 5, 8, 9]);
+    assert.deepEqual(await iterated.toArray(), []);
+    assert.equal(await iterated.next(), null);
+});
+
+test('findOne, countDocuments and distinct', async t => {
+    const collection = await numbers(t);
+    assert.equal((await collection.findOne({ n: { $gt: 7 } })).n, 8);
+    assert.equal(await collection.findOne({ n: 100 }), null);
+    assert.equal(await collection.countDocuments({ odd: false }), 2);
+    assert.deepEqual((await collection.distinct('odd')).sort(), [false, true]);
+});
+
+test('returned documents are copies', async t => {
+    const collection = await numbers(t);
+    const doc = await collection.findOne({ _id: 1 });
+    doc.meta.square = 100;
+    assert.equal((await collection.findOne({ _id: 1 })).meta.square, 1);
+});
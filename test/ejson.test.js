@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { openStore, tempDir, EJSON, ObjectId } = Object.assign({}, require('./helpers'), require('..'));
+
+function sample() {
+    return {
+        _id: new ObjectId(),
+        at: new Date('2024-05-01T12:00:00Z'),
+        bytes: Buffer.from([0, 1, 255]),
+        big: 2n ** 70n,
+        pattern: /ab+c/gi,
+        nan: NaN,
+        inf: -Infinity,
+        negZero: -0,
+        missing: undefined,
+        map: new Map([['a', 1], [2, new Date(0)]]),
+        nested: [{ when: new Date(0) }]
+    };
+}
+
+test('the codec round-trips every supported type', () => {
+    const value = sample();
+    const back = EJSON.parse(EJSON.stringify(value));
+    assert.deepEqual(back, value);
+    assert.ok(Object.is(back.negZero, -0));
+    assert.ok('missing' in back);
+    assert.equal(back._id.toHexString(), value._id.toHexString());
+});
+
+test('objects shaped like wrappers read back as the same objects', () => {
+    const lookalikes = {
+        date: { $date: '2020-01-01T00:00:00Z' },
+        long: { $numberLong: '5' },
+        oid: { $oid: 'a'.repeat(24) },
+        int: { $numberInt: '1' },
+        double: { $numberDouble: 'NaN' },
+        binary: { $binary: { base64: '', subType: '00' } },
+        regex: { $regularExpression: { pattern: 'a', options: '' } },
+        undef: { $undefined: true },
+        map: { $map: [] },
+        escaped: { $escaped: { a: 1 } },
+        nested: [{ $date: { $numberLong: '0' } }],
+        // Several keys were never ambiguous and are written as they are
+        other: { $date: 1, x: 2 }
+    };
+    const text = EJSON.stringify(lookalikes);
+    assert.deepEqual(EJSON.parse(text), lookalikes);
+    assert.ok(text.includes('{"$date":1,"x":2}'));
+    // Real types next to them still come back typed
+    const mixed = { at: new Date(0), like: { $date: 'x' } };
+    assert.deepEqual(EJSON.parse(EJSON.stringify(mixed)), mixed);
+});
+
+test('documents keep their types across a restart', async t => {
+    const storagePath = tempDir(t);
+    const value = sample();
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    await db('app').collection('things').insertOne(value);
+    await db('app').collection('lookalikes').insertOne({ _id: 1, a: { $date: '2020-01-01T00:00:00Z' }, b: { $numberLong: '5' } });
+    await db.close();
+
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath });
+    const stored = await reopened('app').collection('things').findOne({ _id: value._id });
+    assert.deepEqual(stored, value);
+    assert.deepEqual(await reopened('app').collection('lookalikes').findOne({ _id: 1 }),
+        { _id: 1, a: { $date: '2020-01-01T00:00:00Z' }, b: { $numberLong: '5' } });
+    assert.ok(await reopened('app').collection('things').findOne({ at: { $gt: new Date(0) } }));
+});
+
+test('plain JSON files from before the format are still read', async t => {
+    const storagePath = tempDir(t);
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    await db('app').collection('legacy').insertOne({ _id: 1 });
+    await db.close();
+    // Shaped like the original writer's output: a bare array of documents
+    fs.rmSync(path.join(storagePath, 'app', 'legacy.segments'), { recursive: true, force: true });
+    fs.writeFileSync(path.join(storagePath, 'app', 'legacy.json'), JSON.stringify([{ _id: 1, at: '2024-05-01T12:00:00.000Z' }]));
+
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.deepEqual(await reopened('app').collection('legacy').findOne({ _id: 1 }), { _id: 1, at: '2024-05-01T12:00:00.000Z' });
+});
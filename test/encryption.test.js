@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { jsmongo, openStore, tempDir, quietLogger } = require('./helpers');
+
+const KEY = 'a'.repeat(64);
+const OTHER_KEY = 'b'.repeat(64);
+
+function filesUnder(dir) {
+    return fs.readdirSync(dir, { recursive: true })
+        .map(name => path.join(dir, name))
+        .filter(file => fs.statSync(file).isFile());
+}
+
+function assertNoPlaintext(dir, text) {
+    for (const file of filesUnder(dir)) {
+        assert.ok(!fs.readFileSync(file).includes(text), `${file} holds plaintext`);
+    }
+}
+
+async function seed(t, storagePath, encryption) {
+    const db = await openStore(t, { storageMode: 'disk', storagePath, encryption });
+    await db('app').collection('secrets').insertOne({ _id: 1, value: 'hunter2-plaintext' });
+    await db.close();
+}
+
+test('files are encrypted and read back with the same key', async t => {
+    const storagePath = tempDir(t);
+    await seed(t, storagePath, { key: KEY });
+    assertNoPlaintext(storagePath, 'hunter2-plaintext');
+
+    const db = await openStore(t, { storageMode: 'disk', storagePath, encryption: { key: KEY } });
+    assert.equal((await db('app').collection('secrets').findOne({ _id: 1 })).value, 'hunter2-plaintext');
+});
+
+test('a wrong key or a tampered file stops initialize', async t => {
+    const storagePath = tempDir(t);
+    await seed(t, storagePath, { passphrase: 'correct horse' });
+    await assert.rejects(jsmongo({ logger: quietLogger, storageMode: 'disk', storagePath, encryption: { passphrase: 'wrong' } }).initialize(), /Wrong encryption key/);
+
+    const manifest = path.join(storagePath, 'app', 'secrets.json');
+    const bytes = fs.readFileSync(manifest);
+    bytes[bytes.length - 1] ^= 1;
+    fs.writeFileSync(manifest, bytes);
+    await assert.rejects(
+        jsmongo({ logger: quietLogger, storageMode: 'disk', storagePath, encryption: { passphrase: 'correct horse' } }).initialize(),
+        err => err.message.includes('secrets.json')
+    );
+});
+
+test('an existing plaintext store is encrypted on the first encrypted start', async t => {
+    const storagePath = tempDir(t);
+    await seed(t, storagePath);
+    const db = await openStore(t, { storageMode: 'disk', storagePath, encryption: { key: KEY } });
+    assert.equal((await db('app').collection('secrets').findOne({ _id: 1 })).value, 'hunter2-plaintext');
+    await db.close();
+    assertNoPlaintext(storagePath, 'hunter2-plaintext');
+});
+
+test('rotateKey re-encrypts the store under the new key', async t => {
+    const storagePath = tempDir(t);
+    await seed(t, storagePath, { key: KEY });
+    const db = await openStore(t, { storageMode: 'disk', storagePath, encryption: { key: KEY } });
+    const admin = await db.loginUser('admin', 'admin');
+    await db.rotateKey({ key: OTHER_KEY }, admin);
+    await db('app').collection('secrets').insertOne({ _id: 2, value: 'after-rotation' });
+    await db.close();
+
+    await assert.rejects(jsmongo({ logger: quietLogger, storageMode: 'disk', storagePath, encryption: { key: KEY } }).initialize(), /Wrong encryption key/);
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath, encryption: { key: OTHER_KEY } });
+    assert.equal(await reopened('app').collection('secrets').countDocuments({}), 2);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const errors = require('../errors');
+const { openStore, JSMError, PermissionDeniedError, DuplicateKeyError, ValidationError } = Object.assign({}, require('./helpers'), require('..'));
+
+test('every error class carries its MongoDB code and code name', () => {
+    const expected = {
+        PermissionDeniedError: [13, 'Unauthorized'],
+        DuplicateKeyError: [11000, 'DuplicateKey'],
+        ValidationError: [121, 'DocumentValidationFailure'],
+        WriteConflictError: [112, 'WriteConflict'],
+        ChangeStreamHistoryLostError: [286, 'ChangeStreamHistoryLost'],
+        StorageLockedError: [98, 'DBPathInUse'],
+        ReadOnlyError: [20, 'IllegalOperation'],
+        NotPrimaryError: [10107, 'NotWritablePrimary']
+    };
+    for (const [name, [code, codeName]] of Object.entries(expected)) {
+        const err = new errors[name]('message');
+        assert.ok(err instanceof JSMError && err instanceof Error, name);
+        assert.equal(err.name, name);
+        assert.equal(err.code, code, name);
+        assert.equal(err.codeName, codeName, name);
+    }
+});
+
+test('failed operations throw the matching class with its details', async t => {
+    const db = await openStore(t, { auth: 'required' });
+    const admin = await db.loginUser('admin', 'admin');
+    const people = db('crm').collection('people');
+    await people.createIndex({ email: 1 }, { unique: true }, admin);
+    await people.insertOne({ email: 'a@x' }, admin);
+    const duplicate = await people.insertOne({ email: 'a@x' }, admin).catch(err => err);
+    assert.ok(duplicate instanceof DuplicateKeyError);
+    assert.deepEqual(duplicate.keyPattern, { email: 1 });
+    assert.deepEqual(duplicate.keyValue, { email: 'a@x' });
+    await assert.rejects(people.insertOne({}), PermissionDeniedError);
+
+    await db.db('crm').collMod('people', { validator: { $jsonSchema: { required: ['email'] } } }, admin);
+    await assert.rejects(people.insertOne({ name: 'no email' }, admin), err => err instanceof ValidationError && Boolean(err.details));
+    // Invalid arguments are plain errors
+    await assert.rejects(people.find({ email: { $nope: 1 } }, admin).toArray(), err => !(err instanceof JSMError));
+});
+
+test('messages go to the logger, and missing logger methods are ignored', async t => {
+    const messages = [];
+    const db = await openStore(t, { logger: { info: (...args) => messages.push(args.join(' ')) } });
+    assert.ok(messages.some(message => message.includes('Created default admin user')));
+    // A logger without warn or error doesn't break anything that would use them
+    await db('app').collection('c').insertOne({ _id: 1 });
+});
+
+test('bulkWrite reports each failure by index, ordered or not', async t => {
+    const db = await openStore(t);
+    const stock = db('shop').collection('stock');
+    await stock.insertOne({ _id: 'pen', qty: 1 });
+    const operations = [
+        { insertOne: { document: { _id: 'pen' } } },
+        { updateOne: { filter: { _id: 'ink' }, update: { $inc: { qty: 5 } }, upsert: true } },
+        { replaceOne: { filter: { _id: 'pen' }, replacement: { qty: 0 } } },
+        { deleteMany: { filter: { qty: 0 } } }
+    ];
+
+    const ordered = await stock.bulkWrite(operations);
+    assert.deepEqual(ordered.writeErrors.map(error => [error.index, error.code]), [[0, 11000]]);
+    assert.equal(ordered.upsertedCount, 0);
+    assert.equal(await stock.countDocuments({}), 1);
+
+    const unordered = await stock.bulkWrite(operations, { ordered: false });
+    assert.deepEqual(unordered.writeErrors.map(error => error.index), [0]);
+    assert.equal(unordered.upsertedCount, 1);
+    assert.deepEqual(unordered.upsertedIds, { 1: 'ink' });
+    assert.equal(unordered.matchedCount, 1);
+    assert.equal(unordered.modifiedCount, 1);
+    assert.equal(unordered.deletedCount, 1);
+    assert.deepEqual(await stock.find({}).toArray(), [{ _id: 'ink', qty: 5 }]);
+});
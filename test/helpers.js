@@ -0,0 +1,43 @@
+// Shared by the tests in this directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const jsmongo = require('..');
+
+const quietLogger = {};
+
+// A fresh directory, removed when the test ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmongo-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// An initialized store that is closed when the test ends, unless the test
+// closed it itself
+async function openStore(t, options = {}) {
+    const db = jsmongo({ logger: quietLogger, ...options });
+    await db.initialize();
+    let closed = false;
+    const close = db.close;
+    db.close = async () => {
+        closed = true;
+        await close();
+    };
+    t.after(() => closed ? undefined : db.close());
+    return db;
+}
+
+// Runs code in a separate node process that exits without closing its
+// store, the way a crash would. The code sees jsmongo and storagePath.
+function runAndCrash(storagePath, code) {
+    const script = `
+        const jsmongo = require(${JSON.stringify(path.join(__dirname, '..'))});
+        const storagePath = ${JSON.stringify(storagePath)};
+        (async () => { ${code} })().then(() => process.exit(0), err => { console.error(err); process.exit(1); });
+    `;
+    execFileSync(process.execPath, ['-e', script], { stdio: 'pipe', timeout: 30000 });
+}
+
+module.exports = { jsmongo, quietLogger, tempDir, openStore, runAndCrash };
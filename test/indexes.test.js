@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore, DuplicateKeyError } = Object.assign({}, require('./helpers'), require('..'));
+
+const ids = docs => docs.map(doc => doc._id);
+
+test('unique indexes reject duplicates on insert and update', async t => {
+    const db = await openStore(t);
+    const users = db('app').collection('users');
+    assert.equal(await users.createIndex('email', { unique: true }), 'email_1');
+    await users.insertMany([{ _id: 1, email: 'a' }, { _id: 2, email: 'b' }]);
+    await assert.rejects(users.insertOne({ _id: 3, email: 'a' }), DuplicateKeyError);
+    await assert.rejects(users.updateOne({ _id: 2 }, { $set: { email: 'a' } }), err => err.code === 11000);
+    // Swapping values in one write is not a conflict once the old value is gone
+    await users.updateOne({ _id: 1 }, { $set: { email: 'c' } });
+    await users.insertOne({ _id: 3, email: 'a' });
+    assert.deepEqual(ids(await users.find({ email: 'a' }).toArray()), [3]);
+});
+
+test('indexed queries return what a collection scan returns', async t => {
+    const db = await openStore(t);
+    const docs = [];
+    for (let i = 0; i < 40; i++) docs.push({ _id: i, a: i % 5, b: 40 - i, tags: [i % 3, 'x'] });
+    docs.push({ _id: 40, b: 100 }, { _id: 41, a: null });
+    const plain = db('app').collection('plain');
+    const indexed = db('app').collection('indexed');
+    await plain.insertMany(docs);
+    await indexed.insertMany(docs);
+    await indexed.createIndex({ a: 1, b: -1 });
+    await indexed.createIndex('tags');
+    const queries = [
+        [{ a: 2 }, { b: 1 }],
+        [{ a: 2, b: { $gt: 10, $lte: 30 } }, null],
+        [{ a: { $in: [1, 3] } }, { a: 1, b: -1 }],
+        [{ a: null }, null],
+        [{ tags: 2 }, { _id: -1 }],
+        [{ tags: { $gte: 1, $lt: 2 } }, null],
+        [{}, { a: -1, b: 1 }]
+    ];
+    for (const [query, sort] of queries) {
+        const expected = await plain.find(query).sort(sort || { _id: 1 }).toArray();
+        assert.deepEqual(await indexed.find(query).sort(sort || { _id: 1 }).toArray(), expected, JSON.stringify(query));
+    }
+});
+
+test('a sparse index is not used for null, which matches missing fields', async t => {
+    const db = await openStore(t);
+    const items = db('app').collection('items');
+    await items.insertMany([{ _id: 1, a: 1 }, { _id: 2 }, { _id: 3, a: null }]);
+    await items.createIndex({ a: 1 }, { sparse: true });
+    assert.deepEqual(ids(await items.find({ a: null }).sort({ _id: 1 }).toArray()), [2, 3]);
+    assert.deepEqual(ids(await items.find({ a: { $in: [null, 1] } }).sort({ _id: 1 }).toArray()), [1, 2, 3]);
+    assert.deepEqual(ids(await items.find({ a: 1 }).toArray()), [1]);
+});
+
+test('indexes follow updates and deletes', async t => {
+    const db = await openStore(t);
+    const items = db('app').collection('items');
+    await items.createIndex('a');
+    await items.insertMany([{ _id: 1, a: 1 }, { _id: 2, a: 2 }]);
+    await items.updateOne({ _id: 1 }, { $set: { a: 2 } });
+    await items.deleteOne({ _id: 2 });
+    assert.deepEqual(ids(await items.find({ a: 2 }).toArray()), [1]);
+    assert.deepEqual(await items.find({ a: 1 }).toArray(), []);
+    await items.dropIndex('a_1');
+    assert.deepEqual((await items.listIndexes()).map(index => index.name), ['_id_']);
+});
+
+test('createIndex still takes a token as its second argument', async t => {
+    const db = await openStore(t, { auth: 'required' });
+    const admin = await db.loginUser('admin', 'admin');
+    const items = db('app').collection('items');
+    assert.equal(await items.createIndex('name', admin), 'name_1');
+    assert.equal(await items.createIndex({ sku: 1 }, { unique: true }, admin), 'sku_1');
+    assert.deepEqual((await items.listIndexes(admin)).map(index => index.name), ['_id_', 'name_1', 'sku_1']);
+});
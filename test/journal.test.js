@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, openStore, runAndCrash } = require('./helpers');
+
+test('acknowledged writes survive a crash when journaling', async t => {
+    const storagePath = tempDir(t);
+    runAndCrash(storagePath, `
+        const db = jsmongo({ storageMode: 'disk', storagePath, durability: 'journal', logger: {} });
+        await db.initialize();
+        const items = db('shop').collection('items');
+        await items.insertMany([{ _id: 1, qty: 1 }, { _id: 2, qty: 2 }, { _id: 3, qty: 3 }]);
+        await items.updateOne({ _id: 1 }, { $inc: { qty: 10 } });
+        await items.deleteOne({ _id: 2 });
+    `);
+    assert.ok(fs.statSync(path.join(storagePath, 'shop', 'journal.log')).size > 0);
+
+    const db = await openStore(t, { storageMode: 'disk', storagePath, durability: 'journal' });
+    const docs = await db('shop').collection('items').find({}).sort({ _id: 1 }).toArray();
+    assert.deepEqual(docs, [{ _id: 1, qty: 11 }, { _id: 3, qty: 3 }]);
+});
+
+test('a torn record at the end of the journal is skipped', async t => {
+    const storagePath = tempDir(t);
+    runAndCrash(storagePath, `
+        const db = jsmongo({ storageMode: 'disk', storagePath, durability: 'fsync', logger: {} });
+        await db.initialize();
+        await db('shop').collection('items').insertOne({ _id: 1 });
+    `);
+    fs.appendFileSync(path.join(storagePath, 'shop', 'journal.log'), '{"lsn":99,"ops":[{"op":"i"');
+
+    const db = await openStore(t, { storageMode: 'disk', storagePath, durability: 'journal' });
+    assert.deepEqual(await db('shop').collection('items').find({}).toArray(), [{ _id: 1 }]);
+});
+
+test('a checkpoint empties the journal', async t => {
+    const storagePath = tempDir(t);
+    const db = await openStore(t, { storageMode: 'disk', storagePath, durability: 'journal' });
+    await db('shop').collection('items').insertOne({ _id: 1 });
+    await db.close();
+
+    const journalPath = path.join(storagePath, 'shop', 'journal.log');
+    assert.ok(!fs.existsSync(journalPath) || fs.statSync(journalPath).size === 0);
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath, durability: 'journal' });
+    assert.deepEqual(await reopened('shop').collection('items').find({}).toArray(), [{ _id: 1 }]);
+});
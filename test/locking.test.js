@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn, spawnSync } = require('child_process');
+const { openStore, tempDir, jsmongo, quietLogger, StorageLockedError, ReadOnlyError } = Object.assign({}, require('./helpers'), require('..'));
+
+function writeLock(storagePath, owner) {
+    fs.mkdirSync(storagePath, { recursive: true });
+    fs.writeFileSync(path.join(storagePath, '.lock'), JSON.stringify(owner));
+}
+
+test('a storage directory is locked until the store is closed', async t => {
+    const storagePath = tempDir(t);
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.equal(JSON.parse(fs.readFileSync(path.join(storagePath, '.lock'), 'utf8')).pid, process.pid);
+    await assert.rejects(jsmongo({ logger: quietLogger, storageMode: 'disk', storagePath }).initialize(), StorageLockedError);
+    await db.close();
+    assert.ok(!fs.existsSync(path.join(storagePath, '.lock')));
+    await openStore(t, { storageMode: 'disk', storagePath });
+});
+
+test('a lock left by an exited process is taken over, one from another host is not', async t => {
+    const storagePath = tempDir(t);
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeLock(storagePath, { pid, hostname: os.hostname() });
+    const warnings = [];
+    const db = await openStore(t, { storageMode: 'disk', storagePath, logger: { warn: message => warnings.push(message) } });
+    assert.ok(warnings.some(message => message.includes(`left by process ${pid}`)));
+    await db.close();
+
+    writeLock(storagePath, { pid, hostname: 'elsewhere.example' });
+    await assert.rejects(jsmongo({ logger: quietLogger, storageMode: 'disk', storagePath }).initialize(), /in use by process \d+ on elsewhere\.example/);
+});
+
+// Opens the store in a separate process at the given time and reports
+// whether it got the lock, holding it for a while if so
+function openAt(storagePath, startAt) {
+    const script = `
+        const jsmongo = require(${JSON.stringify(path.join(__dirname, '..'))});
+        const db = jsmongo({ storageMode: 'disk', storagePath: ${JSON.stringify(storagePath)}, logger: {} });
+        setTimeout(async () => {
+            try {
+                await db.initialize();
+            } catch (err) {
+                process.stdout.write(err.name + ': ' + err.message);
+                return;
+            }
+            process.stdout.write('locked');
+            setTimeout(() => db.close(), 300);
+        }, ${startAt} - Date.now());
+    `;
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'pipe', 'inherit'], timeout: 30000 });
+        let output = '';
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.on('error', reject);
+        child.on('exit', () => resolve(output));
+    });
+}
+
+test('only one of two processes taking over a stale lock gets it', async t => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    for (let round = 0; round < 3; round++) {
+        const storagePath = tempDir(t);
+        writeLock(storagePath, { pid, hostname: os.hostname() });
+        const startAt = Date.now() + 500;
+        const results = await Promise.all([openAt(storagePath, startAt), openAt(storagePath, startAt)]);
+        assert.deepEqual(results.map(result => result.split(':')[0]).sort(), ['StorageLockedError', 'locked']);
+    }
+});
+
+test('a read-only instance reads alongside the writer and refuses writes', async t => {
+    const storagePath = tempDir(t);
+    const writer = await openStore(t, { storageMode: 'disk', storagePath, durability: 'journal' });
+    const orders = writer('shop').collection('orders');
+    await orders.insertOne({ _id: 1 });
+
+    const replica = await openStore(t, { storageMode: 'disk', storagePath, readOnly: true });
+    const replicaOrders = replica('shop').collection('orders');
+    assert.equal(await replicaOrders.countDocuments({}), 1);
+    await orders.insertOne({ _id: 2 });
+    await replica.reload();
+    assert.equal(await replicaOrders.countDocuments({}), 2);
+
+    await assert.rejects(replicaOrders.insertOne({ _id: 3 }), ReadOnlyError);
+    await assert.rejects(replicaOrders.createIndex({ x: 1 }), ReadOnlyError);
+    await assert.rejects(replica.db('shop').dropDatabase(), ReadOnlyError);
+    // Logging in still works, in the read-only instance only
+    assert.ok(await replica.loginUser('admin', 'admin'));
+});
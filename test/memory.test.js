@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { openStore, tempDir } = require('./helpers');
+
+const filler = 'x'.repeat(1000);
+
+async function seed(t, storagePath) {
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    for (const name of ['a', 'b', 'c']) {
+        await db('app').collection(name).insertMany(Array.from({ length: 20 }, (_, i) => ({ _id: i, name, filler })));
+    }
+    await db('app').collection('a').createIndex('name');
+    await db.close();
+}
+
+test('collections are read from disk the first time they are used', async t => {
+    const storagePath = tempDir(t);
+    await seed(t, storagePath);
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    // Listing works from the segment lists alone
+    const [app] = (await db.listDatabases()).filter(entry => entry.name === 'app');
+    assert.equal(app.collections, 3);
+    assert.ok(app.size > 60 * filler.length);
+    assert.ok(db._unloaded.has('app.b'));
+
+    assert.equal(await db('app').collection('b').countDocuments({}), 20);
+    assert.ok(!db._unloaded.has('app.b'));
+    assert.deepEqual((await db('app').collection('a').listIndexes()).map(index => index.name), ['_id_', 'name_1']);
+});
+
+test('only changed segments are rewritten by a checkpoint', async t => {
+    const storagePath = tempDir(t);
+    await seed(t, storagePath);
+    const segmentsPath = path.join(storagePath, 'app', 'b.segments');
+    const before = new Set(fs.readdirSync(segmentsPath));
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    await db('app').collection('b').updateOne({ _id: 0 }, { $set: { touched: true } });
+    await db.close();
+    const after = fs.readdirSync(segmentsPath);
+    const added = after.filter(name => !before.has(name));
+    assert.ok(added.length >= 1 && added.length < after.length);
+});
+
+test('with maxMemory, the least recently used collections are unloaded and read again on use', async t => {
+    const storagePath = tempDir(t);
+    await seed(t, storagePath);
+    const unloaded = [];
+    const db = await openStore(t, {
+        storageMode: 'disk',
+        storagePath,
+        maxMemory: 30 * filler.length,
+        logger: { debug: message => unloaded.push(message) }
+    });
+    // collection() starts reading, so each is only asked for when it is used
+    for (const name of ['a', 'b', 'c']) {
+        assert.equal(await db('app').collection(name).countDocuments({}), 20);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.deepEqual(unloaded, ['Unloaded app.a', 'Unloaded app.b']);
+    assert.ok(!db._unloaded.has('app.c'));
+
+    // Unloaded collections come back with their indexes
+    const a = db('app').collection('a');
+    assert.equal((await a.find({ name: 'a' }).toArray()).length, 20);
+    assert.deepEqual((await a.listIndexes()).map(index => index.name), ['_id_', 'name_1']);
+    // Unsaved writes keep a collection in memory, even the coldest one
+    const writer = db('app').collection('b');
+    await writer.insertOne({ _id: 'new', filler });
+    for (const name of ['a', 'c']) {
+        await db('app').collection(name).countDocuments({});
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.ok(!db._unloaded.has('app.b'));
+    assert.equal(await writer.countDocuments({}), 21);
+});
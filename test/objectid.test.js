@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore, ObjectId } = Object.assign({}, require('./helpers'), require('..'));
+
+test('ObjectIds are made from hex, bytes, other ids or a time', () => {
+    const id = new ObjectId();
+    assert.match(id.toHexString(), /^[0-9a-f]{24}$/);
+    assert.ok(new ObjectId(id.toHexString()).equals(id));
+    assert.ok(new ObjectId(id.id).equals(id));
+    assert.ok(new ObjectId(id).equals(id));
+    assert.ok(ObjectId.createFromHexString(id.toHexString().toUpperCase()).equals(id));
+    assert.ok(id.equals(id.toHexString()));
+    assert.equal(JSON.stringify({ id }), `{"id":"${id.toHexString()}"}`);
+
+    for (const invalid of ['xyz', 'a'.repeat(23), Buffer.alloc(11), {}]) {
+        assert.throws(() => new ObjectId(invalid), /Invalid ObjectId/);
+        assert.equal(ObjectId.isValid(invalid), false);
+    }
+    assert.equal(ObjectId.isValid(null), false);
+    assert.throws(() => ObjectId.createFromHexString(12), /Invalid ObjectId/);
+});
+
+test('ids made by one process increase and carry their creation time', () => {
+    const ids = Array.from({ length: 100 }, () => new ObjectId());
+    for (let i = 1; i < ids.length; i++) assert.ok(ids[i - 1].compare(ids[i]) < 0);
+    const seconds = Math.floor(Date.now() / 1000);
+    assert.ok(Math.abs(ids[0].getTimestamp().getTime() / 1000 - seconds) <= 1);
+    assert.equal(ObjectId.createFromTime(1000).getTimestamp().getTime(), 1000 * 1000);
+    assert.equal(ObjectId.createFromTime(1000).toHexString(), '000003e8' + '0'.repeat(16));
+});
+
+test('inserts without an _id get an ObjectId that sorts in insertion order', async t => {
+    const db = await openStore(t);
+    const orders = db('shop').collection('orders');
+    const before = ObjectId.createFromTime(Math.floor(Date.now() / 1000) - 1);
+    const inserted = await orders.insertMany([{ n: 1 }, { n: 2 }, { n: 3 }]);
+    assert.ok(inserted.every(doc => doc._id instanceof ObjectId));
+    assert.deepEqual((await orders.find({}).sort({ _id: -1 }).toArray()).map(doc => doc.n), [3, 2, 1]);
+    assert.equal(await orders.countDocuments({ _id: { $gte: before } }), 3);
+    assert.equal((await orders.findOne({ _id: new ObjectId(inserted[1]._id.toHexString()) })).n, 2);
+});
+
+test('_id may be any value but an array or a regular expression', async t => {
+    const db = await openStore(t);
+    const things = db('app').collection('things');
+    for (const _id of ['NL', 7, { a: 1 }, new Date(0)]) {
+        assert.deepEqual((await things.insertOne({ _id }))._id, _id);
+    }
+    await assert.rejects(things.insertOne({ _id: [1] }));
+    await assert.rejects(things.insertOne({ _id: /x/ }));
+
+    // An upsert takes its _id from the filter, the replacement or $setOnInsert
+    assert.equal((await things.updateOne({ _id: 'from-filter' }, { $set: { a: 1 } }, { upsert: true })).upsertedId, 'from-filter');
+    assert.equal((await things.replaceOne({ k: 1 }, { _id: 'from-replacement' }, { upsert: true })).upsertedId, 'from-replacement');
+    assert.equal((await things.updateOne({ k: 2 }, { $setOnInsert: { _id: 'from-insert' } }, { upsert: true })).upsertedId, 'from-insert');
+    assert.ok((await things.updateOne({ k: 3 }, { $set: { k: 3 } }, { upsert: true })).upsertedId instanceof ObjectId);
+});
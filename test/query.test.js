@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore } = require('./helpers');
+
+const docs = [
+    { _id: 1, name: 'ann', age: 30, tags: ['a', 'b'], address: { city: 'Oslo' }, items: [{ sku: 'x', qty: 2 }, { sku: 'y', qty: 9 }] },
+    { _id: 2, name: 'bob', age: 20, tags: ['b'], address: { city: 'Rome' }, items: [{ sku: 'x', qty: 10 }] },
+    { _id: 3, name: 'cid', age: null, tags: [], items: [] },
+    { _id: 4, name: 'Dee', tags: 'a' }
+];
+
+// Returns a function giving the _ids of the documents a query matches
+async function matcher(t) {
+    const db = await openStore(t);
+    const people = db('app').collection('people');
+    await people.insertMany(docs);
+    return async query => (await people.find(query).sort({ _id: 1 }).toArray()).map(doc => doc._id);
+}
+
+test('comparison and element operators', async t => {
+    const match = await matcher(t);
+    assert.deepEqual(await match({ age: { $gte: 20, $lt: 30 } }), [2]);
+    assert.deepEqual(await match({ age: { $ne: 30 } }), [2, 3, 4]);
+    assert.deepEqual(await match({ age: { $in: [30, null] } }), [1, 3, 4]);
+    assert.deepEqual(await match({ age: { $nin: [30, 20] } }), [3, 4]);
+    assert.deepEqual(await match({ age: { $exists: false } }), [4]);
+    assert.deepEqual(await match({ age: null }), [3, 4]);
+    assert.deepEqual(await match({ age: { $type: 'number' } }), [1, 2]);
+    assert.deepEqual(await match({ name: { $regex: '^d', $options: 'i' } }), [4]);
+    assert.deepEqual(await match({ name: /^[ab]/ }), [1, 2]);
+    assert.deepEqual(await match({ age: { $mod: [20, 10] } }), [1]);
+    assert.deepEqual(await match({ age: { $not: { $gt: 25 } } }), [2, 3, 4]);
+});
+
+test('logical operators', async t => {
+    const match = await matcher(t);
+    assert.deepEqual(await match({ $or: [{ age: 20 }, { name: 'cid' }] }), [2, 3]);
+    assert.deepEqual(await match({ $and: [{ tags: 'b' }, { age: { $gt: 25 } }] }), [1]);
+    assert.deepEqual(await match({ $nor: [{ tags: 'a' }, { age: 20 }] }), [3]);
+    assert.deepEqual(await match({ $expr: { $gt: [{ $size: { $ifNull: ['$items', []] } }, 1] } }), [1]);
+    await assert.rejects(match({ $or: [] }));
+    await assert.rejects(match({ $bogus: 1 }));
+});
+
+test('nested paths and array semantics', async t => {
+    const match = await matcher(t);
+    assert.deepEqual(await match({ 'address.city': 'Rome' }), [2]);
+    assert.deepEqual(await match({ tags: 'a' }), [1, 4]);
+    assert.deepEqual(await match({ tags: ['b'] }), [2]);
+    assert.deepEqual(await match({ tags: { $all: ['a', 'b'] } }), [1]);
+    assert.deepEqual(await match({ tags: { $size: 0 } }), [3]);
+    assert.deepEqual(await match({ 'items.sku': 'y' }), [1]);
+    assert.deepEqual(await match({ 'items.0.qty': 10 }), [2]);
+    // Without $elemMatch the conditions may be met by different elements
+    assert.deepEqual(await match({ 'items.sku': 'x', 'items.qty': { $gt: 5 } }), [1, 2]);
+    assert.deepEqual(await match({ items: { $elemMatch: { sku: 'x', qty: { $gt: 5 } } } }), [2]);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { openStore, tempDir, NotPrimaryError } = Object.assign({}, require('./helpers'), require('..'));
+
+async function waitFor(check) {
+    for (let i = 0; i < 200; i++) {
+        if (await check()) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail('condition was not met in time');
+}
+
+async function primaryWithSocket(t, options) {
+    const dir = tempDir(t);
+    const socket = path.join(dir, 'primary.sock');
+    const primary = await openStore(t, Object.assign({ storageMode: 'disk', storagePath: path.join(dir, 'data'), durability: 'journal', replicationSocket: socket }, options));
+    return { primary, socket };
+}
+
+test('a follower on the socket applies writes, indexes and drops as they are made', async t => {
+    const { primary, socket } = await primaryWithSocket(t);
+    const follower = await openStore(t, { follow: socket, followInterval: 50 });
+    const orders = primary('shop').collection('orders');
+    const copy = follower('shop').collection('orders');
+
+    await orders.insertMany([{ _id: 1, qty: 1 }, { _id: 2, qty: 2 }]);
+    await orders.updateOne({ _id: 1 }, { $inc: { qty: 10 } });
+    await orders.deleteOne({ _id: 2 });
+    await orders.createIndex({ qty: 1 }, { unique: true });
+    await waitFor(async () => (await copy.listIndexes()).length === 2);
+    assert.deepEqual(await copy.find({}).toArray(), [{ _id: 1, qty: 11 }]);
+
+    await primary('shop').collection('tmp').insertOne({ _id: 1 });
+    await primary.db('shop').collection('tmp').drop();
+    await orders.insertOne({ _id: 3, qty: 3 });
+    await waitFor(async () => (await copy.countDocuments({})) === 2);
+    assert.deepEqual((await follower.db('shop').listCollections()).map(entry => entry.name), ['orders']);
+
+    const status = follower.replicationStatus();
+    assert.equal(status.role, 'follower');
+    assert.equal(status.connected, true);
+    assert.equal(primary.replicationStatus().followers.length, 1);
+    await assert.rejects(copy.insertOne({ _id: 4 }), NotPrimaryError);
+});
+
+test('a follower that is behind the oplog copies everything first', async t => {
+    const { primary, socket } = await primaryWithSocket(t, { oplogSize: 5 });
+    const orders = primary('shop').collection('orders');
+    for (let i = 0; i < 20; i++) await orders.insertOne({ _id: i });
+
+    const follower = await openStore(t, { storageMode: 'disk', storagePath: tempDir(t), follow: socket, followInterval: 50 });
+    await waitFor(async () => (await follower('shop').collection('orders').countDocuments({})) === 20);
+    // Users replicate like any other collection
+    assert.ok(await follower.loginUser('admin', 'admin'));
+});
+
+test('a follower can follow the storage directory and be promoted', async t => {
+    const storagePath = tempDir(t);
+    const primary = await openStore(t, { storageMode: 'disk', storagePath, durability: 'journal', oplogSize: 100 });
+    await primary('shop').collection('orders').insertOne({ _id: 1 });
+    const follower = await openStore(t, { follow: storagePath, followInterval: 20 });
+    await primary('shop').collection('orders').insertOne({ _id: 2 });
+    await waitFor(async () => (await follower('shop').collection('orders').countDocuments({})) === 2);
+
+    await primary.close();
+    await follower.promote();
+    assert.equal(follower.replicationStatus().role, 'primary');
+    await follower('shop').collection('orders').insertOne({ _id: 3 });
+    assert.equal(await follower('shop').collection('orders').countDocuments({}), 3);
+});
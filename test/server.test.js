@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { openStore, tempDir, jsmongo, PermissionDeniedError, DuplicateKeyError } = Object.assign({}, require('./helpers'), require('..'));
+
+async function serve(t, options) {
+    const db = await openStore(t, Object.assign({ auth: 'required' }, options));
+    const server = jsmongo.createServer(db);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.shutdown());
+    const url = `http://127.0.0.1:${server.address().port}`;
+    return { db, server, url, client: jsmongo.connect(url) };
+}
+
+function rawRequest(url, method, pathname) {
+    return new Promise((resolve, reject) => {
+        http.request(new URL(pathname, url), { method }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+        }).on('error', reject).end();
+    });
+}
+
+test('the client reads and writes like an embedded store, types included', async t => {
+    const { db, client } = await serve(t);
+    assert.ok(await client.loginUser('admin', 'admin'));
+    const orders = client('shop').collection('orders');
+    const at = new Date('2024-05-01T00:00:00Z');
+    await orders.insertMany([{ _id: 1, item: 'pen', at, status: 'open' }, { _id: 2, item: 'ink', at: new Date(0), status: 'open' }]);
+    await orders.updateOne({ _id: 2 }, { $set: { status: 'closed' } });
+
+    const open = await orders.find({ status: 'open' }).sort({ at: -1 }).limit(10).toArray();
+    assert.deepEqual(open, [{ _id: 1, item: 'pen', at, status: 'open' }]);
+    assert.ok(open[0].at instanceof Date);
+    assert.equal(await orders.countDocuments({}), 2);
+    assert.deepEqual(await orders.aggregate([{ $group: { _id: '$status', n: { $sum: 1 } } }, { $sort: { _id: 1 } }]).toArray(),
+        [{ _id: 'closed', n: 1 }, { _id: 'open', n: 1 }]);
+    // The embedded store sees the same data
+    assert.equal((await db('shop').collection('orders').findOne({ _id: 2 }, await db.loginUser('admin', 'admin'))).status, 'closed');
+});
+
+test('errors come back with their class, code and HTTP status', async t => {
+    const { db, url, client } = await serve(t);
+    const admin = await client.loginUser('admin', 'admin');
+    await db.registerUser('reader', 'pw', [{ resource: 'shop', permissions: ['read'] }], await db.loginUser('admin', 'admin'));
+    const orders = client('shop').collection('orders');
+    await orders.insertOne({ _id: 1 });
+
+    await assert.rejects(orders.insertOne({ _id: 1 }), err => err instanceof DuplicateKeyError && err.status === 409 && err.code === 11000);
+    const reader = await client.loginUser('reader', 'pw');
+    await assert.rejects(orders.insertOne({ _id: 2 }, reader), err => err instanceof PermissionDeniedError && err.status === 403);
+    await assert.rejects(orders.findOne({}, null), err => err.status === 401);
+    assert.equal(await client.loginUser('reader', 'wrong'), null);
+    await client.logout(admin);
+    await assert.rejects(orders.findOne({}, admin), err => err.status === 401);
+
+    assert.equal((await rawRequest(url, 'GET', '/nowhere')).status, 404);
+    assert.equal((await rawRequest(url, 'GET', '/dbs/shop/collections/orders/documents/42')).status, 401);
+});
+
+test('indexes are managed over HTTP, including the createIndex(field, token) form', async t => {
+    const { client } = await serve(t);
+    const token = await client.loginUser('admin', 'admin');
+    const people = client('crm').collection('people');
+    await people.createIndex('email', token);
+    await people.createIndex({ name: 1 }, { unique: true });
+    const names = (await people.listIndexes()).map(index => index.name).sort();
+    assert.deepEqual(names, ['_id_', 'email_1', 'name_1']);
+    await people.insertOne({ name: 'ann' });
+    await assert.rejects(people.insertOne({ name: 'ann' }), DuplicateKeyError);
+    await people.dropIndex('name_1');
+    await people.insertOne({ name: 'ann' });
+});
+
+test('shutdown stops taking requests and writes everything to disk', async t => {
+    const storagePath = tempDir(t);
+    const { server, client } = await serve(t, { storageMode: 'disk', storagePath, durability: 'none' });
+    await client.loginUser('admin', 'admin');
+    await client('shop').collection('orders').insertOne({ _id: 1 });
+    assert.ok(!fs.existsSync(path.join(storagePath, 'shop', 'orders.json')));
+    await server.shutdown();
+    assert.ok(fs.existsSync(path.join(storagePath, 'shop', 'orders.json')));
+    await assert.rejects(client('shop').collection('orders').findOne({}), /ECONNREFUSED/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { openStore, tempDir } = require('./helpers');
+
+const BIN = path.join(__dirname, '..', 'bin', 'jsmongo.js');
+
+function runShell(args, input) {
+    return execFileSync(process.execPath, [BIN, ...args], {
+        input: input || '',
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: { ...process.env, JSMONGO_HISTORY: '/dev/null' },
+        timeout: 30000
+    });
+}
+
+test('--eval runs code against the store and prints its result', async t => {
+    const storagePath = tempDir(t);
+    runShell(['--storage', storagePath, '--db', 'shop', '--eval', "db.orders.insertMany([{ _id: 1, total: 5 }, { _id: 2, total: 15 }, { _id: 3, total: 25 }])"]);
+    const output = runShell(['--storage', storagePath, '--db', 'shop', '--eval', 'db.orders.find({ total: { $gt: 10 } }).sort({ total: -1 })']);
+    assert.match(output, /_id: 3[\s\S]*_id: 2/);
+    assert.doesNotMatch(output, /_id: 1/);
+
+    // Everything was written to disk when the shell exited
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.equal(await db('shop').collection('orders').countDocuments({}), 3);
+});
+
+test('dates and regular expressions typed in the shell keep their types', async t => {
+    const storagePath = tempDir(t);
+    const output = runShell(['--storage', storagePath, '--eval', [
+        "db.events.insertOne({ _id: 1, at: new Date('2024-05-01T00:00:00Z'), name: 'Launch' })",
+        "db.events.find({ at: { $gte: new Date('2024-01-01T00:00:00Z') }, name: /^laun/i }, { name: 1 })"
+    ].join(';')]);
+    assert.match(output, /{ _id: 1, name: 'Launch' }/);
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.ok((await db('test').collection('events').findOne({ _id: 1 })).at instanceof Date);
+});
+
+test('piped input runs line by line, with shell commands', t => {
+    const storagePath = tempDir(t);
+    const output = runShell(['--storage', storagePath], [
+        'use shop',
+        "db.orders.insertOne({ _id: 'a', status: 'new' })",
+        "db.orders.updateOne({ _id: 'a' }, { $set: { status: 'paid' } })",
+        "db.getCollection('orders').findOne({ _id: 'a' }, { status: 1, _id: 0 })",
+        'show collections',
+        'show dbs',
+        ''
+    ].join('\n'));
+    assert.match(output, /status: 'paid'/);
+    assert.match(output, /^orders$/m);
+    assert.match(output, /^shop\b/m);
+});
+
+test('cursors print 20 documents at a time and it shows the next batch', t => {
+    const storagePath = tempDir(t);
+    const output = runShell(['--storage', storagePath], [
+        'db.items.insertMany(Array.from({ length: 25 }, (_, i) => ({ _id: i })))',
+        'db.items.find().sort({ _id: 1 })',
+        'it',
+        ''
+    ].join('\n'));
+    assert.match(output, /_id: 19 }[\s\S]*Type "it" for more[\s\S]*_id: 20 }[\s\S]*_id: 24 }/);
+});
+
+test('a login is needed for stores with users, and failures exit non-zero', t => {
+    const storagePath = tempDir(t);
+    runShell(['--storage', storagePath, '--eval', '1']);
+    const output = runShell(['--storage', storagePath, '--username', 'admin', '--password', 'admin', '--eval', 'db.getUsers()']);
+    assert.match(output, /username: 'admin'/);
+    assert.throws(() => runShell(['--storage', storagePath, '--username', 'admin', '--password', 'wrong', '--eval', '1']), /Login failed/);
+    assert.throws(() => runShell(['--storage', storagePath, '--eval', 'throw new Error("boom")']), /boom/);
+});
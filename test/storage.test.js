@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, openStore } = require('./helpers');
+
+// Leaves two generations of shop.items on disk: [1], then [1, 2]
+async function twoGenerations(t) {
+    const storagePath = tempDir(t);
+    for (const _id of [1, 2]) {
+        const db = await openStore(t, { storageMode: 'disk', storagePath });
+        await db('shop').collection('items').insertOne({ _id });
+        await db.close();
+    }
+    return storagePath;
+}
+
+function readManifest(storagePath) {
+    const content = fs.readFileSync(path.join(storagePath, 'shop', 'items.json'), 'utf8');
+    return JSON.parse(content.slice(content.indexOf('\n') + 1));
+}
+
+test('checkpoints leave no temporary files and keep the previous generation', async t => {
+    const storagePath = await twoGenerations(t);
+    const files = fs.readdirSync(path.join(storagePath, 'shop'));
+    assert.ok(files.includes('items.json.bak'));
+    assert.ok(!files.some(file => file.endsWith('.tmp')));
+});
+
+test('a corrupt collection file is quarantined and the previous generation restored', async t => {
+    const storagePath = await twoGenerations(t);
+    const filePath = path.join(storagePath, 'shop', 'items.json');
+    fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace('"count":2', '"count":3'));
+
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.deepEqual(await db('shop').collection('items').find({}).toArray(), [{ _id: 1 }]);
+    assert.equal(db.recoveryLog.length, 1);
+    assert.equal(db.recoveryLog[0].collection, 'shop.items');
+    assert.equal(db.recoveryLog[0].error, 'checksum mismatch');
+    assert.equal(db.recoveryLog[0].restoredGeneration, 1);
+    assert.ok(fs.existsSync(db.recoveryLog[0].quarantinedAs));
+});
+
+test('a corrupt segment restores the previous generation', async t => {
+    const storagePath = await twoGenerations(t);
+    const [segment] = readManifest(storagePath).segments;
+    fs.truncateSync(path.join(storagePath, 'shop', 'items.segments', `${segment.id}.seg`), 10);
+
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.deepEqual(await db('shop').collection('items').find({}).toArray(), [{ _id: 1 }]);
+    assert.equal(db.recoveryLog[0].restoredGeneration, 1);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore, tempDir } = require('./helpers');
+
+const ids = docs => docs.map(doc => doc._id);
+
+async function products(t, options) {
+    const db = await openStore(t, options);
+    const collection = db('shop').collection('products');
+    await collection.createIndex({ name: 'text', description: 'text' }, { weights: { name: 5 } });
+    await collection.insertMany([
+        { _id: 1, name: 'Red running shoes', description: 'Light shoes for the road', inStock: true },
+        { _id: 2, name: 'Blue running shorts', description: 'Shorts for running in the heat', inStock: true },
+        { _id: 3, name: 'Red cap', description: 'A cap for running shoes fans', inStock: false },
+        { _id: 4, name: 'Green socks', description: 'Warm', inStock: true }
+    ]);
+    return { db, collection };
+}
+
+test('terms are stemmed, stop words dropped and results scored by field weight', async t => {
+    const { collection } = await products(t);
+    const search = $search => collection.find({ $text: { $search } })
+        .project({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .toArray();
+
+    const results = await search('SHOE');
+    assert.deepEqual(ids(results), [1, 3]);
+    assert.ok(results[0].score > results[1].score);
+    assert.deepEqual(ids(await search('runs')), [2, 1, 3]);
+    assert.deepEqual(await search('the for'), []);
+});
+
+test('negated words, phrases and other conditions narrow the results', async t => {
+    const { collection } = await products(t);
+    const find = (filter) => collection.find(filter).sort({ _id: 1 }).toArray().then(ids);
+    assert.deepEqual(await find({ $text: { $search: 'red -shoe' } }), []);
+    assert.deepEqual(await find({ $text: { $search: 'red -cap' } }), [1]);
+    assert.deepEqual(await find({ $text: { $search: '"running shorts"' } }), [2]);
+    assert.deepEqual(await find({ $text: { $search: 'running -"running shorts"' } }), [1, 3]);
+    assert.deepEqual(await find({ $text: { $search: 'red' }, inStock: true }), [1]);
+    await assert.rejects(find({ $or: [{ $text: { $search: 'red' } }] }), /top level/);
+});
+
+test('$text works in counts, updates, deletes and a leading $match', async t => {
+    const { collection } = await products(t);
+    assert.equal(await collection.countDocuments({ $text: { $search: 'red' } }), 2);
+    await collection.updateMany({ $text: { $search: 'red' } }, { $set: { sale: true } });
+    assert.deepEqual(ids(await collection.find({ sale: true }).sort({ _id: 1 }).toArray()), [1, 3]);
+    assert.deepEqual(await collection.aggregate([{ $match: { $text: { $search: 'socks' } } }, { $project: { _id: 1 } }]).toArray(), [{ _id: 4 }]);
+    await collection.deleteMany({ $text: { $search: 'cap' } });
+    assert.equal(await collection.countDocuments({}), 3);
+    // The index follows the changes
+    await collection.updateOne({ _id: 4 }, { $set: { name: 'Green cap' } });
+    assert.deepEqual(ids(await collection.find({ $text: { $search: 'cap' } }).toArray()), [4]);
+});
+
+test('a transaction searches its own writes', async t => {
+    const { db, collection } = await products(t);
+    const session = db.startSession();
+    session.startTransaction();
+    await collection.insertOne({ _id: 5, name: 'Yellow socks' }, undefined, session);
+    await collection.deleteOne({ _id: 4 }, undefined, session);
+    assert.deepEqual(ids(await collection.find({ $text: { $search: 'socks' } }, undefined, session).toArray()), [5]);
+    assert.deepEqual(ids(await collection.find({ $text: { $search: 'socks' } }).toArray()), [4]);
+    await session.abortTransaction();
+});
+
+test('a collection has one text index, and $text needs it', async t => {
+    const { db, collection } = await products(t);
+    await assert.rejects(collection.createIndex({ other: 'text' }));
+    await assert.rejects(db('shop').collection('plain').find({ $text: { $search: 'x' } }).toArray(), /text index is required/);
+});
+
+test('the text index is rebuilt after a restart', async t => {
+    const storagePath = tempDir(t);
+    const { db } = await products(t, { storageMode: 'disk', storagePath });
+    await db.close();
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath });
+    const results = await reopened('shop').collection('products').find({ $text: { $search: 'socks' } }).toArray();
+    assert.deepEqual(ids(results), [4]);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore, tempDir, runAndCrash, WriteConflictError, DuplicateKeyError } =
+    Object.assign({}, require('./helpers'), require('..'));
+
+async function bank(t, options) {
+    const db = await openStore(t, options);
+    const accounts = db('bank').collection('accounts');
+    await accounts.insertMany([{ _id: 'a', balance: 100 }, { _id: 'b', balance: 0 }]);
+    return { db, accounts };
+}
+
+test('a transaction is invisible to others until it commits', async t => {
+    const { db, accounts } = await bank(t);
+    const session = db.startSession();
+    session.startTransaction();
+    await accounts.updateOne({ _id: 'a' }, { $inc: { balance: -40 } }, {}, undefined, session);
+    await accounts.updateOne({ _id: 'b' }, { $inc: { balance: 40 } }, {}, undefined, session);
+    assert.equal((await accounts.findOne({ _id: 'b' }, undefined, session)).balance, 40);
+    assert.equal((await accounts.findOne({ _id: 'b' })).balance, 0);
+    await session.commitTransaction();
+    assert.deepEqual(await accounts.find({}).sort({ _id: 1 }).toArray(), [{ _id: 'a', balance: 60 }, { _id: 'b', balance: 40 }]);
+});
+
+test('abort and errors roll everything back', async t => {
+    const { db, accounts } = await bank(t);
+    const session = db.startSession();
+    session.startTransaction();
+    await accounts.deleteMany({}, undefined, session);
+    await session.abortTransaction();
+    assert.equal(await accounts.countDocuments({}), 2);
+
+    await assert.rejects(session.withTransaction(async () => {
+        await accounts.insertOne({ _id: 'c', balance: 1 }, undefined, session);
+        await accounts.insertOne({ _id: 'a', balance: 1 }, undefined, session);
+    }), DuplicateKeyError);
+    assert.equal(await accounts.findOne({ _id: 'c' }), null);
+
+    // Unique indexes are checked against the transaction's own writes too
+    await accounts.createIndex('owner', { unique: true, sparse: true });
+    session.startTransaction();
+    await accounts.updateOne({ _id: 'a' }, { $set: { owner: 'x' } }, {}, undefined, session);
+    await assert.rejects(accounts.updateOne({ _id: 'b' }, { $set: { owner: 'x' } }, {}, undefined, session), DuplicateKeyError);
+    await assert.rejects(session.commitTransaction(), /cannot commit/);
+    assert.equal(await accounts.countDocuments({ owner: 'x' }), 0);
+});
+
+test('a conflicting write fails the commit, and withTransaction retries', async t => {
+    const { db, accounts } = await bank(t);
+    const session = db.startSession();
+    session.startTransaction();
+    await accounts.updateOne({ _id: 'a' }, { $inc: { balance: -10 } }, {}, undefined, session);
+    await accounts.updateOne({ _id: 'a' }, { $set: { frozen: true } });
+    await assert.rejects(session.commitTransaction(), err => err instanceof WriteConflictError && err.code === 112);
+    assert.deepEqual(await accounts.findOne({ _id: 'a' }), { _id: 'a', balance: 100, frozen: true });
+
+    let attempts = 0;
+    await session.withTransaction(async () => {
+        attempts++;
+        await accounts.updateOne({ _id: 'a' }, { $inc: { balance: -10 } }, {}, undefined, session);
+        if (attempts === 1) await accounts.updateOne({ _id: 'a' }, { $inc: { balance: 1 } });
+    });
+    assert.equal(attempts, 2);
+    assert.equal((await accounts.findOne({ _id: 'a' })).balance, 91);
+    await session.endSession();
+});
+
+test('a committed transaction survives a crash as a whole', async t => {
+    const storagePath = tempDir(t);
+    runAndCrash(storagePath, `
+        const db = jsmongo({ storageMode: 'disk', storagePath, durability: 'journal', logger: {} });
+        await db.initialize();
+        const accounts = db('bank').collection('accounts');
+        await accounts.insertMany([{ _id: 'a', balance: 100 }, { _id: 'b', balance: 0 }]);
+        const session = db.startSession();
+        await session.withTransaction(async () => {
+            await accounts.updateOne({ _id: 'a' }, { $inc: { balance: -100 } }, {}, undefined, session);
+            await accounts.updateOne({ _id: 'b' }, { $inc: { balance: 100 } }, {}, undefined, session);
+        });
+    `);
+    const db = await openStore(t, { storageMode: 'disk', storagePath, durability: 'journal' });
+    assert.deepEqual(await db('bank').collection('accounts').find({}).sort({ _id: 1 }).toArray(),
+        [{ _id: 'a', balance: 0 }, { _id: 'b', balance: 100 }]);
+});
+
+test('without durability, a checkpoint cut short still leaves a transaction whole', async t => {
+    const storagePath = tempDir(t);
+    runAndCrash(storagePath, `
+        const db = jsmongo({ storageMode: 'disk', storagePath, logger: {} });
+        await db.initialize();
+        const accounts = db('bank').collection('accounts');
+        const ledger = db('bank').collection('ledger');
+        await accounts.insertOne({ _id: 'a', balance: 100 });
+        await ledger.insertOne({ _id: 0, amount: 0 });
+        await db._dumpChangedCollections();
+        const session = db.startSession();
+        await session.withTransaction(async () => {
+            await accounts.updateOne({ _id: 'a' }, { $inc: { balance: -100 } }, {}, undefined, session);
+            await ledger.insertOne({ _id: 1, amount: -100 }, undefined, session);
+        });
+        // Crash once the first of the two collections is written
+        const store = Object.getPrototypeOf(db);
+        const persist = store._persistCollection.bind(store);
+        store._persistCollection = async (dbName, ...rest) => {
+            await persist(dbName, ...rest);
+            if (dbName === 'bank') process.exit(0);
+        };
+        await db._dumpChangedCollections();
+    `);
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    assert.deepEqual(await db('bank').collection('accounts').find({}).toArray(), [{ _id: 'a', balance: 0 }]);
+    assert.deepEqual(await db('bank').collection('ledger').find({}).sort({ _id: 1 }).toArray(),
+        [{ _id: 0, amount: 0 }, { _id: 1, amount: -100 }]);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+async function waitFor(check) {
+    for (let i = 0; i < 100; i++) {
+        if (await check()) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.fail('condition was not met in time');
+}
+
+test('documents older than expireAfterSeconds are removed by the sweep', async t => {
+    const db = await openStore(t, { ttlMonitorInterval: 20 });
+    const sessions = db('app').collection('sessions');
+    await sessions.createIndex('createdAt', { expireAfterSeconds: 3600 });
+    const now = Date.now();
+    await sessions.insertMany([
+        { _id: 'old', createdAt: new Date(now - 2 * HOUR) },
+        { _id: 'fresh', createdAt: new Date(now) },
+        { _id: 'mixed', createdAt: [new Date(now), new Date(now - 2 * HOUR)] },
+        { _id: 'string', createdAt: new Date(now - 2 * HOUR).toISOString() },
+        { _id: 'missing' },
+    ]);
+    await waitFor(async () => (await sessions.countDocuments({})) === 3);
+    const ids = (await sessions.find({}).toArray()).map(doc => doc._id).sort();
+    assert.deepEqual(ids, ['fresh', 'missing', 'string']);
+});
+
+test('with expireAfterSeconds 0 the field holds the expiry time', async t => {
+    const db = await openStore(t, { ttlMonitorInterval: 20 });
+    const tokens = db('app').collection('tokens');
+    await tokens.createIndex('expiresAt', { expireAfterSeconds: 0 });
+    const stream = tokens.watch([{ $match: { operationType: 'delete' } }]);
+    t.after(() => stream.close());
+    await tokens.insertMany([
+        { _id: 'expired', expiresAt: new Date(Date.now() - 1000) },
+        { _id: 'valid', expiresAt: new Date(Date.now() + HOUR) },
+    ]);
+    // The sweep timer doesn't hold the process open, so poll rather than wait on next()
+    await waitFor(async () => (await tokens.countDocuments({})) === 1);
+    assert.deepEqual((await tokens.find({}).toArray()).map(doc => doc._id), ['valid']);
+    assert.deepEqual(stream.tryNext().documentKey, { _id: 'expired' });
+    // The other indexes see the delete too
+    assert.equal(await tokens.findOne({ expiresAt: { $lt: new Date() } }), null);
+});
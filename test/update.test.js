@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore } = require('./helpers');
+
+async function collectionWith(t, docs) {
+    const db = await openStore(t);
+    const collection = db('app').collection('docs');
+    await collection.insertMany(docs);
+    return collection;
+}
+
+test('field operators', async t => {
+    const docs = await collectionWith(t, [{ _id: 1, n: 5, price: 2, a: { b: 1 }, old: 'x', low: 3, high: 3 }]);
+    const result = await docs.updateOne({ _id: 1 }, {
+        $inc: { n: 2, 'a.c': 1 },
+        $mul: { price: 1.5 },
+        $set: { 'a.b': 10 },
+        $unset: { missing: '' },
+        $rename: { old: 'renamed' },
+        $min: { low: 1 },
+        $max: { high: 9 },
+        $currentDate: { touched: true }
+    });
+    assert.deepEqual(result, { matchedCount: 1, modifiedCount: 1, acknowledged: true });
+    const doc = await docs.findOne({ _id: 1 });
+    assert.ok(doc.touched instanceof Date);
+    delete doc.touched;
+    assert.deepEqual(doc, { _id: 1, n: 7, price: 3, a: { b: 10, c: 1 }, renamed: 'x', low: 1, high: 9 });
+});
+
+test('array operators', async t => {
+    const docs = await collectionWith(t, [{ _id: 1, list: [3, 1], set: ['a'], drop: [1, 2, 3, 2], pops: [1, 2, 3] }]);
+    await docs.updateOne({ _id: 1 }, {
+        $push: { list: { $each: [5, 4], $sort: 1, $slice: 3 } },
+        $addToSet: { set: { $each: ['a', 'b'] } },
+        $pull: { drop: 2 },
+        $pop: { pops: -1 }
+    });
+    await docs.updateOne({ _id: 1 }, { $pullAll: { drop: [1] } });
+    assert.deepEqual(await docs.findOne({ _id: 1 }), { _id: 1, list: [1, 3, 4], set: ['a', 'b'], drop: [3], pops: [2, 3] });
+});
+
+test('updateMany, replaceOne and upserts', async t => {
+    const docs = await collectionWith(t, [{ _id: 1, kind: 'a' }, { _id: 2, kind: 'a' }, { _id: 3, kind: 'b' }]);
+    assert.equal((await docs.updateMany({ kind: 'a' }, { $set: { seen: true } })).modifiedCount, 2);
+    await docs.replaceOne({ _id: 3 }, { kind: 'c' });
+    assert.deepEqual(await docs.findOne({ _id: 3 }), { _id: 3, kind: 'c' });
+    await assert.rejects(docs.replaceOne({ _id: 3 }, { $set: { kind: 'd' } }));
+
+    const upserted = await docs.updateOne({ kind: 'z' }, { $set: { n: 1 }, $setOnInsert: { created: true } }, { upsert: true });
+    assert.equal(upserted.upsertedCount, 1);
+    assert.deepEqual(await docs.findOne({ _id: upserted.upsertedId }), { _id: upserted.upsertedId, kind: 'z', n: 1, created: true });
+    // $setOnInsert does nothing to an existing document
+    await docs.updateOne({ kind: 'z' }, { $set: { n: 2 }, $setOnInsert: { created: false } }, { upsert: true });
+    assert.equal((await docs.findOne({ kind: 'z' })).created, true);
+});
+
+test('findOneAndUpdate and findOneAndDelete return the document', async t => {
+    const docs = await collectionWith(t, [{ _id: 1, n: 1 }]);
+    assert.deepEqual(await docs.findOneAndUpdate({ _id: 1 }, { $inc: { n: 1 } }), { _id: 1, n: 1 });
+    assert.deepEqual(await docs.findOneAndUpdate({ _id: 1 }, { $inc: { n: 1 } }, { returnDocument: 'after' }), { _id: 1, n: 3 });
+    assert.equal(await docs.findOneAndUpdate({ _id: 2 }, { $inc: { n: 1 } }), null);
+    assert.deepEqual(await docs.findOneAndDelete({ _id: 1 }), { _id: 1, n: 3 });
+    assert.equal(await docs.countDocuments({}), 0);
+});
+
+test('deleteOne removes one match and deleteMany all of them', async t => {
+    const docs = await collectionWith(t, [{ _id: 1, k: 1 }, { _id: 2, k: 1 }, { _id: 3, k: 1 }]);
+    assert.equal(await docs.deleteOne({ k: 1 }), 1);
+    assert.equal(await docs.deleteMany({ k: 1 }), 2);
+});
+
+test('invalid updates are rejected without changing the document', async t => {
+    const docs = await collectionWith(t, [{ _id: 1, s: 'text', list: 1 }]);
+    await assert.rejects(docs.updateOne({ _id: 1 }, { $inc: { s: 1 } }));
+    await assert.rejects(docs.updateOne({ _id: 1 }, { $push: { list: 2 } }));
+    // _id never changes once the document exists
+    assert.equal((await docs.updateOne({ _id: 1 }, { $set: { _id: 2 } })).modifiedCount, 0);
+    assert.deepEqual(await docs.findOne({ _id: 1 }), { _id: 1, s: 'text', list: 1 });
+});
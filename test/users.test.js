@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore, PermissionDeniedError } = Object.assign({}, require('./helpers'), require('..'));
+
+async function adminStore(t, options) {
+    const db = await openStore(t, Object.assign({ auth: 'required' }, options));
+    return { db, admin: await db.loginUser('admin', 'admin') };
+}
+
+test('named roles grant their privileges and those they inherit', async t => {
+    const { db, admin } = await adminStore(t);
+    await db.registerUser('alice', 'pw', [{ resource: 'other', permissions: ['read'] }], admin);
+    await db.createRole('reportReader', { privileges: [{ resource: 'reports', permissions: ['read'] }] }, admin);
+    await db.createRole('reportEditor', { privileges: [{ resource: 'reports', permissions: ['write'] }], roles: ['reportReader'] }, admin);
+    const before = await db.loginUser('alice', 'pw');
+    await assert.rejects(db('reports').collection('q1').insertOne({ _id: 1 }, before), PermissionDeniedError);
+
+    await db.grantRoles('alice', ['reportEditor'], admin);
+    const alice = await db.loginUser('alice', 'pw');
+    await db('reports').collection('q1').insertOne({ _id: 1 }, alice);
+    assert.deepEqual(await db('reports').collection('q1').findOne({}, alice), { _id: 1 });
+
+    await db.revokeRoles('alice', ['reportEditor'], admin);
+    await assert.rejects(db('reports').collection('q1').findOne({}, alice), PermissionDeniedError);
+});
+
+test('role cycles are rejected and dropped roles disappear from users and roles', async t => {
+    const { db, admin } = await adminStore(t);
+    await db.createRole('a', { privileges: [] }, admin);
+    await db.createRole('b', { privileges: [], roles: ['a'] }, admin);
+    await assert.rejects(db.updateRole('a', { roles: ['b'] }, admin), /cannot inherit from itself/);
+
+    await db.registerUser('bob', 'pw', ['a', { resource: 'x', permissions: ['read'] }], admin);
+    await db.dropRole('a', admin);
+    assert.deepEqual((await db.listRoles(admin)).find(role => role.name === 'b').roles, []);
+    const bob = (await db.listUsers(admin)).find(user => user.username === 'bob');
+    assert.deepEqual(bob.roles, [{ resource: 'x', permissions: ['read'] }]);
+    assert.ok((await db.listUsers(admin)).every(user => !('password' in user) && !('passwordHash' in user)));
+});
+
+test('administration needs admin, but users may change their own password', async t => {
+    const { db, admin } = await adminStore(t);
+    await db.registerUser('carol', 'pw', [{ resource: '*', permissions: ['read', 'write'] }], admin);
+    const carol = await db.loginUser('carol', 'pw');
+    const other = await db.loginUser('carol', 'pw');
+    await assert.rejects(db.listUsers(carol), PermissionDeniedError);
+    await assert.rejects(db.createRole('r', { privileges: [] }, carol), PermissionDeniedError);
+    await assert.rejects(db.changePassword('admin', 'x', carol), PermissionDeniedError);
+
+    await db.changePassword('carol', 'new', carol);
+    assert.equal(await db.loginUser('carol', 'pw'), null);
+    assert.ok(await db.loginUser('carol', 'new'));
+    // The password change ends the user's other sessions
+    await assert.rejects(db('app').collection('c').findOne({}, other), PermissionDeniedError);
+
+    await db.dropUser('carol', admin);
+    assert.equal(await db.loginUser('carol', 'new'), null);
+});
+
+test('a forced password change blocks everything else until done', async t => {
+    const db = await openStore(t, { auth: 'required', initialAdmin: { username: 'root', password: 'first' }, forcePasswordChange: true });
+    const root = await db.loginUser('root', 'first');
+    await assert.rejects(db.listUsers(root), PermissionDeniedError);
+    await assert.rejects(db('app').collection('c').insertOne({}, root), PermissionDeniedError);
+    await db.changePassword('root', 'second', root);
+    const fresh = await db.loginUser('root', 'second');
+    assert.equal((await db.listUsers(fresh)).length, 1);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openStore, tempDir, ValidationError } = Object.assign({}, require('./helpers'), require('..'));
+
+const schema = {
+    $jsonSchema: {
+        bsonType: 'object',
+        required: ['name', 'email'],
+        properties: {
+            name: { bsonType: 'string', minLength: 1 },
+            email: { bsonType: 'string', pattern: '^.+@.+$' },
+            age: { bsonType: 'int', minimum: 0 },
+            tags: { bsonType: 'array', items: { bsonType: 'string' } }
+        }
+    }
+};
+
+test('invalid inserts and updates fail with code 121 and details', async t => {
+    const db = await openStore(t);
+    const people = await db('crm').createCollection('people', { validator: schema });
+    await people.insertOne({ _id: 1, name: 'ann', email: 'a@x', age: 3 });
+
+    const err = await people.insertOne({ name: '', email: 'nope', age: -1 }).catch(error => error);
+    assert.ok(err instanceof ValidationError);
+    assert.equal(err.code, 121);
+    assert.ok(err.details.length >= 3);
+    assert.match(err.message, /email/);
+    await assert.rejects(people.insertOne({ name: 'bob' }), ValidationError);
+    await assert.rejects(people.insertOne({ name: 'bob', email: 'b@x', tags: [1] }), ValidationError);
+    await assert.rejects(people.updateOne({ _id: 1 }, { $set: { age: 1.5 } }), ValidationError);
+    await assert.rejects(people.replaceOne({ _id: 1 }, { name: 'ann' }), ValidationError);
+    assert.deepEqual(await people.findOne({ _id: 1 }), { _id: 1, name: 'ann', email: 'a@x', age: 3 });
+});
+
+test('warn lets writes through and moderate skips invalid documents', async t => {
+    const warnings = [];
+    const db = await openStore(t, { logger: { warn: message => warnings.push(message) } });
+    const people = db('crm').collection('people');
+    await people.insertOne({ _id: 1, name: 'old' });
+    await db('crm').collMod('people', { validator: schema, validationLevel: 'moderate' });
+
+    // Already invalid, so moderate doesn't check it
+    await people.updateOne({ _id: 1 }, { $set: { age: -5 } });
+    await assert.rejects(people.insertOne({ name: 'new' }), ValidationError);
+
+    await db('crm').collMod('people', { validationAction: 'warn' });
+    await people.insertOne({ _id: 2, name: 'new' });
+    assert.equal(await people.countDocuments({}), 2);
+    assert.ok(warnings.some(message => /email/.test(message)));
+});
+
+test('validators can hold query conditions and survive a restart', async t => {
+    const storagePath = tempDir(t);
+    const db = await openStore(t, { storageMode: 'disk', storagePath });
+    await db('shop').createCollection('items', { validator: { price: { $gt: 0 } } });
+    await db.close();
+
+    const reopened = await openStore(t, { storageMode: 'disk', storagePath });
+    const items = reopened('shop').collection('items');
+    await assert.rejects(items.insertOne({ price: 0 }), ValidationError);
+    await items.insertOne({ price: 1 });
+    const [info] = await reopened('shop').listCollections({ name: 'items' });
+    assert.deepEqual(info.options.validator, { price: { $gt: 0 } });
+});